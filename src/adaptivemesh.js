@@ -0,0 +1,421 @@
+'use strict';
+
+/**
+ * Adaptive triangulation of the graph of a function R^2 -> R over a
+ * rectangle, with a restricted quadtree.
+ *
+ * Doesn't depend on WebGL, all coordinates are plain mathematical (x, y). We
+ * start from a uniform grid of cells and keep splitting the cell where the
+ * mesh is the furthest from the function, until the error is below the
+ * tolerance or the next split could go over the triangle budget.
+ *
+ * The error of a cell is the largest difference between the function and its
+ * linear interpolation from the corners, at the middle of the cell and its
+ * edges. That is about h^2 times the curvature for a cell of size h, so
+ * curved regions get small cells and flat ones big cells. Cells where the
+ * function is defined at some of those points and not at others are split
+ * first, to follow the edges of the domain.
+ *
+ * With a finite jumpThreshold, sides of cells and edges of triangles where
+ * the function changes by more than that are checked for jump
+ * discontinuities, see Discontinuity. Cells with a jump along a side are
+ * split first as well, and triangles with an edge across a jump are left out,
+ * so that the mesh is cut there rather than joined by a wall.
+ *
+ * Triangles are cut to the domain of the function, see MeshTrimming, so
+ * that the mesh ends where the function stops being defined.
+ *
+ * Neighbouring cells differ by at most one level. A cell with a split
+ * neighbour has the middle of that edge as an extra vertex, and is drawn as
+ * a fan around its centre, so there are no cracks between levels.
+ */
+class AdaptiveMesh {
+    /**
+     * The default options.
+     *
+     * baseResolution is the number of cells along each axis before any
+     * splitting, and maxLevel the number of times a cell can be split.
+     * maxTriangles is the triangle budget and tolerance the error below which
+     * cells aren't split, in the units of the function. jumpThreshold is
+     * the smallest jump looked for, also in the units of the function, by
+     * default Infinity to not look for any.
+     */
+    static get defaults() {
+        return { baseResolution: 8, maxLevel: 5, maxTriangles: 8192, tolerance: 1e-3, jumpThreshold: Infinity };
+    }
+
+    /**
+     * @arg {Function} fn Called as fn(x, y), returns undefined, NaN or
+     *                    infinity where it isn't defined.
+     * @arg {Array} min The minimum corner, as [x, y].
+     * @arg {Array} max The maximum corner.
+     * @arg {Object} options Overrides for AdaptiveMesh.defaults.
+     */
+    constructor(fn, min, max, options) {
+        const opts = Object.assign(AdaptiveMesh.defaults, options);
+        if (!(Number.isInteger(opts.baseResolution) && opts.baseResolution >= 1))
+            throw new RangeError("baseResolution needs to be a positive integer.");
+        if (!(Number.isInteger(opts.maxLevel) && opts.maxLevel >= 0))
+            throw new RangeError("maxLevel needs to be a non-negative integer.");
+        if (!(opts.maxTriangles >= 2 * opts.baseResolution * opts.baseResolution))
+            throw new RangeError("maxTriangles needs to fit at least the base grid.");
+        if (!(opts.jumpThreshold > 0))
+            throw new RangeError("jumpThreshold needs to be positive.");
+        this._fn = fn;
+        this._min = [min[0], min[1]];
+        this._max = [max[0], max[1]];
+        this._opts = opts;
+
+        /*
+            Vertices are addressed by integer coordinates on the grid of the
+            centres of the smallest possible cells, that is with
+            2^(maxLevel + 1) steps per cell of the base grid.
+        */
+        this._steps = opts.baseResolution * Math.pow(2, opts.maxLevel + 1);
+        this._samples = new Map();
+        this._jumps = new Map();
+        this._cells = new Map();
+        this._triangleCount = 0;
+
+        this._refine();
+        this._triangulate();
+    }
+
+    /**
+     * A flat array of x, y pairs, one per vertex.
+     */
+    get positions() {
+        return this._positions;
+    }
+
+    /**
+     * The function value at each vertex.
+     */
+    get values() {
+        return this._values;
+    }
+
+    /**
+     * A flat array with three vertex indices per triangle, counter clockwise.
+     * Triangles across a jump are left out.
+     */
+    get indices() {
+        return this._indices;
+    }
+
+    /**
+     * The level of each cell that was drawn, as an array, for inspection.
+     */
+    get levels() {
+        let levels = [];
+        for (let cell of this._cells.values()) {
+            if (cell.leaf)
+                levels.push(cell.level);
+        }
+        return levels;
+    }
+
+    /*
+        The point at integer coordinates (X, Y), as [x, y].
+    */
+    _point(X, Y) {
+        return [
+            this._min[0] + (this._max[0] - this._min[0]) * X / this._steps,
+            this._min[1] + (this._max[1] - this._min[1]) * Y / this._steps
+        ];
+    }
+
+    /*
+        The function value at integer coordinates (X, Y), sampled once.
+    */
+    _sample(X, Y) {
+        let key = X * (this._steps + 1) + Y;
+        let v = this._samples.get(key);
+        if (v === undefined) {
+            v = this._fn(...this._point(X, Y));
+            v = (typeof v === "number" && isFinite(v)) ? v : NaN;
+            this._samples.set(key, v);
+        }
+        return v;
+    }
+
+    /*
+        Whether the function jumps between the integer coordinates (X0, Y0)
+        and (X1, Y1), looked for once per edge.
+    */
+    _jumpsBetween(X0, Y0, X1, Y1) {
+        if (this._opts.jumpThreshold === Infinity)
+            return false;
+        let k0 = X0 * (this._steps + 1) + Y0, k1 = X1 * (this._steps + 1) + Y1;
+        let key = Math.min(k0, k1) + "," + Math.max(k0, k1);
+        let jumps = this._jumps.get(key);
+        if (jumps === undefined) {
+            jumps = Discontinuity.jumpsAlong(this._fn, this._point(X0, Y0), this._point(X1, Y1),
+                this._sample(X0, Y0), this._sample(X1, Y1), this._opts.jumpThreshold);
+            this._jumps.set(key, jumps);
+        }
+        return jumps;
+    }
+
+    static _key(level, i, j) {
+        return level + "," + i + "," + j;
+    }
+
+    /*
+        Adds a leaf cell, with its error.
+    */
+    _addCell(level, i, j) {
+        let cell = { level: level, i: i, j: j, leaf: true, error: 0 };
+        let s = this._size(level);
+        let X = i * s, Y = j * s, h = s / 2;
+        let c = [this._sample(X, Y), this._sample(X + s, Y), this._sample(X + s, Y + s), this._sample(X, Y + s)];
+        let probes = [
+            [this._sample(X + h, Y + h), (c[0] + c[1] + c[2] + c[3]) / 4],
+            [this._sample(X + h, Y), (c[0] + c[1]) / 2],
+            [this._sample(X + s, Y + h), (c[1] + c[2]) / 2],
+            [this._sample(X + h, Y + s), (c[2] + c[3]) / 2],
+            [this._sample(X, Y + h), (c[3] + c[0]) / 2]
+        ];
+        let values = c.concat(probes.map((p) => p[0]));
+        let defined = values.filter((v) => !isNaN(v)).length;
+        if (defined > 0 && defined < values.length)
+            cell.error = Infinity;
+        else if (defined > 0 && (this._jumpsBetween(X, Y, X + s, Y) || this._jumpsBetween(X + s, Y, X + s, Y + s) ||
+                                 this._jumpsBetween(X + s, Y + s, X, Y + s) || this._jumpsBetween(X, Y + s, X, Y)))
+            cell.error = Infinity;
+        else if (defined > 0)
+            cell.error = Math.max(...probes.map(([v, estimate]) => Math.abs(v - estimate)));
+        this._cells.set(AdaptiveMesh._key(level, i, j), cell);
+        return cell;
+    }
+
+    /*
+        The size of a cell on level, in integer coordinates.
+    */
+    _size(level) {
+        return Math.pow(2, this._opts.maxLevel + 1 - level);
+    }
+
+    /*
+        The number of cells along each axis on level.
+    */
+    _count(level) {
+        return this._opts.baseResolution * Math.pow(2, level);
+    }
+
+    /*
+        The cells next to cell on the same level, in the order bottom, right,
+        top and left, undefined for those that don't exist or are outside.
+    */
+    _neighbours(cell) {
+        const n = this._count(cell.level);
+        return [[0, -1], [1, 0], [0, 1], [-1, 0]].map(([di, dj]) => {
+            let i = cell.i + di, j = cell.j + dj;
+            if (i < 0 || j < 0 || i >= n || j >= n)
+                return undefined;
+            return this._cells.get(AdaptiveMesh._key(cell.level, i, j));
+        });
+    }
+
+    /*
+        The number of triangles _triangulate makes of a leaf, 2 for a plain
+        quad and a fan of 4 plus one per split neighbour otherwise.
+    */
+    _triangles(cell) {
+        let hanging = this._neighbours(cell).filter((n) => n !== undefined && !n.leaf).length;
+        return hanging == 0 ? 2 : 4 + hanging;
+    }
+
+    /*
+        The cells that have to be split, in order, before cell can be, so
+        that no two neighbours differ by more than one level.
+    */
+    _splitsNeeded(cell, res, seen) {
+        res = res || [];
+        seen = seen || new Set();
+        const n = this._count(cell.level);
+        for (let [di, dj] of [[0, -1], [1, 0], [0, 1], [-1, 0]]) {
+            let i = cell.i + di, j = cell.j + dj;
+            if (i < 0 || j < 0 || i >= n || j >= n)
+                continue;
+            if (this._cells.has(AdaptiveMesh._key(cell.level, i, j)))
+                continue;
+            let coarse = this._cells.get(AdaptiveMesh._key(cell.level - 1, i >> 1, j >> 1));
+            let key = AdaptiveMesh._key(coarse.level, coarse.i, coarse.j);
+            if (!seen.has(key)) {
+                seen.add(key);
+                this._splitsNeeded(coarse, res, seen);
+                res.push(coarse);
+            }
+        }
+        return res;
+    }
+
+    /*
+        Splits a leaf whose neighbours all exist, keeping the triangle count
+        up to date, and returns its children.
+    */
+    _split(cell) {
+        let affected = this._neighbours(cell).filter((n) => n !== undefined && n.leaf);
+        for (let c of affected.concat([cell]))
+            this._triangleCount -= this._triangles(c);
+        cell.leaf = false;
+        let children = [];
+        for (let [di, dj] of [[0, 0], [1, 0], [0, 1], [1, 1]])
+            children.push(this._addCell(cell.level + 1, 2 * cell.i + di, 2 * cell.j + dj));
+        for (let c of affected.concat(children))
+            this._triangleCount += this._triangles(c);
+        return children;
+    }
+
+    _refine() {
+        /*
+            At most this many triangles are added by one split. The four
+            children get up to 6 triangles each, the cell's own 2 or more go
+            away, and each of the four neighbours gets up to 3 more.
+        */
+        const MAX_TRIANGLES_PER_SPLIT = 4 * 6 - 2 + 4 * 3;
+        const opts = this._opts;
+        const n = opts.baseResolution;
+
+        let queue = new AdaptiveMeshQueue();
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < n; i++) {
+                queue.push(this._addCell(0, i, j));
+                this._triangleCount += 2;
+            }
+        }
+
+        while (queue.length > 0) {
+            let cell = queue.pop();
+            if (!cell.leaf || cell.level >= opts.maxLevel)
+                continue;
+            if (!(cell.error > opts.tolerance))
+                break;
+            let splits = this._splitsNeeded(cell).concat([cell]);
+            if (this._triangleCount + MAX_TRIANGLES_PER_SPLIT * splits.length > opts.maxTriangles)
+                break;
+            for (let c of splits) {
+                for (let child of this._split(c))
+                    queue.push(child);
+            }
+        }
+    }
+
+    _triangulate() {
+        let positions = [], values = [], indices = [];
+        let coords = [];
+        let vertices = new Map();
+        const steps = this._steps;
+        let vertex = (X, Y) => {
+            let key = X * (steps + 1) + Y;
+            let k = vertices.get(key);
+            if (k === undefined) {
+                k = values.length;
+                vertices.set(key, k);
+                positions.push(...this._point(X, Y));
+                coords.push([X, Y]);
+                values.push(this._sample(X, Y));
+            }
+            return k;
+        };
+        let jumps = (a, b) => this._jumpsBetween(...coords[a], ...coords[b]);
+        let triangle = (a, b, c) => {
+            if (!(jumps(a, b) || jumps(b, c) || jumps(c, a)))
+                indices.push(a, b, c);
+        };
+
+        for (let cell of this._cells.values()) {
+            if (!cell.leaf)
+                continue;
+            let s = this._size(cell.level), h = s / 2;
+            let X = cell.i * s, Y = cell.j * s;
+            let corners = [[X, Y], [X + s, Y], [X + s, Y + s], [X, Y + s]];
+            let middles = [[X + h, Y], [X + s, Y + h], [X + h, Y + s], [X, Y + h]];
+            let split = this._neighbours(cell).map((n) => n !== undefined && !n.leaf);
+
+            if (!split.some((b) => b)) {
+                let [a, b, c, d] = corners.map(([cx, cy]) => vertex(cx, cy));
+                /*
+                    Split along the diagonal from a to c, unless that leaves
+                    out a triangle that the other diagonal keeps.
+                */
+                let undef = [a, b, c, d].map((k) => isNaN(values[k]));
+                if (undef[0] || undef[2]) {
+                    triangle(a, b, d);
+                    triangle(b, c, d);
+                } else {
+                    triangle(a, b, c);
+                    triangle(a, c, d);
+                }
+                continue;
+            }
+
+            let ring = [];
+            for (let e = 0; e < 4; e++) {
+                ring.push(vertex(...corners[e]));
+                if (split[e])
+                    ring.push(vertex(...middles[e]));
+            }
+            let centre = vertex(X + h, Y + h);
+            for (let k = 0; k < ring.length; k++)
+                triangle(centre, ring[k], ring[(k + 1) % ring.length]);
+        }
+
+        let trimmed = MeshTrimming.trim(this._fn, positions, values, indices);
+        this._positions = trimmed.positions;
+        this._values = trimmed.values;
+        this._indices = trimmed.indices;
+    }
+}
+
+/*
+    A binary heap of cells, largest error first, and the larger cell of two
+    with the same error.
+*/
+class AdaptiveMeshQueue {
+    constructor() {
+        this._heap = [];
+    }
+
+    get length() {
+        return this._heap.length;
+    }
+
+    static _before(a, b) {
+        return a.error > b.error || (a.error === b.error && a.level < b.level);
+    }
+
+    push(cell) {
+        let heap = this._heap;
+        heap.push(cell);
+        for (let k = heap.length - 1; k > 0;) {
+            let parent = (k - 1) >> 1;
+            if (!AdaptiveMeshQueue._before(heap[k], heap[parent]))
+                break;
+            [heap[k], heap[parent]] = [heap[parent], heap[k]];
+            k = parent;
+        }
+    }
+
+    pop() {
+        let heap = this._heap;
+        let top = heap[0];
+        let last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            for (let k = 0;;) {
+                let best = k;
+                for (let c of [2 * k + 1, 2 * k + 2]) {
+                    if (c < heap.length && AdaptiveMeshQueue._before(heap[c], heap[best]))
+                        best = c;
+                }
+                if (best === k)
+                    break;
+                [heap[k], heap[best]] = [heap[best], heap[k]];
+                k = best;
+            }
+        }
+        return top;
+    }
+}
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * A complex number re + i im.
+ *
+ * Like Dual, arithmetic is done through the static methods, Complex.mul(z,
+ * Complex.exp(w)) and so on. They accept plain numbers as well, as complex
+ * numbers with no imaginary part, but always return a Complex.
+ *
+ * Every function in COMPLEX_FUNCTIONS is available as a static method with
+ * the same name. Multi valued functions give their principal value, with the
+ * branch cut along the negative real axis.
+ */
+class Complex {
+    /**
+     * @arg {Number} re
+     * @arg {Number} im 0 if not given.
+     */
+    constructor(re, im) {
+        this.re = re;
+        this.im = im === undefined ? 0 : im;
+    }
+
+    /**
+     * Gets a number as a Complex, or a Complex as is.
+     */
+    static from(a) {
+        return a instanceof Complex ? a : new Complex(a, 0);
+    }
+
+    /**
+     * Creates the complex number with modulus r and argument theta.
+     */
+    static fromPolar(r, theta) {
+        return new Complex(r * Math.cos(theta), r * Math.sin(theta));
+    }
+
+    static add(a, b) {
+        a = Complex.from(a); b = Complex.from(b);
+        return new Complex(a.re + b.re, a.im + b.im);
+    }
+
+    static sub(a, b) {
+        a = Complex.from(a); b = Complex.from(b);
+        return new Complex(a.re - b.re, a.im - b.im);
+    }
+
+    static mul(a, b) {
+        a = Complex.from(a); b = Complex.from(b);
+        return new Complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+    }
+
+    static div(a, b) {
+        a = Complex.from(a); b = Complex.from(b);
+        let d = b.re * b.re + b.im * b.im;
+        return new Complex((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+    }
+
+    static neg(a) {
+        a = Complex.from(a);
+        return new Complex(-a.re, -a.im);
+    }
+
+    /**
+     * a to the power of b. Integer powers are done by repeated
+     * multiplication, so that z^2 is exact and defined for every z, the rest
+     * as exp(b log(a)).
+     */
+    static pow(a, b) {
+        a = Complex.from(a); b = Complex.from(b);
+        if (b.im == 0 && Number.isInteger(b.re) && Math.abs(b.re) <= 1024) {
+            let res = new Complex(1, 0);
+            let base = a;
+            for (let n = Math.abs(b.re); n > 0; n >>= 1) {
+                if (n & 1)
+                    res = Complex.mul(res, base);
+                base = Complex.mul(base, base);
+            }
+            return b.re < 0 ? Complex.div(1, res) : res;
+        }
+        if (a.re == 0 && a.im == 0)
+            return b.re > 0 ? new Complex(0, 0) : new Complex(NaN, NaN);
+        return Complex.exp(Complex.mul(b, Complex.log(a)));
+    }
+
+    /**
+     * The modulus |a|, as a plain number.
+     */
+    static modulus(a) {
+        a = Complex.from(a);
+        return Math.hypot(a.re, a.im);
+    }
+
+    /**
+     * The argument of a in (-pi, pi], as a plain number.
+     */
+    static argument(a) {
+        a = Complex.from(a);
+        return Math.atan2(a.im, a.re);
+    }
+
+    /**
+     * Whether both parts are finite numbers.
+     */
+    static isFinite(a) {
+        a = Complex.from(a);
+        return isFinite(a.re) && isFinite(a.im);
+    }
+
+    equals(other, tolerance) {
+        if (tolerance === undefined)
+            tolerance = 0;
+        other = Complex.from(other);
+        return Math.abs(this.re - other.re) <= tolerance && Math.abs(this.im - other.im) <= tolerance;
+    }
+
+    toString() {
+        if (this.im < 0 || Object.is(this.im, -0))
+            return `${this.re} - ${-this.im}i`;
+        return `${this.re} + ${this.im}i`;
+    }
+}
+
+/*
+    The functions available in complex expressions, see
+    Expression.parseComplex. arity is the exact number of arguments expected.
+*/
+const COMPLEX_FUNCTIONS = {
+    "exp":  { arity: 1, evaluate: (z) => Complex.fromPolar(Math.exp(z.re), z.im) },
+    "log":  { arity: 1, evaluate: (z) => new Complex(Math.log(Complex.modulus(z)), Complex.argument(z)) },
+    "ln":   { arity: 1, evaluate: (z) => COMPLEX_FUNCTIONS.log.evaluate(z) },
+    "sqrt": { arity: 1, evaluate: (z) => {
+        let r = Complex.modulus(z);
+        let re = Math.sqrt((r + z.re) / 2), im = Math.sqrt((r - z.re) / 2);
+        return new Complex(re, (z.im < 0 || Object.is(z.im, -0)) ? -im : im);
+    } },
+    "sin":  { arity: 1, evaluate: (z) => new Complex(Math.sin(z.re) * Math.cosh(z.im), Math.cos(z.re) * Math.sinh(z.im)) },
+    "cos":  { arity: 1, evaluate: (z) => new Complex(Math.cos(z.re) * Math.cosh(z.im), -Math.sin(z.re) * Math.sinh(z.im)) },
+    "tan":  { arity: 1, evaluate: (z) => Complex.div(Complex.sin(z), Complex.cos(z)) },
+    "sinh": { arity: 1, evaluate: (z) => new Complex(Math.sinh(z.re) * Math.cos(z.im), Math.cosh(z.re) * Math.sin(z.im)) },
+    "cosh": { arity: 1, evaluate: (z) => new Complex(Math.cosh(z.re) * Math.cos(z.im), Math.sinh(z.re) * Math.sin(z.im)) },
+    "tanh": { arity: 1, evaluate: (z) => Complex.div(Complex.sinh(z), Complex.cosh(z)) },
+    "pow":  { arity: 2, evaluate: (a, b) => Complex.pow(a, b) },
+    "abs":  { arity: 1, evaluate: (z) => new Complex(Complex.modulus(z), 0) },
+    "arg":  { arity: 1, evaluate: (z) => new Complex(Complex.argument(z), 0) },
+    "re":   { arity: 1, evaluate: (z) => new Complex(z.re, 0) },
+    "im":   { arity: 1, evaluate: (z) => new Complex(z.im, 0) },
+    "conj": { arity: 1, evaluate: (z) => new Complex(z.re, -z.im) }
+};
+
+/*
+    Named constants of complex expressions, besides the real ones.
+*/
+const COMPLEX_CONSTANTS = {
+    "i": new Complex(0, 1)
+};
+
+/*
+    Complex.exp, Complex.sin and so on for every function in COMPLEX_FUNCTIONS,
+    except pow which is already there.
+*/
+for (let name in COMPLEX_FUNCTIONS) {
+    if (Complex[name] === undefined)
+        Complex[name] = (...args) => COMPLEX_FUNCTIONS[name].evaluate(...args.map(Complex.from));
+}
@@ -0,0 +1,254 @@
+'use strict';
+
+/**
+ * Delaunay triangulation of points in the plane, with the Bowyer-Watson
+ * algorithm.
+ *
+ * Doesn't depend on WebGL. Points that repeat an earlier one are left out of
+ * the triangulation. Nearly collinear points along the convex hull may miss
+ * their sliver triangles, since the algorithm starts from a large but finite
+ * triangle around everything.
+ */
+class Delaunay {
+    /**
+     * @arg {Array} points An array of [x, y] pairs.
+     */
+    constructor(points) {
+        if (!Array.isArray(points))
+            throw new TypeError("Expected an array of [x, y] pairs.");
+        for (let p of points) {
+            if (!(p != null && p.length == 2 && isFinite(p[0]) && isFinite(p[1])))
+                throw new TypeError("Expected every point to be a pair of finite numbers.");
+        }
+        this._points = points.map((p) => [p[0], p[1]]);
+        this._triangulate();
+    }
+
+    /**
+     * The points, as given.
+     */
+    get points() {
+        return this._points;
+    }
+
+    /**
+     * A flat array with three point indices per triangle, counter clockwise.
+     */
+    get triangles() {
+        return this._triangles;
+    }
+
+    /*
+        Builds this._all, every triangle including those with the vertices of
+        the enclosing triangle, which have indices n, n + 1 and n + 2, and
+        this._triangles from the rest.
+    */
+    _triangulate() {
+        const n = this._points.length;
+        let pts = this._points.slice();
+        this._triangles = [];
+        this._all = [];
+        if (n < 3)
+            return;
+
+        let min = [Infinity, Infinity], max = [-Infinity, -Infinity];
+        for (let p of pts) {
+            for (let a = 0; a < 2; a++) {
+                min[a] = Math.min(min[a], p[a]);
+                max[a] = Math.max(max[a], p[a]);
+            }
+        }
+        let size = Math.max(max[0] - min[0], max[1] - min[1], 1e-12);
+        let mx = (min[0] + max[0]) / 2, my = (min[1] + max[1]) / 2;
+        const FAR = 1e4 * size;
+        pts.push([mx - FAR, my - FAR], [mx + FAR, my - FAR], [mx, my + FAR]);
+        this._all = [Delaunay._triangle(pts, n, n + 1, n + 2)];
+
+        let seen = new Set();
+        for (let i = 0; i < n; i++) {
+            let key = pts[i][0] + "," + pts[i][1];
+            if (seen.has(key))
+                continue;
+            seen.add(key);
+
+            /*
+                Remove every triangle whose circumcircle holds the point, and
+                fill the hole with triangles from the point to its boundary.
+            */
+            let [bad, good] = this._cavity(pts[i][0], pts[i][1]);
+            this._all = good;
+            for (let [a, b] of Delaunay._boundary(bad))
+                this._all.push(Delaunay._triangle(pts, a, b, i));
+        }
+        this._pts = pts;
+        for (let t of this._all) {
+            if (t.v[0] < n && t.v[1] < n && t.v[2] < n)
+                this._triangles.push(...t.v);
+        }
+    }
+
+    /*
+        A triangle with its vertices in counter clockwise order, and its
+        circumcircle. Degenerate triangles get an infinite circle.
+    */
+    static _triangle(pts, a, b, c) {
+        let [ax, ay] = pts[a], [bx, by] = pts[b], [cx, cy] = pts[c];
+        let d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+        if (d < 0)
+            [b, c, bx, by, cx, cy] = [c, b, cx, cy, bx, by];
+        d = Math.abs(d);
+        if (d == 0)
+            return { v: [a, b, c], x: 0, y: 0, r2: Infinity };
+        let a2 = ax * ax + ay * ay, b2 = bx * bx + by * by, c2 = cx * cx + cy * cy;
+        let x = (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d;
+        let y = (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d;
+        return { v: [a, b, c], x: x, y: y, r2: (ax - x) * (ax - x) + (ay - y) * (ay - y) };
+    }
+
+    /*
+        Splits the triangles into those whose circumcircle strictly holds
+        (x, y) and the rest.
+    */
+    _cavity(x, y) {
+        let bad = [], good = [];
+        for (let t of this._all) {
+            let dx = x - t.x, dy = y - t.y;
+            (dx * dx + dy * dy < t.r2 ? bad : good).push(t);
+        }
+        return [bad, good];
+    }
+
+    /*
+        The edges of a set of triangles that aren't shared by two of them, as
+        [a, b] pairs, keeping the counter clockwise orientation.
+    */
+    static _boundary(triangles) {
+        let count = new Map();
+        for (let t of triangles) {
+            for (let e = 0; e < 3; e++) {
+                let a = t.v[e], b = t.v[(e + 1) % 3];
+                let key = Math.min(a, b) + "," + Math.max(a, b);
+                count.set(key, (count.get(key) || 0) + 1);
+            }
+        }
+        let edges = [];
+        for (let t of triangles) {
+            for (let e = 0; e < 3; e++) {
+                let a = t.v[e], b = t.v[(e + 1) % 3];
+                if (count.get(Math.min(a, b) + "," + Math.max(a, b)) == 1)
+                    edges.push([a, b]);
+            }
+        }
+        return edges;
+    }
+
+    /**
+     * Finds the triangle holding (x, y).
+     *
+     * @returns An object with vertices, the three point indices, and weights,
+     *          the barycentric coordinates of (x, y) with respect to them.
+     *          Undefined outside the convex hull.
+     */
+    find(x, y) {
+        const EPSILON = 1e-12;
+        let T = this._triangles;
+        let P = this._points;
+        for (let k = 0; k < T.length; k += 3) {
+            let [ax, ay] = P[T[k]], [bx, by] = P[T[k + 1]], [cx, cy] = P[T[k + 2]];
+            let d = (by - cy) * (ax - cx) + (cx - bx) * (ay - cy);
+            let w0 = ((by - cy) * (x - cx) + (cx - bx) * (y - cy)) / d;
+            let w1 = ((cy - ay) * (x - cx) + (ax - cx) * (y - cy)) / d;
+            let w2 = 1 - w0 - w1;
+            if (w0 >= -EPSILON && w1 >= -EPSILON && w2 >= -EPSILON)
+                return { vertices: [T[k], T[k + 1], T[k + 2]], weights: [w0, w1, w2] };
+        }
+        return undefined;
+    }
+
+    /**
+     * Sibson's natural neighbour coordinates of (x, y), that is how much of
+     * the Voronoi cell of (x, y) would be taken from each point if it were
+     * inserted.
+     *
+     * Near the convex hull the cell of (x, y) reaches towards infinity, and
+     * we use the barycentric coordinates from find instead.
+     *
+     * @returns An object with the arrays vertices, point indices, and
+     *          weights, summing to 1. Undefined outside the convex hull.
+     */
+    naturalNeighbours(x, y) {
+        let linear = this.find(x, y);
+        if (linear === undefined)
+            return undefined;
+        const n = this._points.length;
+        let [bad] = this._cavity(x, y);
+        if (bad.length == 0 || bad.some((t) => t.v.some((v) => v >= n)))
+            return linear;
+
+        /*
+            The new Voronoi cell of (x, y) has a corner at the circumcentre of
+            each new triangle, from (x, y) to an edge of the cavity. It is
+            convex and holds (x, y), so the corners go in order of angle.
+        */
+        let pts = this._pts;
+        let corners = Delaunay._boundary(bad).map(([a, b]) => {
+            let t = Delaunay._triangle([pts[a], pts[b], [x, y]], 0, 1, 2);
+            return isFinite(t.r2) ? [t.x, t.y] : [NaN, NaN];
+        });
+        if (corners.some((c) => !isFinite(c[0]) || !isFinite(c[1])))
+            return linear;
+        corners.sort((p, q) => Math.atan2(p[1] - y, p[0] - x) - Math.atan2(q[1] - y, q[0] - x));
+
+        let neighbours = Array.from(new Set([].concat(...bad.map((t) => t.v))));
+        let areas = neighbours.map((i) => {
+            /*
+                The part of the cell closer to point i than to any other
+                neighbour, which is what used to belong to point i.
+            */
+            let poly = corners;
+            let [px, py] = pts[i];
+            for (let j of neighbours) {
+                if (j === i)
+                    continue;
+                let [qx, qy] = pts[j];
+                poly = Delaunay._clip(poly, 2 * (qx - px), 2 * (qy - py), qx * qx + qy * qy - px * px - py * py);
+            }
+            return Delaunay._area(poly);
+        });
+        let total = areas.reduce((s, a) => s + a, 0);
+        if (!(total > 0))
+            return linear;
+        return { vertices: neighbours, weights: areas.map((a) => a / total) };
+    }
+
+    /*
+        Clips a convex polygon to the half plane a x + b y <= c, with
+        Sutherland-Hodgman.
+    */
+    static _clip(poly, a, b, c) {
+        let res = [];
+        for (let k = 0; k < poly.length; k++) {
+            let p = poly[k], q = poly[(k + 1) % poly.length];
+            let fp = a * p[0] + b * p[1] - c, fq = a * q[0] + b * q[1] - c;
+            if (fp <= 0)
+                res.push(p);
+            if ((fp < 0 && fq > 0) || (fp > 0 && fq < 0)) {
+                let t = fp / (fp - fq);
+                res.push([p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])]);
+            }
+        }
+        return res;
+    }
+
+    /*
+        The area of a simple polygon, with the shoelace formula.
+    */
+    static _area(poly) {
+        let sum = 0;
+        for (let k = 0; k < poly.length; k++) {
+            let p = poly[k], q = poly[(k + 1) % poly.length];
+            sum += p[0] * q[1] - q[0] * p[1];
+        }
+        return Math.abs(sum) / 2;
+    }
+}
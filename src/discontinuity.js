@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Detection of jump discontinuities, such as those of floor(x) or the poles
+ * of tan(x), between two samples of a function.
+ *
+ * Sampling alone can't tell a jump from a steep slope, so we bisect the
+ * segment between the samples, each time keeping the half where the function
+ * changes the most. Over a shrinking interval the change of a continuous
+ * function shrinks with it, about halving every step, while across a jump it
+ * stays the size of the jump, and through a pole it grows. A change that is
+ * still a good fraction of the first one after all the bisections is taken
+ * to be a jump, and we stop early once it isn't, which for smooth functions
+ * is after a couple of bisections.
+ *
+ * A function steeper than the change over the last interval looks like a jump
+ * as well, which is what it is at the resolution of the mesh.
+ */
+class Discontinuity {
+    /**
+     * The default options.
+     *
+     * bisections is the number of times the segment is halved, and ratio the
+     * fraction of the first change that has to remain after them for a jump.
+     */
+    static get defaults() {
+        return { bisections: 8, ratio: 0.25 };
+    }
+
+    /**
+     * Looks for a jump of fn between t0 and t1.
+     *
+     * @arg {Function} fn Called as fn(t), returns undefined, NaN or infinity
+     *                    where it isn't defined.
+     * @arg {Number} t0
+     * @arg {Number} t1
+     * @arg {Number} f0 Optional, fn(t0) if already known.
+     * @arg {Number} f1 Optional, fn(t1) if already known.
+     * @arg {Object} options Overrides for Discontinuity.defaults.
+     * @returns Where the jump is, at the middle of the last interval, or
+     *          undefined if fn seems continuous between t0 and t1. Places in
+     *          between where fn isn't defined count as jumps as well.
+     */
+    static jumpBetween(fn, t0, t1, f0, f1, options) {
+        const opts = Object.assign(Discontinuity.defaults, options);
+        let value = (t) => {
+            let v = fn(t);
+            return (typeof v === "number" && isFinite(v)) ? v : NaN;
+        };
+        if (f0 === undefined)
+            f0 = value(t0);
+        if (f1 === undefined)
+            f1 = value(t1);
+        if (isNaN(f0) || isNaN(f1))
+            return undefined;
+
+        const first = Math.abs(f1 - f0);
+        if (first == 0)
+            return undefined;
+        for (let k = 0; k < opts.bisections; k++) {
+            let t = (t0 + t1) / 2;
+            let f = value(t);
+            if (isNaN(f))
+                return t;
+            if (Math.abs(f - f0) >= Math.abs(f1 - f)) {
+                t1 = t; f1 = f;
+            } else {
+                t0 = t; f0 = f;
+            }
+            if (!(Math.abs(f1 - f0) > opts.ratio * first))
+                return undefined;
+        }
+        return (t0 + t1) / 2;
+    }
+
+    /**
+     * Whether fn, a function R^2 -> R, jumps along the segment from a to b.
+     * Only segments where the function changes by more than threshold are
+     * looked at.
+     *
+     * @arg {Function} fn Called as fn(x, y).
+     * @arg {Array} a The start, as [x, y].
+     * @arg {Array} b The end.
+     * @arg {Number} fa fn at a.
+     * @arg {Number} fb fn at b.
+     * @arg {Number} threshold The smallest change that counts as a jump.
+     * @arg {Object} options Overrides for Discontinuity.defaults.
+     */
+    static jumpsAlong(fn, a, b, fa, fb, threshold, options) {
+        if (!(Math.abs(fb - fa) > threshold))
+            return false;
+        let along = (t) => fn(a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t);
+        return Discontinuity.jumpBetween(along, 0, 1, fa, fb, options) !== undefined;
+    }
+}
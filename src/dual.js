@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * A dual number for forward mode automatic differentiation, that is a value
+ * together with its gradient with respect to n variables.
+ *
+ * Javascript has no operator overloading, so arithmetic is done through the
+ * static methods, Dual.add(x, Dual.sin(y)) and so on. They all accept plain
+ * numbers as well and then return plain numbers, so a callback written with
+ * them can be evaluated both normally and with duals.
+ *
+ * Every function of the expression language is available as a static method
+ * with the same name, Dual.sin, Dual.atan2, Dual.hypot etc.
+ *
+ * Duals deliberately have no valueOf, so a stray x * y gives NaN instead of
+ * silently dropping the derivative. Use Dual.value for comparisons and table
+ * lookups.
+ */
+class Dual {
+    /**
+     * @arg {Number} value
+     * @arg {Array} grad The partial derivatives of value.
+     */
+    constructor(value, grad) {
+        this.value = value;
+        this.grad = grad;
+    }
+
+    /**
+     * Creates the dual for variable k out of n, that is with a gradient equal
+     * to the k:th standard basis vector.
+     */
+    static variable(value, k, n) {
+        let grad = new Array(n).fill(0);
+        grad[k] = 1;
+        return new Dual(value, grad);
+    }
+
+    /**
+     * Gets the value of a dual, or a number as is.
+     */
+    static value(a) {
+        return a instanceof Dual ? a.value : a;
+    }
+
+    static add(a, b) { return Dual._binary(a, b, (x, y) => x + y, (x, y) => 1,  (x, y) => 1); }
+    static sub(a, b) { return Dual._binary(a, b, (x, y) => x - y, (x, y) => 1,  (x, y) => -1); }
+    static mul(a, b) { return Dual._binary(a, b, (x, y) => x * y, (x, y) => y,  (x, y) => x); }
+    static div(a, b) { return Dual._binary(a, b, (x, y) => x / y, (x, y) => 1 / y, (x, y) => -x / (y * y)); }
+
+    static neg(a) {
+        if (!(a instanceof Dual))
+            return -a;
+        return new Dual(-a.value, a.grad.map((g) => -g));
+    }
+
+    /**
+     * Applies a function from EXPRESSION_FUNCTIONS to duals or numbers.
+     *
+     * @arg {String} name The name of the function, for example "sin".
+     * @arg {Array} args The arguments.
+     */
+    static applyFunction(name, args) {
+        let fn = EXPRESSION_FUNCTIONS[name];
+        if (fn === undefined)
+            throw new ReferenceError(`Unknown function '${name}'.`);
+        if (args.length !== fn.arity)
+            throw new RangeError(`'${name}' takes ${fn.arity} argument(s) but was given ${args.length}.`);
+
+        let values = args.map(Dual.value);
+        let value = fn.evaluate(...values);
+        if (!args.some((a) => a instanceof Dual))
+            return value;
+
+        let partials = ExprCall.partialsOf(name);
+        return Dual._chain(args, value, (i) => partials[i].evaluate(values));
+    }
+
+    /*
+        Builds the result of f(args) = value, where partial(i) gives the
+        derivative of f with respect to argument i.
+    */
+    static _chain(args, value, partial) {
+        let n = args.find((a) => a instanceof Dual).grad.length;
+        let grad = new Array(n).fill(0);
+        for (let i = 0; i < args.length; i++) {
+            if (!(args[i] instanceof Dual))
+                continue;
+            let p = undefined;
+            for (let j = 0; j < n; j++) {
+                /*
+                    Skipping zeroes is not just an optimization, it keeps
+                    things like ln(u) in the partials of pow from turning a
+                    constant exponent into NaN.
+                */
+                let g = args[i].grad[j];
+                if (g === 0)
+                    continue;
+                if (p === undefined)
+                    p = partial(i);
+                grad[j] += p * g;
+            }
+        }
+        return new Dual(value, grad);
+    }
+
+    static _binary(a, b, f, dfa, dfb) {
+        let x = Dual.value(a), y = Dual.value(b);
+        let value = f(x, y);
+        if (!(a instanceof Dual || b instanceof Dual))
+            return value;
+        return Dual._chain([a, b], value, (i) => i === 0 ? dfa(x, y) : dfb(x, y));
+    }
+
+    toString() {
+        return `${this.value} + (${this.grad.join(", ")})ε`;
+    }
+}
+
+/*
+    Dual.sin, Dual.cos and so on for every function in the expression language.
+*/
+for (let name in EXPRESSION_FUNCTIONS) {
+    Dual[name] = (...args) => Dual.applyFunction(name, args);
+}
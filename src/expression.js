@@ -0,0 +1,807 @@
+'use strict';
+
+/*
+    A small math expression language, used in place of evaluating user input
+    as javascript.
+
+    The grammar, from lowest to highest precedence:
+
+        expr    := term (("+" | "-") term)*
+        term    := unary (("*" | "/") unary | unary)*
+        unary   := ("-" | "+") unary | power
+        power   := primary ("^" unary)?
+        primary := number | name | name "(" expr ("," expr)* ")" | "(" expr ")"
+
+    Juxtaposition is multiplication with the same precedence as "*", so 5x^2
+    is 5*(x^2) and 1/2x is (1/2)*x. A number can't follow directly after
+    another factor however, "x 2" is a syntax error and not x*2.
+
+    Powers are right associative, and bind tighter than unary minus, so -x^2
+    is -(x^2) and 2^-x is fine.
+
+    Complex expressions, see Expression.parseComplex, have the same grammar,
+    with the imaginary unit i and the functions in COMPLEX_FUNCTIONS.
+*/
+
+/**
+ * Thrown when an expression can not be parsed.
+ *
+ * The position property holds the zero based character offset of the offending
+ * token in the source string.
+ */
+class ExpressionSyntaxError extends SyntaxError {
+    constructor(message, position) {
+        super(`${message} at position ${position}.`);
+        this.name = "ExpressionSyntaxError";
+        this.position = position;
+    }
+}
+
+/**
+ * Thrown when an expression refers to a variable or function that doesn't
+ * exist. The position property works like for ExpressionSyntaxError.
+ */
+class ExpressionReferenceError extends ReferenceError {
+    constructor(message, position) {
+        super(`${message} at position ${position}.`);
+        this.name = "ExpressionReferenceError";
+        this.position = position;
+    }
+}
+
+/*
+    The functions available in expressions, arity is the exact number of
+    arguments expected.
+
+    partials holds the partial derivatives with respect to each argument, as
+    expressions in u (and v for the second argument). The chain rule is
+    applied by ExprCall.derivative.
+*/
+const EXPRESSION_FUNCTIONS = {
+    "sin":   { arity: 1, evaluate: Math.sin,   partials: ["cos(u)"] },
+    "cos":   { arity: 1, evaluate: Math.cos,   partials: ["-sin(u)"] },
+    "tan":   { arity: 1, evaluate: Math.tan,   partials: ["sec(u)^2"] },
+    "sec":   { arity: 1, evaluate: (x) => 1 / Math.cos(x), partials: ["sec(u) tan(u)"] },
+    "csc":   { arity: 1, evaluate: (x) => 1 / Math.sin(x), partials: ["-csc(u) cot(u)"] },
+    "cot":   { arity: 1, evaluate: (x) => 1 / Math.tan(x), partials: ["-csc(u)^2"] },
+    "asin":  { arity: 1, evaluate: Math.asin,  partials: ["1 / sqrt(1 - u^2)"] },
+    "acos":  { arity: 1, evaluate: Math.acos,  partials: ["-1 / sqrt(1 - u^2)"] },
+    "atan":  { arity: 1, evaluate: Math.atan,  partials: ["1 / (1 + u^2)"] },
+    "atan2": { arity: 2, evaluate: Math.atan2, partials: ["v / (u^2 + v^2)", "-u / (u^2 + v^2)"] },
+    "sinh":  { arity: 1, evaluate: Math.sinh,  partials: ["cosh(u)"] },
+    "cosh":  { arity: 1, evaluate: Math.cosh,  partials: ["sinh(u)"] },
+    "tanh":  { arity: 1, evaluate: Math.tanh,  partials: ["1 - tanh(u)^2"] },
+    "asinh": { arity: 1, evaluate: Math.asinh, partials: ["1 / sqrt(u^2 + 1)"] },
+    "acosh": { arity: 1, evaluate: Math.acosh, partials: ["1 / sqrt(u^2 - 1)"] },
+    "atanh": { arity: 1, evaluate: Math.atanh, partials: ["1 / (1 - u^2)"] },
+    "exp":   { arity: 1, evaluate: Math.exp,   partials: ["exp(u)"] },
+    "log":   { arity: 1, evaluate: Math.log,   partials: ["1 / u"] },
+    "ln":    { arity: 1, evaluate: Math.log,   partials: ["1 / u"] },
+    "log2":  { arity: 1, evaluate: Math.log2,  partials: ["1 / (u ln(2))"] },
+    "log10": { arity: 1, evaluate: Math.log10, partials: ["1 / (u ln(10))"] },
+    "sqrt":  { arity: 1, evaluate: Math.sqrt,  partials: ["1 / (2sqrt(u))"] },
+    "cbrt":  { arity: 1, evaluate: Math.cbrt,  partials: ["1 / (3cbrt(u)^2)"] },
+    "abs":   { arity: 1, evaluate: Math.abs,   partials: ["sign(u)"] },
+    // The derivatives of these are zero wherever they are defined.
+    "sign":  { arity: 1, evaluate: Math.sign,  partials: ["0"] },
+    "floor": { arity: 1, evaluate: Math.floor, partials: ["0"] },
+    "ceil":  { arity: 1, evaluate: Math.ceil,  partials: ["0"] },
+    "round": { arity: 1, evaluate: Math.round, partials: ["0"] },
+    "min":   { arity: 2, evaluate: Math.min,   partials: ["(1 - sign(u - v)) / 2", "(1 + sign(u - v)) / 2"] },
+    "max":   { arity: 2, evaluate: Math.max,   partials: ["(1 + sign(u - v)) / 2", "(1 - sign(u - v)) / 2"] },
+    "pow":   { arity: 2, evaluate: Math.pow,   partials: ["v u^(v - 1)", "u^v ln(u)"] },
+    "hypot": { arity: 2, evaluate: Math.hypot, partials: ["u / hypot(u, v)", "v / hypot(u, v)"] }
+};
+
+/*
+    Named constants. A variable with the same name takes precedence.
+*/
+const EXPRESSION_CONSTANTS = {
+    "pi":  Math.PI,
+    "\u03C0": Math.PI,
+    "tau": 2 * Math.PI,
+    "e":   Math.E
+};
+
+/*
+    Parsed versions of the partials in EXPRESSION_FUNCTIONS, created on demand.
+*/
+const EXPRESSION_PARTIALS = new Map();
+
+/**
+ * A lexical token, type is one of "number", "name", "operator", "(", ")", ","
+ * and "end".
+ */
+class ExpressionToken {
+    constructor(type, value, position) {
+        this.type = type;
+        this.value = value;
+        this.position = position;
+    }
+}
+
+/**
+ * Splits an expression string into tokens.
+ */
+class ExpressionTokenizer {
+    constructor(source) {
+        if (typeof source !== "string")
+            throw new TypeError("Expected the expression to be a string.");
+        this._source = source;
+    }
+
+    /**
+     * Returns an array of ExpressionToken, always terminated by an "end" token.
+     */
+    tokenize() {
+        const NUMBER = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+        const NAME = /^[A-Za-z_\u00C0-\u024F\u0370-\u03FF][A-Za-z0-9_\u00C0-\u024F\u0370-\u03FF]*/;
+        const OPERATORS = "+-*/^";
+
+        let src = this._source;
+        let tokens = [];
+        let pos = 0;
+        while (pos < src.length) {
+            let c = src[pos];
+            if (/\s/.test(c)) {
+                pos++;
+                continue;
+            }
+
+            let rest = src.slice(pos);
+            let m = null;
+            if ((m = NUMBER.exec(rest)) != null) {
+                tokens.push(new ExpressionToken("number", parseFloat(m[0]), pos));
+                pos += m[0].length;
+            } else if ((m = NAME.exec(rest)) != null) {
+                tokens.push(new ExpressionToken("name", m[0], pos));
+                pos += m[0].length;
+            } else if (OPERATORS.indexOf(c) !== -1) {
+                tokens.push(new ExpressionToken("operator", c, pos));
+                pos++;
+            } else if (c === "(" || c === ")" || c === ",") {
+                tokens.push(new ExpressionToken(c, c, pos));
+                pos++;
+            } else {
+                throw new ExpressionSyntaxError(`Unexpected character '${c}'`, pos);
+            }
+        }
+        tokens.push(new ExpressionToken("end", null, src.length));
+        return tokens;
+    }
+}
+
+/**
+ * Abstract class. A node in the syntax tree of an expression.
+ */
+class ExprNode {
+    /**
+     * Evaluate the node.
+     *
+     * @arg {Array} args The values of the variables, in the order they were
+     *                   given to the parser.
+     */
+    evaluate(args) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /**
+     * Evaluate the node with complex arithmetic.
+     *
+     * @arg {Array} args The values of the variables, as numbers or Complex.
+     * @returns A Complex.
+     */
+    evaluateComplex(args) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /**
+     * Returns the partial derivative of this node with respect to the variable 
+     * with index k, as a new simplified node.
+     */
+    derivative(k) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /**
+     * Returns a copy of this node where each variable with index i has been 
+     * replaced by nodes[i].
+     */
+    substitute(nodes) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /**
+     * True if this is a plain number equal to value.
+     */
+    isNumber(value) {
+        return false;
+    }
+
+    /**
+     * Operator precedence, used to put parentheses in the right places when
+     * printing.
+     */
+    get precedence() {
+        return 100;
+    }
+
+    /**
+     * Prints this node, with parentheses if its precedence is below minPrec.
+     */
+    toStringWithin(minPrec) {
+        let s = this.toString();
+        return this.precedence < minPrec ? "(" + s + ")" : s;
+    }
+
+    /*
+        The factories below build nodes while doing the simplifications that 
+        matter for derivatives, folding constants and removing terms like 0*x 
+        and 1*x. Without them the derivative trees grow very quickly.
+    */
+
+    static number(value) {
+        return new ExprNumber(value);
+    }
+
+    static negate(a) {
+        if (a instanceof ExprNumber && a.name === undefined)
+            return new ExprNumber(-a.value);
+        if (a instanceof ExprUnary)
+            return a.arg;
+        return new ExprUnary("-", a);
+    }
+
+    static binary(op, a, b) {
+        /*
+            Fold plain numbers, unless the result isn't a finite number, since 
+            we couldn't print that as an expression.
+        */
+        if (a instanceof ExprNumber && a.name === undefined && b instanceof ExprNumber && b.name === undefined) {
+            let v = new ExprBinary(op, a, b).evaluate([]);
+            if (isFinite(v))
+                return new ExprNumber(v);
+        }
+        switch (op) {
+            case "+":
+                if (a.isNumber(0)) return b;
+                if (b.isNumber(0)) return a;
+                if (b instanceof ExprUnary) return ExprNode.binary("-", a, b.arg);
+                break;
+            case "-":
+                if (b.isNumber(0)) return a;
+                if (a.isNumber(0)) return ExprNode.negate(b);
+                if (b instanceof ExprUnary) return ExprNode.binary("+", a, b.arg);
+                break;
+            case "*":
+                if (a.isNumber(0) || b.isNumber(0)) return new ExprNumber(0);
+                if (a.isNumber(1)) return b;
+                if (b.isNumber(1)) return a;
+                if (a.isNumber(-1)) return ExprNode.negate(b);
+                if (b.isNumber(-1)) return ExprNode.negate(a);
+                if (a instanceof ExprUnary) return ExprNode.negate(ExprNode.binary("*", a.arg, b));
+                if (b instanceof ExprUnary) return ExprNode.negate(ExprNode.binary("*", a, b.arg));
+                // Keep numbers to the left, so they can be folded together.
+                if (b instanceof ExprNumber && !(a instanceof ExprNumber)) return ExprNode.binary("*", b, a);
+                if (a instanceof ExprNumber && b instanceof ExprBinary && b.op === "*" && b.left instanceof ExprNumber)
+                    return ExprNode.binary("*", ExprNode.binary("*", a, b.left), b.right);
+                break;
+            case "/":
+                if (a.isNumber(0)) return new ExprNumber(0);
+                if (b.isNumber(1)) return a;
+                if (a instanceof ExprUnary) return ExprNode.negate(ExprNode.binary("/", a.arg, b));
+                break;
+            case "^":
+                if (b.isNumber(0)) return new ExprNumber(1);
+                if (b.isNumber(1)) return a;
+                break;
+        }
+        return new ExprBinary(op, a, b);
+    }
+
+    static call(name, args) {
+        if (args.every((a) => a instanceof ExprNumber && a.name === undefined)) {
+            let v = new ExprCall(name, args).evaluate([]);
+            if (isFinite(v))
+                return new ExprNumber(v);
+        }
+        return new ExprCall(name, args);
+    }
+}
+
+class ExprNumber extends ExprNode {
+    /**
+     * @arg {Number} value
+     * @arg {String} name Optional name of a constant, used when printing.
+     */
+    constructor(value, name) {
+        super();
+        this.value = value;
+        this.name = name;
+    }
+
+    evaluate(args) {
+        return this.value;
+    }
+
+    evaluateComplex(args) {
+        return Complex.from(this.value);
+    }
+
+    derivative(k) {
+        return new ExprNumber(0);
+    }
+
+    substitute(nodes) {
+        return this;
+    }
+
+    isNumber(value) {
+        return this.name === undefined && this.value === value;
+    }
+
+    get precedence() {
+        // Negative literals print with a minus sign in front.
+        return this.value < 0 ? 3 : 100;
+    }
+
+    toString() {
+        return this.name !== undefined ? this.name : String(this.value);
+    }
+}
+
+class ExprVariable extends ExprNode {
+    /**
+     * @arg {String} name
+     * @arg {Number} index The variable's position among the function arguments.
+     */
+    constructor(name, index) {
+        super();
+        this.name = name;
+        this.index = index;
+    }
+
+    evaluate(args) {
+        return args[this.index];
+    }
+
+    evaluateComplex(args) {
+        return Complex.from(args[this.index]);
+    }
+
+    derivative(k) {
+        return new ExprNumber(k === this.index ? 1 : 0);
+    }
+
+    substitute(nodes) {
+        return nodes[this.index];
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+class ExprUnary extends ExprNode {
+    /**
+     * @arg {String} op Only "-" for now.
+     */
+    constructor(op, arg) {
+        super();
+        this.op = op;
+        this.arg = arg;
+    }
+
+    evaluate(args) {
+        return -this.arg.evaluate(args);
+    }
+
+    evaluateComplex(args) {
+        return Complex.neg(this.arg.evaluateComplex(args));
+    }
+
+    derivative(k) {
+        return ExprNode.negate(this.arg.derivative(k));
+    }
+
+    substitute(nodes) {
+        return ExprNode.negate(this.arg.substitute(nodes));
+    }
+
+    get precedence() {
+        return 3;
+    }
+
+    toString() {
+        return this.op + this.arg.toStringWithin(3);
+    }
+}
+
+class ExprBinary extends ExprNode {
+    /**
+     * @arg {String} op One of + - * / ^.
+     */
+    constructor(op, left, right) {
+        super();
+        this.op = op;
+        this.left = left;
+        this.right = right;
+    }
+
+    evaluate(args) {
+        let a = this.left.evaluate(args);
+        let b = this.right.evaluate(args);
+        switch (this.op) {
+            case "+": return a + b;
+            case "-": return a - b;
+            case "*": return a * b;
+            case "/": return a / b;
+            case "^": return Math.pow(a, b);
+        }
+        throw new Error(`Bug! Unknown operator ${this.op}.`);
+    }
+
+    evaluateComplex(args) {
+        let a = this.left.evaluateComplex(args);
+        let b = this.right.evaluateComplex(args);
+        switch (this.op) {
+            case "+": return Complex.add(a, b);
+            case "-": return Complex.sub(a, b);
+            case "*": return Complex.mul(a, b);
+            case "/": return Complex.div(a, b);
+            case "^": return Complex.pow(a, b);
+        }
+        throw new Error(`Bug! Unknown operator ${this.op}.`);
+    }
+
+    derivative(k) {
+        const B = ExprNode.binary;
+        let a = this.left, b = this.right;
+        let da = a.derivative(k), db = b.derivative(k);
+        switch (this.op) {
+            case "+": 
+            case "-": 
+                return B(this.op, da, db);
+            case "*": 
+                return B("+", B("*", da, b), B("*", a, db));
+            case "/":
+                if (db.isNumber(0))
+                    return B("/", da, b);
+                return B("/", B("-", B("*", da, b), B("*", a, db)), B("^", b, ExprNode.number(2)));
+            case "^":
+                /*
+                    d(a^b) = b a^(b-1) da + a^b ln(a) db, where the second term 
+                    folds away for constant exponents, so that negative bases 
+                    work as long as the exponent is constant.
+                */
+                return B("+", 
+                    B("*", B("*", b, B("^", a, B("-", b, ExprNode.number(1)))), da),
+                    B("*", B("*", B("^", a, b), ExprNode.call("ln", [a])), db));
+        }
+        throw new Error(`Bug! Unknown operator ${this.op}.`);
+    }
+
+    substitute(nodes) {
+        return ExprNode.binary(this.op, this.left.substitute(nodes), this.right.substitute(nodes));
+    }
+
+    get precedence() {
+        switch (this.op) {
+            case "+": case "-": return 1;
+            case "*": case "/": return 2;
+        }
+        return 4;
+    }
+
+    toString() {
+        let p = this.precedence;
+        if (this.op === "^")
+            return this.left.toStringWithin(p + 1) + "^" + this.right.toStringWithin(3);
+        /*
+            Left associative, so the right hand side needs parentheses at equal
+            precedence, a - (b - c).
+        */
+        return this.left.toStringWithin(p) + " " + this.op + " " + this.right.toStringWithin(p + 1);
+    }
+}
+
+class ExprCall extends ExprNode {
+    /**
+     * @arg {String} name A key in EXPRESSION_FUNCTIONS, or in
+     *                    COMPLEX_FUNCTIONS for complex expressions.
+     * @arg {Array} args The argument nodes.
+     */
+    constructor(name, args) {
+        super();
+        this.name = name;
+        this.args = args;
+        this._fn = EXPRESSION_FUNCTIONS[name];
+    }
+
+    evaluate(args) {
+        if (this.args.length === 1)
+            return this._fn.evaluate(this.args[0].evaluate(args));
+        return this._fn.evaluate(...this.args.map((a) => a.evaluate(args)));
+    }
+
+    evaluateComplex(args) {
+        return COMPLEX_FUNCTIONS[this.name].evaluate(...this.args.map((a) => a.evaluateComplex(args)));
+    }
+
+    derivative(k) {
+        let partials = ExprCall.partialsOf(this.name);
+        let res = ExprNode.number(0);
+        for (let i = 0; i < this.args.length; i++) {
+            let inner = this.args[i].derivative(k);
+            if (inner.isNumber(0))
+                continue;
+            res = ExprNode.binary("+", res, ExprNode.binary("*", partials[i].substitute(this.args), inner));
+        }
+        return res;
+    }
+
+    substitute(nodes) {
+        return ExprNode.call(this.name, this.args.map((a) => a.substitute(nodes)));
+    }
+
+    /**
+     * Gets the parsed partials of function name from EXPRESSION_FUNCTIONS.
+     */
+    static partialsOf(name) {
+        if (!EXPRESSION_PARTIALS.has(name)) {
+            let vars = ["u", "v"];
+            EXPRESSION_PARTIALS.set(name, EXPRESSION_FUNCTIONS[name].partials.map((src) => new ExpressionParser(src, vars).parse()));
+        }
+        return EXPRESSION_PARTIALS.get(name);
+    }
+
+    toString() {
+        return this.name + "(" + this.args.map((a) => a.toString()).join(", ") + ")";
+    }
+}
+
+/**
+ * Recursive descent parser for the grammar at the top of this file.
+ */
+class ExpressionParser {
+    /**
+     * @arg {String} source The expression.
+     * @arg {Array} vars An array of variable names, allowed in the expression.
+     * @arg {Boolean} complex Whether to parse a complex expression, with i
+     *                        and the functions in COMPLEX_FUNCTIONS.
+     */
+    constructor(source, vars, complex) {
+        this._tokens = new ExpressionTokenizer(source).tokenize();
+        this._vars = vars;
+        this._complex = !!complex;
+        this._pos = 0;
+    }
+
+    /**
+     * Parses the whole source and returns the root ExprNode.
+     */
+    parse() {
+        let node = this._expr();
+        let t = this._peek();
+        if (t.type !== "end")
+            throw this._unexpected(t);
+        return node;
+    }
+
+    _peek() {
+        return this._tokens[this._pos];
+    }
+
+    _next() {
+        return this._tokens[this._pos++];
+    }
+
+    _isOperator(t, op) {
+        return t.type === "operator" && t.value === op;
+    }
+
+    _unexpected(t) {
+        if (t.type === "end")
+            return new ExpressionSyntaxError("Unexpected end of expression", t.position);
+        return new ExpressionSyntaxError(`Unexpected '${t.value}'`, t.position);
+    }
+
+    _expect(type) {
+        let t = this._next();
+        if (t.type !== type)
+            throw this._unexpected(t);
+        return t;
+    }
+
+    _expr() {
+        let node = this._term();
+        let t = this._peek();
+        while (this._isOperator(t, "+") || this._isOperator(t, "-")) {
+            this._next();
+            node = new ExprBinary(t.value, node, this._term());
+            t = this._peek();
+        }
+        return node;
+    }
+
+    _term() {
+        let node = this._unary();
+        for (;;) {
+            let t = this._peek();
+            if (this._isOperator(t, "*") || this._isOperator(t, "/")) {
+                this._next();
+                node = new ExprBinary(t.value, node, this._unary());
+            } else if (t.type === "name" || t.type === "(") {
+                // Implicit multiplication.
+                node = new ExprBinary("*", node, this._unary());
+            } else {
+                return node;
+            }
+        }
+    }
+
+    _unary() {
+        let t = this._peek();
+        if (this._isOperator(t, "-")) {
+            this._next();
+            return new ExprUnary("-", this._unary());
+        }
+        if (this._isOperator(t, "+")) {
+            this._next();
+            return this._unary();
+        }
+        return this._power();
+    }
+
+    _power() {
+        let base = this._primary();
+        if (this._isOperator(this._peek(), "^")) {
+            this._next();
+            return new ExprBinary("^", base, this._unary());
+        }
+        return base;
+    }
+
+    _primary() {
+        let t = this._next();
+        if (t.type === "number")
+            return new ExprNumber(t.value);
+        if (t.type === "(") {
+            let node = this._expr();
+            this._expect(")");
+            return node;
+        }
+        if (t.type === "name")
+            return this._name(t);
+        throw this._unexpected(t);
+    }
+
+    _name(t) {
+        let idx = this._vars.indexOf(t.value);
+        if (idx !== -1)
+            return new ExprVariable(t.value, idx);
+        if (EXPRESSION_CONSTANTS.hasOwnProperty(t.value))
+            return new ExprNumber(EXPRESSION_CONSTANTS[t.value], t.value);
+        if (this._complex && COMPLEX_CONSTANTS.hasOwnProperty(t.value))
+            return new ExprNumber(COMPLEX_CONSTANTS[t.value], t.value);
+
+        const functions = this._complex ? COMPLEX_FUNCTIONS : EXPRESSION_FUNCTIONS;
+        if (!functions.hasOwnProperty(t.value)) {
+            if (this._peek().type === "(")
+                throw new ExpressionReferenceError(`Unknown function '${t.value}'`, t.position);
+            throw new ExpressionReferenceError(`Unknown variable '${t.value}'`, t.position);
+        }
+
+        let fn = functions[t.value];
+        this._expect("(");
+        let args = [this._expr()];
+        while (this._peek().type === ",") {
+            this._next();
+            args.push(this._expr());
+        }
+        this._expect(")");
+        if (args.length !== fn.arity)
+            throw new ExpressionSyntaxError(`'${t.value}' takes ${fn.arity} argument(s) but was given ${args.length}`, t.position);
+        return new ExprCall(t.value, args);
+    }
+}
+
+/**
+ * A parsed expression in a given set of variables.
+ */
+class Expression {
+    /**
+     * Use Expression.parse instead, unless you already have a syntax tree.
+     *
+     * @arg {Array} vars An array of variable names.
+     * @arg {ExprNode} root The syntax tree.
+     * @arg {Boolean} complex Whether root is a complex expression, false if
+     *                        not given.
+     */
+    constructor(vars, root, complex) {
+        if (!(root instanceof ExprNode))
+            throw new TypeError("Expected an ExprNode.");
+        this._vars = vars;
+        this._root = root;
+        this._complex = !!complex;
+    }
+
+    /**
+     * Parses source into an Expression.
+     *
+     * Throws ExpressionSyntaxError for malformed input and
+     * ExpressionReferenceError for unknown names.
+     *
+     * @arg {String} source The expression, for example "cos(5x^2) + y".
+     * @arg {Array} vars An array of strings, the variables allowed in source.
+     */
+    static parse(source, vars) {
+        return new Expression(vars, new ExpressionParser(source, vars).parse());
+    }
+
+    /**
+     * Parses source into a complex Expression, which can use the imaginary
+     * unit i and the functions in COMPLEX_FUNCTIONS, and is evaluated with
+     * evaluateComplex.
+     *
+     * @arg {String} source The expression, for example "exp(1/z) + 2i".
+     * @arg {Array} vars An array of strings, the variables allowed in source.
+     */
+    static parseComplex(source, vars) {
+        return new Expression(vars, new ExpressionParser(source, vars, true).parse(), true);
+    }
+
+    get vars() {
+        return this._vars;
+    }
+
+    get root() {
+        return this._root;
+    }
+
+    /**
+     * Whether this is a complex expression, see parseComplex.
+     */
+    get complex() {
+        return this._complex;
+    }
+
+    /**
+     * Evaluate the expression with the variables set to the values in args,
+     * in the order of vars.
+     */
+    evaluate(args) {
+        if (this._complex)
+            throw new TypeError("Complex expressions are evaluated with evaluateComplex.");
+        return this._root.evaluate(args);
+    }
+
+    /**
+     * Evaluate the expression with complex arithmetic, with the variables set
+     * to the numbers or Complex values in args.
+     *
+     * @returns A Complex.
+     */
+    evaluateComplex(args) {
+        return this._root.evaluateComplex(args);
+    }
+
+    /**
+     * Symbolically differentiates the expression.
+     * 
+     * @arg variable The name or the index of the variable.
+     * @returns A new Expression in the same variables.
+     */
+    derivative(variable) {
+        if (this._complex)
+            throw new TypeError("Complex expressions can't be differentiated.");
+        let k = typeof variable === "string" ? this._vars.indexOf(variable) : variable;
+        if (!(k >= 0 && k < this._vars.length))
+            throw new RangeError(`No variable ${variable} in this expression.`);
+        return new Expression(this._vars, this._root.derivative(k));
+    }
+
+    toString() {
+        return this._root.toString();
+    }
+}
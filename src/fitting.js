@@ -0,0 +1,273 @@
+'use strict';
+
+/**
+ * Least squares fitting of surfaces z = f(x, y) to the points of a
+ * ScatterPlot.
+ *
+ * Every fit gives an object with fn, the fitted surface as a
+ * RealValuedFunction in x and y, parameters, the fitted coefficients,
+ * residuals, z - f(x, y) per row of the data (NaN for rows missing x, y or
+ * z), and rms, the root mean square of the residuals.
+ */
+class SurfaceFitting {
+    /**
+     * The monomials x^i y^j of a polynomial of degree, as [i, j] pairs in
+     * order of increasing total degree.
+     */
+    static polynomialTerms(degree) {
+        if (!(Number.isInteger(degree) && degree >= 0))
+            throw new RangeError("degree needs to be a non-negative integer.");
+        let terms = [];
+        for (let d = 0; d <= degree; d++) {
+            for (let j = 0; j <= d; j++)
+                terms.push([d - j, j]);
+        }
+        return terms;
+    }
+
+    /**
+     * Fits a polynomial in x and y of the given total degree, solving the
+     * linear least squares problem with a QR decomposition.
+     *
+     * @arg {ScatterPlot} data
+     * @arg {Number} degree
+     * @returns A fit, see SurfaceFitting, where parameters holds the
+     *          coefficients in the order of polynomialTerms.
+     */
+    static polynomial(data, degree) {
+        let terms = SurfaceFitting.polynomialTerms(degree);
+        let rows = SurfaceFitting._rows(data);
+        if (rows.length < terms.length)
+            throw new RangeError(`A polynomial of degree ${degree} needs at least ${terms.length} points.`);
+
+        let A = rows.map((r) => terms.map(([i, j]) => Math.pow(r.x, i) * Math.pow(r.y, j)));
+        let coeffs = SurfaceFitting._solveLeastSquares(A, rows.map((r) => r.z));
+        if (coeffs === undefined)
+            throw new RangeError("The points don't determine the polynomial, they may lie on a curve.");
+
+        /*
+            Build the expression tree directly, so that the numbers keep their
+            full precision.
+        */
+        const x = new ExprVariable("x", 0), y = new ExprVariable("y", 1);
+        let root = ExprNode.number(0);
+        terms.forEach(([i, j], k) => {
+            let term = ExprNode.number(coeffs[k]);
+            if (i > 0)
+                term = ExprNode.binary("*", term, i == 1 ? x : ExprNode.binary("^", x, ExprNode.number(i)));
+            if (j > 0)
+                term = ExprNode.binary("*", term, j == 1 ? y : ExprNode.binary("^", y, ExprNode.number(j)));
+            root = ExprNode.binary("+", root, term);
+        });
+        let fn = new RealValuedFunction(["x", "y"], new Expression(["x", "y"], root));
+        return SurfaceFitting._result(data, fn, coeffs);
+    }
+
+    /**
+     * Fits an expression with free parameters using Levenberg-Marquardt.
+     * Throws a RangeError if the expression isn't defined at all points with
+     * the initial parameters, or a derivative by a parameter isn't with the
+     * parameters reached.
+     *
+     * @arg {ScatterPlot} data
+     * @arg {String} source An expression in x, y and the parameters, for
+     *                      example "a exp(-b (x^2 + y^2))".
+     * @arg {Array} params The names of the parameters.
+     * @arg {Object} options Optional. initial holds the starting values of
+     *                       the parameters, all 1 by default. maxIterations
+     *                       is 100 by default, and tolerance, the relative
+     *                       change in the parameters or the sum of squares
+     *                       below which we stop, 1e-10.
+     * @returns A fit, see SurfaceFitting, where parameters holds the fitted
+     *          values in the order of params. iterations is the number of
+     *          iterations made, and converged whether the tolerance was met.
+     */
+    static levenbergMarquardt(data, source, params, options) {
+        options = options || {};
+        const m = params.length;
+        if (params.some((p) => p === "x" || p === "y"))
+            throw new RangeError("x and y can't be parameters.");
+        let expr = Expression.parse(source, ["x", "y"].concat(params));
+        let partials = params.map((p) => expr.derivative(p));
+        let rows = SurfaceFitting._rows(data);
+        if (rows.length < m)
+            throw new RangeError(`Fitting ${m} parameters needs at least ${m} points.`);
+        const maxIterations = options.maxIterations === undefined ? 100 : options.maxIterations;
+        const tolerance = options.tolerance === undefined ? 1e-10 : options.tolerance;
+        let p = options.initial ? Array.from(options.initial) : new Array(m).fill(1);
+        if (p.length != m)
+            throw new RangeError(`Expected ${m} initial values.`);
+
+        function residuals(p) {
+            return rows.map((r) => r.z - expr.evaluate([r.x, r.y, ...p]));
+        }
+        function sumOfSquares(res) {
+            let s = res.reduce((s, r) => s + r * r, 0);
+            return isFinite(s) ? s : Infinity;
+        }
+
+        let res = residuals(p);
+        let cost = sumOfSquares(res);
+        if (!isFinite(cost))
+            throw new RangeError("The expression isn't defined at all points with the initial parameters.");
+
+        let lambda = 1e-3;
+        let converged = false;
+        let iteration = 0;
+        for (; iteration < maxIterations && !converged; iteration++) {
+            let J = rows.map((r) => partials.map((d) => d.evaluate([r.x, r.y, ...p])));
+            /*
+                The residuals are finite here, but the model can still be 
+                singular, like sqrt(x - b) at x = b, which no damping helps.
+            */
+            for (let i = 0; i < rows.length; i++) {
+                let a = J[i].findIndex((v) => !isFinite(v));
+                if (a !== -1) {
+                    let values = params.map((name, b) => `${name} = ${p[b]}`).join(", ");
+                    throw new RangeError(`The derivative by ${params[a]} isn't defined at (${rows[i].x}, ${rows[i].y}) with ${values}.`);
+                }
+            }
+            let JtJ = RealMatrix.fromFunction(m, m, (a, b) => J.reduce((s, row) => s + row[a] * row[b], 0));
+            let Jtr = new RealVector(...params.map((_, a) => J.reduce((s, row, i) => s + row[a] * res[i], 0)));
+
+            /*
+                Increase the damping until a step lowers the sum of squares.
+                Scaling it by the diagonal makes it independent of the units
+                of the parameters.
+            */
+            let accepted = false;
+            while (!accepted && lambda < 1e16) {
+                let damped = RealMatrix.fromFunction(m, m, (a, b) =>
+                    JtJ.at(a, b) + (a == b ? lambda * Math.max(JtJ.at(a, a), 1e-12) : 0));
+                let step;
+                try {
+                    step = damped.solve(Jtr).toArray();
+                } catch (e) {
+                    if (!(e instanceof RangeError))
+                        throw e;
+                    lambda *= 10;
+                    continue;
+                }
+                // A step that overflows is rejected like one that doesn't help.
+                if (!step.every(isFinite)) {
+                    lambda *= 10;
+                    continue;
+                }
+                let q = p.map((v, a) => v + step[a]);
+                let qres = residuals(q);
+                let qcost = sumOfSquares(qres);
+                if (qcost < cost) {
+                    let small = step.every((s, a) => Math.abs(s) <= tolerance * (Math.abs(p[a]) + tolerance));
+                    converged = small || (cost - qcost) <= tolerance * cost;
+                    [p, res, cost] = [q, qres, qcost];
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    accepted = true;
+                } else {
+                    lambda *= 10;
+                }
+            }
+            /*
+                No step helps, so we're at a minimum, as far as we can tell.
+            */
+            if (!accepted) {
+                converged = true;
+                iteration++;
+                break;
+            }
+        }
+
+        /*
+            Replace the parameters by their values, leaving an expression in
+            x and y.
+        */
+        let nodes = [new ExprVariable("x", 0), new ExprVariable("y", 1)].concat(p.map((v) => ExprNode.number(v)));
+        let fn = new RealValuedFunction(["x", "y"], new Expression(["x", "y"], expr.root.substitute(nodes)));
+        return Object.assign(SurfaceFitting._result(data, fn, p), { iterations: iteration, converged: converged });
+    }
+
+    /*
+        The rows of data with x, y and z all there.
+    */
+    static _rows(data) {
+        if (!(data instanceof ScatterPlot))
+            throw new TypeError("Expected a ScatterPlot.");
+        let [x, y, z] = ["x", "y", "z"].map((name) => data.column(name));
+        let rows = [];
+        for (let i = 0; i < data.length; i++) {
+            if (!(isNaN(x[i]) || isNaN(y[i]) || isNaN(z[i])))
+                rows.push({ x: x[i], y: y[i], z: z[i] });
+        }
+        return rows;
+    }
+
+    static _result(data, fn, parameters) {
+        let [x, y, z] = ["x", "y", "z"].map((name) => data.column(name));
+        let residuals = [];
+        let sum = 0, count = 0;
+        for (let i = 0; i < data.length; i++) {
+            let f = (isNaN(x[i]) || isNaN(y[i])) ? undefined : fn.evalAt(x[i], y[i]);
+            let r = (f === undefined || isNaN(z[i])) ? NaN : z[i] - f;
+            residuals.push(r);
+            if (!isNaN(r)) {
+                sum += r * r;
+                count++;
+            }
+        }
+        return { fn: fn, parameters: parameters, residuals: residuals, rms: count > 0 ? Math.sqrt(sum / count) : NaN };
+    }
+
+    /*
+        Solves min |A x - b| with Householder QR, where A is given as an array
+        of rows. Returns undefined if A doesn't have full column rank.
+    */
+    static _solveLeastSquares(A, b) {
+        const n = A.length, m = A[0].length;
+        A = A.map((row) => row.slice());
+        b = b.slice();
+        let scale = 0;
+        for (let k = 0; k < m; k++) {
+            /*
+                Reflect column k below the diagonal onto its first element.
+            */
+            let norm = 0;
+            for (let i = k; i < n; i++)
+                norm += A[i][k] * A[i][k];
+            norm = Math.sqrt(norm);
+            scale = Math.max(scale, norm);
+            if (norm <= 1e-12 * scale)
+                return undefined;
+            let alpha = A[k][k] > 0 ? -norm : norm;
+            let v = [];
+            for (let i = k; i < n; i++)
+                v.push(A[i][k]);
+            v[0] -= alpha;
+            let vv = v.reduce((s, e) => s + e * e, 0);
+            if (vv == 0)
+                continue;
+            for (let j = k; j < m; j++) {
+                let dot = 0;
+                for (let i = k; i < n; i++)
+                    dot += v[i - k] * A[i][j];
+                for (let i = k; i < n; i++)
+                    A[i][j] -= 2 * dot / vv * v[i - k];
+            }
+            let dot = 0;
+            for (let i = k; i < n; i++)
+                dot += v[i - k] * b[i];
+            for (let i = k; i < n; i++)
+                b[i] -= 2 * dot / vv * v[i - k];
+        }
+
+        /*
+            Back substitution with the upper triangle R.
+        */
+        let x = new Array(m);
+        for (let k = m - 1; k >= 0; k--) {
+            let s = b[k];
+            for (let j = k + 1; j < m; j++)
+                s -= A[k][j] * x[j];
+            x[k] = s / A[k][k];
+        }
+        return x;
+    }
+}
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Building geometry away from the main thread, in a Web Worker running
+ * geometryworker.js, see WebGLRenderer.useWorker.
+ *
+ * A task describes a graphics object, the bounds and the quality options as a
+ * plain object, which unlike the object itself survives being posted to the
+ * worker. Functions are sent as the source of their expressions, so objects
+ * whose functions are javascript callbacks can't be described, and are built
+ * on the main thread as before.
+ *
+ * The worker sends back the result of buildGeometry with typed arrays, whose
+ * buffers are transferred rather than copied.
+ */
+class GeometryTask {
+    /**
+     * The kinds of graphics objects that can be described, by name. Each has
+     * the class, spec(gfx), which gives what is needed to create it again, or
+     * undefined if that can't be sent, and create(spec).
+     */
+    static get kinds() {
+        return {
+            "R2toR": {
+                type: R2toRGraphicsObject,
+                spec: (gfx) => {
+                    let fn = GeometryTask._realFunction(gfx.def.fn);
+                    if (fn === undefined)
+                        return undefined;
+                    return { fn: fn, options: { colorBy: gfx.colorBy, mesh: gfx.mesh, discontinuities: gfx.discontinuities } };
+                },
+                create: (spec) => new R2toRGraphicsObject(new R2toRPlot(new RealValuedFunction(spec.fn.vars, spec.fn.expr)), spec.options)
+            },
+            "Complex": {
+                type: ComplexGraphicsObject,
+                spec: (gfx) => {
+                    let fn = gfx.def.fn;
+                    if (fn.expr == null)
+                        return undefined;
+                    return { fn: { vars: fn.vars, expr: fn.expr.toString() }, options: { height: gfx.height } };
+                },
+                create: (spec) => new ComplexGraphicsObject(new ComplexPlot(new ComplexFunction(spec.fn.vars, spec.fn.expr)), spec.options)
+            },
+            "ParametricSurface": {
+                type: ParametricSurfaceGraphicsObject,
+                spec: (gfx) => {
+                    let def = gfx.def;
+                    let components = [];
+                    for (let k = 0; k < def.fn.dims; k++)
+                        components.push(GeometryTask._realFunction(def.fn.component(k)));
+                    if (components.some((c) => c === undefined))
+                        return undefined;
+                    return {
+                        vars: def.fn.vars, exprs: components.map((c) => c.expr),
+                        uRange: def.uRange, vRange: def.vRange, options: { wrapU: def.wrapU, wrapV: def.wrapV }
+                    };
+                },
+                create: (spec) => new ParametricSurfaceGraphicsObject(new ParametricSurfacePlot(
+                    new VectorValuedFunction(spec.vars, spec.exprs), spec.uRange, spec.vRange, spec.options))
+            },
+            "ImplicitSurface": {
+                type: ImplicitSurfaceGraphicsObject,
+                spec: (gfx) => {
+                    let fn = GeometryTask._realFunction(gfx.def.fn);
+                    if (fn === undefined)
+                        return undefined;
+                    return { fn: fn, isoValue: gfx.def.isoValue };
+                },
+                create: (spec) => new ImplicitSurfaceGraphicsObject(new ImplicitSurfacePlot(new RealValuedFunction(spec.fn.vars, spec.fn.expr), spec.isoValue))
+            }
+        };
+    }
+
+    /*
+        A RealValuedFunction as its variables and the source of its
+        expression, undefined for callbacks.
+    */
+    static _realFunction(fn) {
+        if (fn.expr == null)
+            return undefined;
+        return { vars: fn.vars, expr: fn.expr.toString() };
+    }
+
+    /**
+     * Describes building the geometry of gfx, as done by
+     * gfx.buildGeometry(bounds, qualityOptions).
+     *
+     * @returns A task, or undefined if gfx can't be built elsewhere.
+     */
+    static describe(gfx, bounds, qualityOptions) {
+        let kinds = GeometryTask.kinds;
+        for (let kind in kinds) {
+            // Subclasses could build their geometry differently.
+            if (gfx.constructor !== kinds[kind].type)
+                continue;
+            let spec = kinds[kind].spec(gfx);
+            if (spec === undefined)
+                return undefined;
+            return {
+                kind: kind,
+                spec: spec,
+                bounds: { min: Array.from(bounds.min), max: Array.from(bounds.max) },
+                quality: Object.assign({}, QualityOptions.from(qualityOptions))
+            };
+        }
+        return undefined;
+    }
+
+    /**
+     * Builds the geometry a task describes.
+     *
+     * @returns The geometry like buildGeometry gives it, with Float32Array
+     *          attributes, and Uint16Array or Uint32Array indices depending
+     *          on the number of vertices.
+     */
+    static run(task) {
+        let kind = GeometryTask.kinds[task.kind];
+        if (kind === undefined)
+            throw new RangeError(`Unknown kind of task '${task.kind}'.`);
+        let geo = kind.create(task.spec).buildGeometry(task.bounds, new QualityOptions(task.quality));
+
+        let res = {};
+        for (let name in geo) {
+            let attribute = geo[name];
+            res[name] = { numComponents: attribute.numComponents, data: Float32Array.from(attribute.data) };
+        }
+        let vertices = geo.position.data.length / 3;
+        res.indices.data = vertices > 65536 ? Uint32Array.from(geo.indices.data) : Uint16Array.from(geo.indices.data);
+        return res;
+    }
+
+    /**
+     * The buffers of a result of run, to transfer when posting it.
+     */
+    static transferables(geometry) {
+        return Object.keys(geometry).map((name) => geometry[name].data.buffer);
+    }
+}
+
+/**
+ * The worker side of the messages between WebGLRenderer and
+ * geometryworker.js.
+ *
+ * The renderer sends { type: "build", id, task } with a task from
+ * GeometryTask.describe, and { type: "cancel", id } when it no longer needs
+ * a build. We answer each build that isn't cancelled with
+ * { type: "done", id, geometry } or { type: "failed", id, message }.
+ *
+ * Builds are run one at a time, each in its own turn of the event loop, so
+ * that cancellations sent meanwhile are seen before starting the next. A
+ * build that has started runs to the end, and the renderer ignores it.
+ */
+class GeometryTaskQueue {
+    /**
+     * @arg {Function} post Called as post(message, transfer) with each
+     *                      answer, like postMessage.
+     */
+    constructor(post) {
+        this._post = post;
+        this._builds = [];
+        this._scheduled = false;
+    }
+
+    /**
+     * The number of builds waiting to run.
+     */
+    get length() {
+        return this._builds.length;
+    }
+
+    /**
+     * Handles a message from the renderer.
+     */
+    receive(message) {
+        switch (message.type) {
+            case "build":
+                this._builds.push(message);
+                this._schedule();
+                break;
+            case "cancel":
+                this._builds = this._builds.filter((b) => b.id !== message.id);
+                break;
+            default:
+                throw new RangeError(`Unknown type of message '${message.type}'.`);
+        }
+    }
+
+    _schedule() {
+        if (this._scheduled || this._builds.length == 0)
+            return;
+        this._scheduled = true;
+        setTimeout(() => {
+            this._scheduled = false;
+            this._runNext();
+            this._schedule();
+        }, 0);
+    }
+
+    _runNext() {
+        let build = this._builds.shift();
+        if (build === undefined)
+            return;
+        let geometry;
+        try {
+            geometry = GeometryTask.run(build.task);
+        } catch (e) {
+            this._post({ type: "failed", id: build.id, message: String(e && e.message || e) }, []);
+            return;
+        }
+        this._post({ type: "done", id: build.id, geometry: geometry }, GeometryTask.transferables(geometry));
+    }
+}
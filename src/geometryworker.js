@@ -0,0 +1,14 @@
+'use strict';
+
+/*
+    Entry point of the Web Worker that builds geometry for WebGLRenderer, see
+    WebGLRenderer.useWorker and GeometryTaskQueue. Loaded as
+    new Worker("src/geometryworker.js"), with the other sources next to it.
+*/
+importScripts(
+    "expression.js", "dual.js", "complex.js", "numdiff.js", "discontinuity.js", "trimming.js",
+    "marchingcubes.js", "marchingsquares.js", "adaptivemesh.js", "delaunay.js", "interpolation.js",
+    "fitting.js", "tube.js", "glyphs.js", "integrator.js", "sowebplot.js", "geometrytask.js");
+
+const GEOMETRY_TASK_QUEUE = new GeometryTaskQueue((message, transfer) => self.postMessage(message, transfer));
+self.onmessage = (event) => GEOMETRY_TASK_QUEUE.receive(event.data);
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Meshes for glyphs, small shapes drawn once per data point.
+ *
+ * Doesn't depend on WebGL. The meshes are in their own local coordinates, and
+ * are placed and scaled by whoever draws them.
+ */
+class GlyphGeometry {
+    /**
+     * An arrow along +z from the origin to (0, 0, 1), with a cylindrical shaft
+     * and a conical head. The radii are relative to a width of 1.
+     *
+     * @arg {Number} segments The number of vertices around the arrow.
+     * @returns An object with the flat arrays positions, normals and indices.
+     */
+    static arrow(segments) {
+        if (!(segments >= 3))
+            throw new RangeError("An arrow needs at least 3 segments.");
+        const SHAFT_RADIUS = 0.05;
+        const HEAD_RADIUS = 0.12;
+        const HEAD_START = 0.7;
+
+        let res = { positions: [], normals: [], indices: [] };
+
+        /*
+            Adds a ring of vertices at height z, with normals tilted by slope
+            (radial change per unit z, negative for the cone).
+        */
+        function ring(radius, z, slope) {
+            let first = res.positions.length / 3;
+            let nz = -slope / Math.sqrt(1 + slope * slope);
+            let nr = 1 / Math.sqrt(1 + slope * slope);
+            for (let s = 0; s < segments; s++) {
+                let a = 2 * Math.PI * s / segments;
+                let c = Math.cos(a), sn = Math.sin(a);
+                res.positions.push(radius * c, radius * sn, z);
+                res.normals.push(nr * c, nr * sn, nz);
+            }
+            return first;
+        }
+
+        function connect(a, b) {
+            for (let s = 0; s < segments; s++) {
+                let s1 = (s + 1) % segments;
+                res.indices.push(a + s, a + s1, b + s1, a + s, b + s1, b + s);
+            }
+        }
+
+        /*
+            A flat disc, as a fan around a centre vertex, facing along nz.
+        */
+        function disc(radius, z, nz) {
+            let centre = res.positions.length / 3;
+            res.positions.push(0, 0, z);
+            res.normals.push(0, 0, nz);
+            let first = centre + 1;
+            for (let s = 0; s < segments; s++) {
+                let a = 2 * Math.PI * s / segments;
+                res.positions.push(radius * Math.cos(a), radius * Math.sin(a), z);
+                res.normals.push(0, 0, nz);
+            }
+            for (let s = 0; s < segments; s++)
+                res.indices.push(centre, first + s, first + (s + 1) % segments);
+        }
+
+        // The shaft, with a bottom cap.
+        disc(SHAFT_RADIUS, 0, -1);
+        connect(ring(SHAFT_RADIUS, 0, 0), ring(SHAFT_RADIUS, HEAD_START, 0));
+
+        // The head, a cone with its base facing backwards.
+        disc(HEAD_RADIUS, HEAD_START, -1);
+        let slope = -HEAD_RADIUS / (1 - HEAD_START);
+        connect(ring(HEAD_RADIUS, HEAD_START, slope), ring(0, 1, slope));
+
+        return res;
+    }
+
+    /**
+     * A unit sphere around the origin, made of rings of latitude.
+     *
+     * @arg {Number} segments The number of vertices around each ring, the
+     *                        number of rings from pole to pole is half that.
+     * @returns An object with the flat arrays positions, normals and indices.
+     *          The normals point outwards, and equal the positions.
+     */
+    static sphere(segments) {
+        if (!(segments >= 4))
+            throw new RangeError("A sphere needs at least 4 segments.");
+        const RINGS = Math.floor(segments / 2);
+
+        let res = { positions: [], normals: [], indices: [] };
+        /*
+            Ring r is at polar angle pi r / RINGS, so the first and last rings
+            all sit on the poles. It wastes a few vertices but keeps the
+            indexing uniform.
+        */
+        for (let r = 0; r <= RINGS; r++) {
+            let polar = Math.PI * r / RINGS;
+            for (let s = 0; s < segments; s++) {
+                let a = 2 * Math.PI * s / segments;
+                let p = [Math.sin(polar) * Math.cos(a), Math.sin(polar) * Math.sin(a), Math.cos(polar)];
+                res.positions.push(...p);
+                res.normals.push(...p);
+            }
+            if (r > 0) {
+                let a = (r - 1) * segments, b = r * segments;
+                for (let s = 0; s < segments; s++) {
+                    let s1 = (s + 1) % segments;
+                    res.indices.push(a + s, b + s, b + s1, a + s, b + s1, a + s1);
+                }
+            }
+        }
+        return res;
+    }
+}
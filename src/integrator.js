@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Numerical integration of ordinary differential equations y' = f(t, y), for
+ * streamlines through vector fields and trajectories in general.
+ *
+ * Works on plain arrays, f is called as f(t, y) and should return an array of
+ * the same length, or undefined where it isn't defined.
+ */
+class ODEIntegrator {
+    /**
+     * The default options.
+     *
+     * method is "rk4", the classic fixed step Runge-Kutta method, or "rk45",
+     * Dormand-Prince with adaptive steps. step is the fixed step, or the
+     * first step for rk45, which then keeps the error of each step below
+     * tolerance (relative to max(|y_i|, 1)) using steps between minStep and
+     * maxStep. tEnd is where to stop, and may be infinite, in which case
+     * only maxSteps or stop ends the integration.
+     *
+     * stop, if given, is called as stop(t, y) after each step, and ends the
+     * integration by returning a reason, any truthy value.
+     */
+    static get defaults() {
+        return {
+            method: "rk45",
+            step: 1e-2,
+            tolerance: 1e-6,
+            minStep: 1e-10,
+            maxStep: Infinity,
+            maxSteps: 1000,
+            tEnd: Infinity,
+            stop: null
+        };
+    }
+
+    static get methods() {
+        return ["rk4", "rk45"];
+    }
+
+    /**
+     * One step of the classic fourth order Runge-Kutta method.
+     *
+     * @returns The array y(t + h), or undefined if f wasn't defined at one
+     *          of the stages.
+     */
+    static rk4Step(f, t, y, h) {
+        let k1 = ODEIntegrator._evaluate(f, t, y);
+        if (k1 === undefined) return undefined;
+        let k2 = ODEIntegrator._evaluate(f, t + h / 2, ODEIntegrator._combine(y, h, [k1], [1 / 2]));
+        if (k2 === undefined) return undefined;
+        let k3 = ODEIntegrator._evaluate(f, t + h / 2, ODEIntegrator._combine(y, h, [k2], [1 / 2]));
+        if (k3 === undefined) return undefined;
+        let k4 = ODEIntegrator._evaluate(f, t + h, ODEIntegrator._combine(y, h, [k3], [1]));
+        if (k4 === undefined) return undefined;
+        return ODEIntegrator._combine(y, h, [k1, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6]);
+    }
+
+    /**
+     * One step of the Dormand-Prince method, a fifth order Runge-Kutta
+     * method with an embedded fourth order one for estimating the error.
+     *
+     * @returns An object with y, the fifth order y(t + h), and error, the
+     *          difference to the fourth order solution per component.
+     *          Undefined if f wasn't defined at one of the stages.
+     */
+    static rk45Step(f, t, y, h) {
+        const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1];
+        const A = [
+            [],
+            [1 / 5],
+            [3 / 40, 9 / 40],
+            [44 / 45, -56 / 15, 32 / 9],
+            [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+            [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656]
+        ];
+        const B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+        const B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+        let k = [];
+        for (let s = 0; s < C.length; s++) {
+            k[s] = ODEIntegrator._evaluate(f, t + C[s] * h, ODEIntegrator._combine(y, h, k, A[s]));
+            if (k[s] === undefined)
+                return undefined;
+        }
+        let y5 = ODEIntegrator._combine(y, h, k, B5);
+        /*
+            The last stage is f at the new point, which only the fourth order
+            solution uses.
+        */
+        k[6] = ODEIntegrator._evaluate(f, t + h, y5);
+        if (k[6] === undefined)
+            return undefined;
+        let zero = y.map(() => 0);
+        let error = ODEIntegrator._combine(zero, h, k, B5.map((b, i) => b - B4[i]));
+        return { y: y5, error: error };
+    }
+
+    /**
+     * Integrates y' = f(t, y) from y(t0) = y0.
+     *
+     * @arg {Function} f
+     * @arg {Number} t0
+     * @arg {Array} y0
+     * @arg {Object} options Overrides for ODEIntegrator.defaults. If tEnd is
+     *                       less than t0 we integrate backwards.
+     * @returns An object with the arrays times and points, starting with t0
+     *          and y0, and reason, why the integration ended. That is "end"
+     *          once tEnd is reached, "maxSteps", "undefined" if f wasn't
+     *          defined, "minStep" if rk45 couldn't meet the tolerance, or
+     *          whatever stop returned.
+     */
+    static integrate(f, t0, y0, options) {
+        const opts = Object.assign(ODEIntegrator.defaults, options);
+        if (ODEIntegrator.methods.indexOf(opts.method) === -1)
+            throw new RangeError(`method must be one of ${ODEIntegrator.methods.join(", ")}.`);
+        if (!(opts.step > 0))
+            throw new RangeError("step needs to be positive.");
+        const dir = opts.tEnd < t0 ? -1 : 1;
+
+        let res = { times: [t0], points: [Array.from(y0)], reason: "maxSteps" };
+        let t = t0, y = res.points[0];
+        let h = Math.min(opts.step, opts.maxStep);
+        for (let i = 0; i < opts.maxSteps; i++) {
+            if (t === opts.tEnd) {
+                res.reason = "end";
+                return res;
+            }
+            /*
+                Don't step past the end, and land on it exactly.
+            */
+            let last = h >= Math.abs(opts.tEnd - t);
+            let step = last ? opts.tEnd - t : dir * h;
+
+            let next;
+            if (opts.method === "rk4") {
+                next = ODEIntegrator.rk4Step(f, t, y, step);
+                if (next === undefined) {
+                    res.reason = "undefined";
+                    return res;
+                }
+            } else {
+                let r = ODEIntegrator.rk45Step(f, t, y, step);
+                /*
+                    The error relative to the tolerance, rejecting the step
+                    when it's above 1. Undefined stages count as an infinite
+                    error, so we try closer to where f is defined.
+                */
+                let err = Infinity;
+                if (r !== undefined)
+                    err = Math.max(...r.error.map((e, c) => Math.abs(e) / (opts.tolerance * Math.max(Math.abs(y[c]), 1))));
+                if (!(err <= 1)) {
+                    h = Math.abs(step) * (isFinite(err) ? Math.max(0.9 * Math.pow(err, -1 / 5), 0.2) : 0.25);
+                    if (h < opts.minStep) {
+                        res.reason = r === undefined ? "undefined" : "minStep";
+                        return res;
+                    }
+                    /*
+                        Rejected steps don't count towards maxSteps.
+                    */
+                    i--;
+                    continue;
+                }
+                next = r.y;
+                let grow = err > 0 ? Math.min(0.9 * Math.pow(err, -1 / 5), 5) : 5;
+                h = Math.min(Math.abs(step) * grow, opts.maxStep);
+            }
+
+            t = last ? opts.tEnd : t + step;
+            y = next;
+            res.times.push(t);
+            res.points.push(y);
+
+            if (opts.stop != null) {
+                let reason = opts.stop(t, y);
+                if (reason) {
+                    res.reason = reason;
+                    return res;
+                }
+            }
+        }
+        if (t === opts.tEnd)
+            res.reason = "end";
+        return res;
+    }
+
+    /*
+        Calls f, turning anything but an array of finite numbers into
+        undefined.
+    */
+    static _evaluate(f, t, y) {
+        let d = f(t, y);
+        if (d === undefined || d.length !== y.length || !d.every(isFinite))
+            return undefined;
+        return d;
+    }
+
+    /*
+        y + h * sum(weights[s] * k[s]), skipping zero weights and stages
+        beyond the weights.
+    */
+    static _combine(y, h, k, weights) {
+        let res = Array.from(y);
+        for (let s = 0; s < weights.length; s++) {
+            if (weights[s] === 0)
+                continue;
+            for (let c = 0; c < res.length; c++)
+                res[c] += h * weights[s] * k[s][c];
+        }
+        return res;
+    }
+}
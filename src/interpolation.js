@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Interpolation of scattered samples z_i at (x_i, y_i).
+ *
+ * Each method builds a function (x, y) -> z, returning undefined where it
+ * can't interpolate.
+ */
+class ScatteredInterpolation {
+    static get methods() {
+        return ["linear", "natural", "rbf"];
+    }
+
+    /**
+     * Builds the interpolant of a method, see the methods of the same name.
+     *
+     * @arg {String} method One of ScatteredInterpolation.methods.
+     * @arg {Delaunay} delaunay The triangulation of the sample positions.
+     * @arg {Array} values The sample values, one per point.
+     */
+    static create(method, delaunay, values) {
+        switch (method) {
+            case "linear":
+                return ScatteredInterpolation.linear(delaunay, values);
+            case "natural":
+                return ScatteredInterpolation.natural(delaunay, values);
+            case "rbf":
+                return ScatteredInterpolation.rbf(delaunay.points, values);
+        }
+        throw new RangeError(`method must be one of ${ScatteredInterpolation.methods.join(", ")}.`);
+    }
+
+    /**
+     * Linear interpolation over the triangles, undefined outside the convex
+     * hull.
+     */
+    static linear(delaunay, values) {
+        return (x, y) => ScatteredInterpolation._weighted(delaunay.find(x, y), values);
+    }
+
+    /**
+     * Sibson's natural neighbour interpolation, which unlike the linear one
+     * is smooth except at the samples. Undefined outside the convex hull.
+     */
+    static natural(delaunay, values) {
+        return (x, y) => ScatteredInterpolation._weighted(delaunay.naturalNeighbours(x, y), values);
+    }
+
+    /**
+     * A thin plate spline through the samples, the smoothest function that
+     * interpolates them, defined everywhere.
+     *
+     * Solves a dense system of the size of the number of samples, so it's
+     * meant for hundreds of samples rather than many thousands.
+     *
+     * @arg {Array} points An array of [x, y] pairs, without repeats.
+     * @arg {Array} values The sample values, one per point.
+     */
+    static rbf(points, values) {
+        const n = points.length;
+        if (n < 3)
+            throw new RangeError("A thin plate spline needs at least 3 points.");
+        function phi(r2) {
+            return r2 > 0 ? 0.5 * r2 * Math.log(r2) : 0;
+        }
+
+        /*
+            The spline is sum(w_i phi(|p - p_i|)) + c0 + c1 x + c2 y, with the
+            weights orthogonal to the linear part.
+        */
+        let A = RealMatrix.fromFunction(n + 3, n + 3, (i, j) => {
+            if (i < n && j < n) {
+                let dx = points[i][0] - points[j][0], dy = points[i][1] - points[j][1];
+                return phi(dx * dx + dy * dy);
+            }
+            if (i >= n && j >= n)
+                return 0;
+            let [p, k] = i < n ? [points[i], j - n] : [points[j], i - n];
+            return [1, p[0], p[1]][k];
+        });
+        let b = new RealVector(...values, 0, 0, 0);
+        let coeffs = A.solve(b).toArray();
+
+        return (x, y) => {
+            let z = coeffs[n] + coeffs[n + 1] * x + coeffs[n + 2] * y;
+            for (let i = 0; i < n; i++) {
+                let dx = x - points[i][0], dy = y - points[i][1];
+                z += coeffs[i] * phi(dx * dx + dy * dy);
+            }
+            return z;
+        };
+    }
+
+    static _weighted(found, values) {
+        if (found === undefined)
+            return undefined;
+        let z = 0;
+        for (let k = 0; k < found.vertices.length; k++)
+            z += found.weights[k] * values[found.vertices[k]];
+        return z;
+    }
+}
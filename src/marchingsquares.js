@@ -0,0 +1,172 @@
+'use strict';
+
+/*
+    The line segments of each marching squares configuration, as pairs of edge
+    indices, where bit i is set when corner i is below the level. Corners are
+    numbered counter clockwise from (0, 0), and edge i runs from corner i to
+    corner i + 1.
+
+    The two saddle configurations, 5 and 10, are ambiguous and are resolved
+    by looking at the middle of the cell instead, see MarchingSquares.isolines.
+*/
+const MARCHING_SQUARES_SEGMENTS = [
+    [],
+    [3, 0],
+    [0, 1],
+    [3, 1],
+    [1, 2],
+    null,
+    [0, 2],
+    [3, 2],
+    [2, 3],
+    [0, 2],
+    null,
+    [1, 2],
+    [1, 3],
+    [0, 1],
+    [3, 0],
+    []
+];
+
+const MARCHING_SQUARES_CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+/**
+ * Extracts isolines of functions R^2 -> R with marching squares.
+ *
+ * Doesn't depend on WebGL, all coordinates are plain mathematical (x, y). The
+ * function is sampled once with sample, after which any number of levels can
+ * be extracted from the same grid.
+ */
+class MarchingSquares {
+    /**
+     * Samples fn on a grid of resolution cells along each axis, covering the
+     * rectangle from min to max.
+     *
+     * @arg {Function} fn Called as fn(x, y).
+     * @arg {Array} min The minimum corner, as [x, y].
+     * @arg {Array} max The maximum corner.
+     * @arg {Number} resolution The number of cells along each axis.
+     * @returns An object with min, max and resolution, and values, holding
+     *          the value at grid point (i, j) at index i + (resolution + 1) j,
+     *          or NaN where fn isn't a finite number.
+     */
+    static sample(fn, min, max, resolution) {
+        if (!(resolution >= 1))
+            throw new RangeError("resolution needs to be at least 1.");
+        const N = Math.floor(resolution);
+        const P = N + 1;
+        const step = [0, 1].map((a) => (max[a] - min[a]) / N);
+
+        let values = new Float64Array(P * P);
+        for (let j = 0, idx = 0; j < P; j++) {
+            let y = min[1] + step[1] * j;
+            for (let i = 0; i < P; i++, idx++) {
+                let v = fn(min[0] + step[0] * i, y);
+                values[idx] = (typeof v === "number" && isFinite(v)) ? v : NaN;
+            }
+        }
+        return { min: Array.from(min), max: Array.from(max), resolution: N, values: values };
+    }
+
+    /**
+     * Extracts the isoline fn(x, y) = level from a grid given by sample.
+     *
+     * Cells where fn isn't defined at any corner are skipped, leaving a gap.
+     *
+     * @returns An object with positions, a flat array of x, y pairs, and
+     *          indices, a flat array with two vertex indices per line segment.
+     *          Vertices are shared between neighbouring segments.
+     */
+    static isolines(grid, level) {
+        const N = grid.resolution;
+        const P = N + 1;
+        const step = [0, 1].map((a) => (grid.max[a] - grid.min[a]) / N);
+        const values = grid.values;
+
+        let positions = [];
+        let indices = [];
+
+        /*
+            Vertices on grid edges, keyed by 2 * (index of the edge's lower
+            grid point) + axis, so that neighbouring cells share them.
+        */
+        let edgeVertices = new Map();
+        function vertexOnEdge(p0, p1) {
+            let a = p0[0] != p1[0] ? 0 : 1;
+            let lo = p0[a] < p1[a] ? p0 : p1;
+            let key = 2 * (lo[0] + P * lo[1]) + a;
+            let vi = edgeVertices.get(key);
+            if (vi !== undefined)
+                return vi;
+
+            let v0 = values[p0[0] + P * p0[1]];
+            let v1 = values[p1[0] + P * p1[1]];
+            let t = v1 != v0 ? (level - v0) / (v1 - v0) : 0.5;
+            vi = positions.length / 2;
+            for (let c = 0; c < 2; c++)
+                positions.push(grid.min[c] + step[c] * (p0[c] + t * (p1[c] - p0[c])));
+            edgeVertices.set(key, vi);
+            return vi;
+        }
+
+        let corners = new Array(4);
+        let v = new Array(4);
+        for (let j = 0; j < N; j++) {
+            for (let i = 0; i < N; i++) {
+                let config = 0;
+                for (let c = 0; c < 4; c++) {
+                    let o = MARCHING_SQUARES_CORNERS[c];
+                    corners[c] = [i + o[0], j + o[1]];
+                    v[c] = values[corners[c][0] + P * corners[c][1]];
+                    if (v[c] < level)
+                        config |= 1 << c;
+                }
+                if (v.some(isNaN))
+                    continue;
+
+                let segments = MARCHING_SQUARES_SEGMENTS[config];
+                if (segments == null) {
+                    /*
+                        A saddle. If the middle is below the level, the two
+                        corners below are connected through it, and the line
+                        cuts off the two corners above instead, and the
+                        other way around.
+                    */
+                    let middleBelow = (v[0] + v[1] + v[2] + v[3]) / 4 < level;
+                    let aboveFirst = config == 5 ? [0, 1, 2, 3] : [3, 0, 1, 2];
+                    let belowFirst = config == 5 ? [3, 0, 1, 2] : [0, 1, 2, 3];
+                    segments = middleBelow ? aboveFirst : belowFirst;
+                }
+                for (let s = 0; s < segments.length; s++) {
+                    let e = segments[s];
+                    indices.push(vertexOnEdge(corners[e], corners[(e + 1) % 4]));
+                }
+            }
+        }
+
+        return { positions: positions, indices: indices };
+    }
+
+    /**
+     * Chooses about count round levels strictly between lo and hi, evenly
+     * spaced by 1, 2 or 5 times a power of ten.
+     *
+     * @returns An array of levels, in increasing order.
+     */
+    static niceLevels(lo, hi, count) {
+        if (!(count >= 1))
+            throw new RangeError("count needs to be at least 1.");
+        if (!(isFinite(lo) && isFinite(hi)) || !(hi > lo))
+            return [];
+        let raw = (hi - lo) / (count + 1);
+        let magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        let step = magnitude * [1, 2, 5, 10].find((m) => m * magnitude >= raw);
+
+        let levels = [];
+        for (let k = Math.floor(lo / step) + 1; k * step < hi; k++) {
+            // Get rid of rounding noise like 0.30000000000000004.
+            levels.push(parseFloat((k * step).toPrecision(12)));
+        }
+        return levels;
+    }
+}
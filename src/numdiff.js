@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Numerical differentiation of functions R^n -> R that we know nothing about
+ * except their values.
+ *
+ * Uses Ridders' method, that is central differences at a shrinking sequence of
+ * steps, Richardson extrapolated towards a step of zero. Besides being far
+ * more accurate than a single central difference, the extrapolation tableau
+ * gives us an estimate of the error.
+ */
+class NumericalDifferentiation {
+    /**
+     * The default options.
+     *
+     * relativeStep is the first step, relative to max(|x_k|, 1). The ratio is
+     * how much the step shrinks between rows of the tableau, and maxSteps the
+     * maximum number of rows.
+     */
+    static get defaults() {
+        return { relativeStep: 1e-2, ratio: 1.4, maxSteps: 10 };
+    }
+
+    /**
+     * Estimates the partial derivative of fn along axis k.
+     *
+     * @arg {Function} fn Called as fn(...coords), should return NaN, infinity
+     *                    or undefined where it isn't defined.
+     * @arg {Array} coords The point to differentiate at.
+     * @arg {Number} k The index of the axis.
+     * @arg {Object} options Overrides for NumericalDifferentiation.defaults.
+     * @returns An object with the derivative as value, and an estimate of its
+     *          absolute error as error, or undefined if fn isn't defined
+     *          at or around coords.
+     */
+    static partial(fn, coords, k, options) {
+        const opts = Object.assign(NumericalDifferentiation.defaults, options);
+        const ratio2 = opts.ratio * opts.ratio;
+        /*
+            Once the error estimate grows by this factor we are dominated by
+            rounding, and stop.
+        */
+        const SAFE = 2.0;
+
+        if (!isFinite(fn(...coords)))
+            return undefined;
+
+        let h = opts.relativeStep * Math.max(Math.abs(coords[k]), 1);
+        let p = Array.from(coords);
+
+        /*
+            One central difference per step, the probe point keeps the other
+            coordinates as given.
+        */
+        function central(h) {
+            p[k] = coords[k] + h;
+            let v2 = fn(...p);
+            p[k] = coords[k] - h;
+            let v1 = fn(...p);
+            p[k] = coords[k];
+            return (v2 - v1) / (2 * h);
+        }
+
+        let best = undefined;
+        let bestError = Infinity;
+        /*
+            prev holds the previous row of the tableau, where prev[j] is the
+            estimate extrapolated j times.
+        */
+        let prev = null;
+        let failures = 0;
+        for (let i = 0; i < opts.maxSteps; i++, h /= opts.ratio) {
+            let d = central(h);
+            if (!isFinite(d)) {
+                /*
+                    The probes reached outside the domain, start over with a
+                    much smaller step. This doesn't count as a row, but we 
+                    give up eventually.
+                */
+                prev = null;
+                if (++failures > opts.maxSteps)
+                    break;
+                h /= 10;
+                i--;
+                continue;
+            }
+            let row = [d];
+            if (prev != null) {
+                let factor = ratio2;
+                for (let j = 1; j <= prev.length; j++, factor *= ratio2) {
+                    row[j] = (row[j - 1] * factor - prev[j - 1]) / (factor - 1);
+                    let err = Math.max(Math.abs(row[j] - row[j - 1]), Math.abs(row[j] - prev[j - 1]));
+                    if (err <= bestError) {
+                        bestError = err;
+                        best = row[j];
+                    }
+                }
+                if (Math.abs(row[prev.length] - prev[prev.length - 1]) >= SAFE * bestError)
+                    break;
+            }
+            prev = row;
+        }
+
+        if (best === undefined) {
+            /*
+                Only a single usable row, which gives no error estimate.
+            */
+            if (prev == null)
+                return undefined;
+            return { value: prev[0], error: Infinity };
+        }
+        return { value: best, error: bestError };
+    }
+
+    /**
+     * Estimates the gradient of fn, see partial for the arguments.
+     *
+     * @returns An object holding the arrays gradient and errors, or undefined
+     *          if any partial derivative couldn't be estimated.
+     */
+    static gradient(fn, coords, options) {
+        let res = { gradient: [], errors: [] };
+        for (let k = 0; k < coords.length; k++) {
+            let d = NumericalDifferentiation.partial(fn, coords, k, options);
+            if (d === undefined)
+                return undefined;
+            res.gradient[k] = d.value;
+            res.errors[k] = d.error;
+        }
+        return res;
+    }
+}
@@ -33,19 +33,417 @@ class RealVector {
         return this._dims;
     }
 
+    /**
+     * Creates a vector from an array-like, such as an Array, a Float32Array or 
+     * a twgl.v3.
+     */
+    static fromArray(arr) {
+        return new RealVector(...Array.from(arr));
+    }
+
+    /**
+     * The default tolerance for equals.
+     */
+    static get defaultTolerance() {
+        return 1e-12;
+    }
+
+    _checkDims(other) {
+        if (!(other instanceof RealVector))
+            throw new TypeError("Expected a RealVector.");
+        if (other.dims != this.dims)
+            throw new RangeError(`Dimension mismatch, R^${this.dims} and R^${other.dims}.`);
+    }
+
+    add(other) {
+        this._checkDims(other);
+        return new RealVector(...this._values.map((v, k) => v + other._values[k]));
+    }
+
+    subtract(other) {
+        this._checkDims(other);
+        return new RealVector(...this._values.map((v, k) => v - other._values[k]));
+    }
+
+    scale(s) {
+        return new RealVector(...this._values.map((v) => v * s));
+    }
+
+    dot(other) {
+        this._checkDims(other);
+        let sum = 0;
+        for (let k = 0; k < this.dims; k++)
+            sum += this._values[k] * other._values[k];
+        return sum;
+    }
+
+    /**
+     * The cross product, only defined for vectors in R^3.
+     */
+    cross(other) {
+        this._checkDims(other);
+        if (this.dims != 3)
+            throw new RangeError("The cross product is only defined in R^3.");
+        let a = this._values, b = other._values;
+        return new RealVector(
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]);
+    }
+
+    /**
+     * The euclidean norm.
+     */
+    norm() {
+        return Math.hypot(...this._values);
+    }
+
+    /**
+     * Returns a unit vector in the same direction. Throws a RangeError for 
+     * the zero vector.
+     */
+    normalize() {
+        let n = this.norm();
+        if (n == 0)
+            throw new RangeError("Can't normalize the zero vector.");
+        return new RealVector(...this._values.map((v) => v / n));
+    }
+
+    /**
+     * Compares element-wise, where two elements are equal if they differ by 
+     * at most tolerance, relative to their magnitude when it's above 1.
+     */
+    equals(other, tolerance) {
+        if (!(other instanceof RealVector) || other.dims != this.dims)
+            return false;
+        let tol = tolerance === undefined ? RealVector.defaultTolerance : tolerance;
+        return this._values.every((v, k) => {
+            let w = other._values[k];
+            return Math.abs(v - w) <= tol * Math.max(1, Math.abs(v), Math.abs(w));
+        });
+    }
+
+    toArray() {
+        return Array.from(this._values);
+    }
+
+    toFloat32Array() {
+        return new Float32Array(this._values);
+    }
+
+    /**
+     * Converts to a twgl.v3, only for vectors in R^3.
+     */
+    toV3() {
+        if (this.dims != 3)
+            throw new RangeError("Only vectors in R^3 can be converted to a twgl.v3.");
+        return twgl.v3.create(...this._values);
+    }
+
     toString() {
         return "(" + this._values.join(", ") + ")"
     }
 };
 
+/**
+ * Represents a real m by n matrix.
+ */
+class RealMatrix {
+    /**
+     * Constructs a matrix from its rows, each row an array-like of float 
+     * convertible values, all of the same length.
+     */
+    constructor(...rows) {
+        if (rows.length < 1)
+            throw new RangeError("Empty matrices are not allowed.");
+        this._rows = rows.length;
+        this._cols = rows[0].length;
+        if (!(this._cols >= 1))
+            throw new RangeError("Empty matrices are not allowed.");
+
+        this._values = [];
+        for (let row of rows) {
+            if (row.length !== this._cols)
+                throw new RangeError("All rows must have the same length.");
+            for (let v of Array.from(row)) {
+                let num = parseFloat(v);
+                if (isNaN(num))
+                    throw new TypeError("Non float-convertible value given.");
+                this._values.push(num);
+            }
+        }
+    }
+
+    static identity(n) {
+        return RealMatrix.fromFunction(n, n, (i, j) => i == j ? 1 : 0);
+    }
+
+    /**
+     * Creates a rows by cols matrix where element (i, j) is fn(i, j).
+     */
+    static fromFunction(rows, cols, fn) {
+        let r = [];
+        for (let i = 0; i < rows; i++) {
+            r.push([]);
+            for (let j = 0; j < cols; j++)
+                r[i].push(fn(i, j));
+        }
+        return new RealMatrix(...r);
+    }
+
+    /**
+     * Creates a matrix with the given RealVectors as rows.
+     */
+    static fromRows(...vectors) {
+        return new RealMatrix(...vectors.map((v) => v.toArray()));
+    }
+
+    /**
+     * Creates a matrix with the given RealVectors as columns.
+     */
+    static fromColumns(...vectors) {
+        return RealMatrix.fromRows(...vectors).transpose();
+    }
+
+    /**
+     * Creates a matrix from a column major array-like, the layout used by 
+     * WebGL and twgl.m4.
+     */
+    static fromColumnMajor(arr, rows, cols) {
+        if (arr.length != rows * cols)
+            throw new RangeError(`Expected ${rows * cols} elements, got ${arr.length}.`);
+        return RealMatrix.fromFunction(rows, cols, (i, j) => arr[j * rows + i]);
+    }
+
+    get rows() {
+        return this._rows;
+    }
+
+    get cols() {
+        return this._cols;
+    }
+
+    /**
+     * Gets the element at row i, column j.
+     */
+    at(i, j) {
+        return this._values[i * this._cols + j];
+    }
+
+    row(i) {
+        return new RealVector(...this._values.slice(i * this._cols, (i + 1) * this._cols));
+    }
+
+    column(j) {
+        let c = [];
+        for (let i = 0; i < this._rows; i++)
+            c.push(this.at(i, j));
+        return new RealVector(...c);
+    }
+
+    _checkSameShape(other) {
+        if (!(other instanceof RealMatrix))
+            throw new TypeError("Expected a RealMatrix.");
+        if (other.rows != this.rows || other.cols != this.cols)
+            throw new RangeError(`Shape mismatch, ${this.rows}x${this.cols} and ${other.rows}x${other.cols}.`);
+    }
+
+    add(other) {
+        this._checkSameShape(other);
+        return RealMatrix.fromFunction(this.rows, this.cols, (i, j) => this.at(i, j) + other.at(i, j));
+    }
+
+    subtract(other) {
+        this._checkSameShape(other);
+        return RealMatrix.fromFunction(this.rows, this.cols, (i, j) => this.at(i, j) - other.at(i, j));
+    }
+
+    scale(s) {
+        return RealMatrix.fromFunction(this.rows, this.cols, (i, j) => this.at(i, j) * s);
+    }
+
+    /**
+     * Multiplies with a RealMatrix, giving a RealMatrix, or with a RealVector,
+     * giving a RealVector.
+     */
+    multiply(other) {
+        if (other instanceof RealVector) {
+            if (other.dims != this.cols)
+                throw new RangeError(`Can't multiply a ${this.rows}x${this.cols} matrix with a vector in R^${other.dims}.`);
+            let res = [];
+            for (let i = 0; i < this.rows; i++)
+                res.push(this.row(i).dot(other));
+            return new RealVector(...res);
+        }
+        if (!(other instanceof RealMatrix))
+            throw new TypeError("Expected a RealMatrix or a RealVector.");
+        if (other.rows != this.cols)
+            throw new RangeError(`Can't multiply a ${this.rows}x${this.cols} matrix with a ${other.rows}x${other.cols} matrix.`);
+        return RealMatrix.fromFunction(this.rows, other.cols, (i, j) => {
+            let sum = 0;
+            for (let k = 0; k < this.cols; k++)
+                sum += this.at(i, k) * other.at(k, j);
+            return sum;
+        });
+    }
+
+    transpose() {
+        return RealMatrix.fromFunction(this.cols, this.rows, (i, j) => this.at(j, i));
+    }
+
+    /**
+     * LU decomposition with partial pivoting, PA = LU, with L and U packed 
+     * into one array. Returns null when the matrix is singular.
+     */
+    _lu() {
+        if (this.rows != this.cols)
+            throw new RangeError("Only square matrices have an LU decomposition.");
+        const n = this.rows;
+        let a = Array.from(this._values);
+        let perm = Array.from({ length: n }, (v, k) => k);
+        let sign = 1;
+        /*
+            Pivots below this are treated as zero, relative to the largest 
+            element, since rounding rarely gives us an exact zero.
+        */
+        let largest = 0;
+        for (let v of a)
+            largest = Math.max(largest, Math.abs(v));
+        let tiny = n * Number.EPSILON * largest;
+        for (let k = 0; k < n; k++) {
+            let p = k;
+            for (let i = k + 1; i < n; i++) {
+                if (Math.abs(a[i * n + k]) > Math.abs(a[p * n + k]))
+                    p = i;
+            }
+            if (!(Math.abs(a[p * n + k]) > tiny))
+                return null;
+            if (p != k) {
+                for (let j = 0; j < n; j++) {
+                    let t = a[k * n + j]; a[k * n + j] = a[p * n + j]; a[p * n + j] = t;
+                }
+                let t = perm[k]; perm[k] = perm[p]; perm[p] = t;
+                sign = -sign;
+            }
+            for (let i = k + 1; i < n; i++) {
+                let f = (a[i * n + k] /= a[k * n + k]);
+                for (let j = k + 1; j < n; j++)
+                    a[i * n + j] -= f * a[k * n + j];
+            }
+        }
+        return { a: a, perm: perm, sign: sign };
+    }
+
+    /**
+     * The determinant, only for square matrices.
+     */
+    determinant() {
+        let lu = this._lu();
+        if (lu == null)
+            return 0;
+        let det = lu.sign;
+        for (let k = 0; k < this.rows; k++)
+            det *= lu.a[k * this.rows + k];
+        return det;
+    }
+
+    /**
+     * Solves Ax = b for x, where A is this matrix. 
+     * 
+     * @arg {RealVector} b
+     * @returns x as a RealVector. Throws a RangeError if A is singular.
+     */
+    solve(b) {
+        if (!(b instanceof RealVector))
+            throw new TypeError("Expected a RealVector.");
+        if (b.dims != this.rows)
+            throw new RangeError(`Can't solve a ${this.rows}x${this.cols} system with a right hand side in R^${b.dims}.`);
+        let lu = this._lu();
+        if (lu == null)
+            throw new RangeError("The matrix is singular.");
+        return new RealVector(...RealMatrix._luSolve(lu, this.rows, b.toArray()));
+    }
+
+    static _luSolve(lu, n, b) {
+        let a = lu.a;
+        let x = lu.perm.map((p) => b[p]);
+        // Forward substitution with the unit lower triangle.
+        for (let i = 1; i < n; i++) {
+            for (let j = 0; j < i; j++)
+                x[i] -= a[i * n + j] * x[j];
+        }
+        // And back substitution with the upper.
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = i + 1; j < n; j++)
+                x[i] -= a[i * n + j] * x[j];
+            x[i] /= a[i * n + i];
+        }
+        return x;
+    }
+
+    /**
+     * The inverse, throws a RangeError if the matrix is singular.
+     */
+    inverse() {
+        let lu = this._lu();
+        if (lu == null)
+            throw new RangeError("The matrix is singular.");
+        const n = this.rows;
+        let cols = [];
+        for (let j = 0; j < n; j++) {
+            let e = new Array(n).fill(0);
+            e[j] = 1;
+            cols.push(RealMatrix._luSolve(lu, n, e));
+        }
+        return RealMatrix.fromFunction(n, n, (i, j) => cols[j][i]);
+    }
+
+    /**
+     * Compares element-wise, see RealVector.equals.
+     */
+    equals(other, tolerance) {
+        if (!(other instanceof RealMatrix) || other.rows != this.rows || other.cols != this.cols)
+            return false;
+        return RealVector.fromArray(this._values).equals(RealVector.fromArray(other._values), tolerance);
+    }
+
+    /**
+     * Gets the elements in column major order, the layout used by WebGL and 
+     * twgl.m4.
+     */
+    toColumnMajor() {
+        return new Float32Array(this.transpose()._values);
+    }
+
+    toString() {
+        let rows = [];
+        for (let i = 0; i < this.rows; i++)
+            rows.push(this.row(i).toString());
+        return "(" + rows.join(", ") + ")";
+    }
+};
+
 /**
  * Represents a function f: R^n -> R.
  */
 class RealValuedFunction {
     /**
      * Creates a new instance of RealValuedFunction, with expr as its definition.
+     * 
+     * Throws ExpressionSyntaxError if expr is malformed, and 
+     * ExpressionReferenceError if it uses names that aren't in vars or among 
+     * the built in functions and constants.
+     * 
+     * expr can also be a javascript function taking one argument per variable.
+     * It has no symbolic form, so it is differentiated by calling it with Dual 
+     * numbers instead, and should do its arithmetic through the Dual static 
+     * methods. If it returns a plain number when given duals, the gradient is 
+     * approximated numerically.
+     * 
      * @arg {Array} vars An array of strings, each representing a variable in expr
-     * @arg {String} expr A javascript code segment.
+     * @arg {String|Expression|Function} expr An expression, for example 
+     *      "cos(5x^2) + sin(y)", an already parsed Expression over vars, or 
+     *      a callback such as (x, y) => Dual.mul(x, Dual.sin(y)).
      */
     constructor(vars, expr) {
         this.vars = vars;
@@ -55,16 +453,33 @@ class RealValuedFunction {
             }
         }
         
-        this.func = new Function(...this.vars, "return (" + expr + ");");
+        if (typeof expr === "function") {
+            this.expr = null;
+            this.func = expr;
+        } else {
+            if (expr instanceof Expression) {
+                if (expr.vars.length != vars.length || expr.vars.some((v, i) => v !== vars[i]))
+                    throw new TypeError("expr is defined over other variables than vars.");
+                this.expr = expr;
+            } else {
+                this.expr = Expression.parse(expr, this.vars);
+            }
+            this.func = (...coords) => this.expr.evaluate(coords);
+        }
 
         /*
-            Will throw if the names in vars doesn't correspond to expr.
+            The partial derivatives, created on demand by derivative.
         */
-        this.evalAt(1, 1);
+        this._partials = new Array(this.vars.length);
     }
 
+    /**
+     * Deprecated, numericalGradientAt no longer uses a fixed step. Kept as an
+     * alias of the first step of NumericalDifferentiation, relative to
+     * max(|x_k|, 1).
+     */
     static get defaultEpsilon() {
-        return Number.EPSILON * 64;
+        return NumericalDifferentiation.defaults.relativeStep;
     }
 
     /**
@@ -77,34 +492,297 @@ class RealValuedFunction {
     }
 
     /**
-     * Numerically calculates the gradient at the given coordinates.
+     * Gets the partial derivative with respect to a variable, as a new
+     * RealValuedFunction in the same variables.
      * 
-     * Returns a vector consisting of the numerical partial derivatives of our 
-     * function along each standard axis in R^n.
+     * @arg variable The name or the index of the variable.
+     */
+    derivative(variable) {
+        if (this.expr == null)
+            throw new Error("This function has no symbolic form to differentiate.");
+        let k = typeof variable === "string" ? this.vars.indexOf(variable) : variable;
+        if (!(k >= 0 && k < this.vars.length))
+            throw new RangeError(`${variable} is not a variable of this function.`);
+        if (this._partials[k] === undefined)
+            this._partials[k] = new RealValuedFunction(this.vars, this.expr.derivative(k));
+        return this._partials[k];
+    }
+
+    /**
+     * Calculates the gradient at the given coordinates.
+     * 
+     * Returns a vector consisting of the exact partial derivatives of our 
+     * function along each standard axis in R^n, or undefined if any of them 
+     * isn't defined there. Callbacks are differentiated with Dual numbers.
      */
     gradientAt(...coords) {
         if (coords.length != this.vars.length)
             throw new RangeError(`This is a function from R^${this.vars.length}, called as a function from R^${coords.length}.`);
-        let delta = RealValuedFunction.defaultEpsilon;
+        if (this.expr == null)
+            return this.dualGradientAt(...coords);
+        
         let grad = [];
-        const origin = new Array(this.vars.length).fill(0, 0, this.vars.length);
-        for (let k = 0; k < origin.length; k++) {
-            let p = new Array(...origin);
-            // We use central difference here, so -delta to +delta.
-            p[k] = coords[k] - delta;
-            let v1 = this.evalAt(...p);
-            p[k] = coords[k] + delta;
-            let v2 = this.evalAt(...p);
-            grad[k] = (v2 - v1) / (2 * delta);
-        }
-        for (let gi of grad) {
-            if (isNaN(gi))
+        for (let k = 0; k < this.vars.length; k++) {
+            grad[k] = this.derivative(k).func(...coords);
+            if (!isFinite(grad[k]))
                 return undefined;
         }
         return new RealVector(...grad);
     }
+
+    /**
+     * Calculates the Hessian, the matrix of second order partial derivatives, 
+     * at the given coordinates.
+     * 
+     * Exact for expressions. For callbacks, the gradient from dual numbers is 
+     * differentiated numerically.
+     * 
+     * @returns A RealMatrix, where element (i, j) is the derivative of the 
+     *          i:th partial derivative along axis j. Undefined if any second 
+     *          derivative isn't defined at coords.
+     */
+    hessianAt(...coords) {
+        let n = this.vars.length;
+        if (coords.length != n)
+            throw new RangeError(`This is a function from R^${n}, called as a function from R^${coords.length}.`);
+        
+        let rows = [];
+        for (let i = 0; i < n; i++) {
+            let row = [];
+            if (this.expr != null) {
+                for (let j = 0; j < n; j++) {
+                    row[j] = this.derivative(i).derivative(j).func(...coords);
+                    if (!isFinite(row[j]))
+                        return undefined;
+                }
+            } else {
+                let partial = (...p) => {
+                    let g = this.dualGradientAt(...p);
+                    return g === undefined ? NaN : g.at(i);
+                };
+                let res = NumericalDifferentiation.gradient(partial, coords);
+                if (res === undefined)
+                    return undefined;
+                row = res.gradient;
+            }
+            rows.push(row);
+        }
+        return new RealMatrix(...rows);
+    }
+
+    /**
+     * Gets the Gaussian curvature of the graph z = f(x, y) at (x, y).
+     * 
+     * Only valid for functions of two variables. Undefined where the second 
+     * derivatives are.
+     */
+    gaussianCurvatureAt(x, y) {
+        let d = this._graphDerivatives(x, y);
+        if (d === undefined)
+            return undefined;
+        let w = 1 + d.fx * d.fx + d.fy * d.fy;
+        return (d.fxx * d.fyy - d.fxy * d.fxy) / (w * w);
+    }
+
+    /**
+     * Gets the mean curvature of the graph z = f(x, y) at (x, y), with respect 
+     * to the upward normal. Negative where the graph bends down, like on top 
+     * of a hill.
+     * 
+     * Only valid for functions of two variables. Undefined where the second 
+     * derivatives are.
+     */
+    meanCurvatureAt(x, y) {
+        let d = this._graphDerivatives(x, y);
+        if (d === undefined)
+            return undefined;
+        let w = 1 + d.fx * d.fx + d.fy * d.fy;
+        return ((1 + d.fx * d.fx) * d.fyy - 2 * d.fx * d.fy * d.fxy + (1 + d.fy * d.fy) * d.fxx) / (2 * Math.pow(w, 1.5));
+    }
+
+    _graphDerivatives(x, y) {
+        if (this.vars.length != 2)
+            throw new RangeError(`Curvature is only defined for graphs of functions from R^2, this is a function from R^${this.vars.length}.`);
+        let g = this.gradientAt(x, y);
+        let h = this.hessianAt(x, y);
+        if (g === undefined || h === undefined)
+            return undefined;
+        return { fx: g.at(0), fy: g.at(1), fxx: h.at(0, 0), fxy: h.at(0, 1), fyy: h.at(1, 1) };
+    }
+
+    /**
+     * Calculates the gradient by automatic differentiation, calling our 
+     * function with a Dual number for each coordinate.
+     * 
+     * Falls back to numericalGradientAt when the function doesn't return a 
+     * Dual, since we then can't tell a constant from lost derivatives.
+     */
+    dualGradientAt(...coords) {
+        if (coords.length != this.vars.length)
+            throw new RangeError(`This is a function from R^${this.vars.length}, called as a function from R^${coords.length}.`);
+        let n = coords.length;
+        let v = this.func(...coords.map((c, k) => Dual.variable(c, k, n)));
+        if (!(v instanceof Dual))
+            return this.numericalGradientAt(...coords);
+        
+        if (!isFinite(v.value) || !v.grad.every(isFinite))
+            return undefined;
+        return new RealVector(...v.grad);
+    }
+
+    /**
+     * Numerically calculates the gradient at the given coordinates.
+     * 
+     * Returns a vector consisting of the numerical partial derivatives of our 
+     * function along each standard axis in R^n, see 
+     * NumericalDifferentiation.
+     */
+    numericalGradientAt(...coords) {
+        let res = this.numericalGradientEstimateAt(coords);
+        if (res === undefined)
+            return undefined;
+        return res.gradient;
+    }
+
+    /**
+     * Like numericalGradientAt, but also estimates the error.
+     * 
+     * @arg {Array} coords The point to differentiate at.
+     * @arg {Object} options Optional, see NumericalDifferentiation.defaults.
+     * @returns An object with the RealVectors gradient and error, the latter
+     *          holding the estimated absolute error of each component. 
+     *          Undefined if the gradient isn't defined at coords.
+     */
+    numericalGradientEstimateAt(coords, options) {
+        if (coords.length != this.vars.length)
+            throw new RangeError(`This is a function from R^${this.vars.length}, called as a function from R^${coords.length}.`);
+        let res = NumericalDifferentiation.gradient(this.func, coords, options);
+        if (res === undefined)
+            return undefined;
+        return {
+            gradient: new RealVector(...res.gradient),
+            error: new RealVector(...res.errors)
+        };
+    }
+};
+
+/**
+ * Represents a function f: R^n -> R^m.
+ */
+class VectorValuedFunction {
+    /**
+     * Creates a new instance of VectorValuedFunction, with one component 
+     * function per element in exprs.
+     * 
+     * Each component is a RealValuedFunction, so exprs can hold anything the
+     * RealValuedFunction constructor accepts, and is validated the same way.
+     * 
+     * @arg {Array} vars An array of strings, each representing a variable.
+     * @arg {Array} exprs The component expressions, for example 
+     *                    ["cos(u)", "sin(u)", "v"].
+     */
+    constructor(vars, exprs) {
+        if (!Array.isArray(exprs))
+            throw new TypeError("exprs needs to be an array of component expressions.");
+        if (exprs.length < 1)
+            throw new RangeError("A vector valued function needs at least one component.");
+        this.vars = vars;
+        this._components = exprs.map((e) => new RealValuedFunction(vars, e));
+    }
+
+    /**
+     * The number of components, m for f: R^n -> R^m.
+     */
+    get dims() {
+        return this._components.length;
+    }
+
+    /**
+     * Gets component k as a RealValuedFunction.
+     */
+    component(k) {
+        return this._components[k];
+    }
+
+    /**
+     * Evaluate the function at the given coordinates.
+     * 
+     * @returns A RealVector, or undefined if any component is undefined there.
+     */
+    evalAt(...coords) {
+        if (coords.length != this.vars.length)
+            throw new RangeError(`This is a function from R^${this.vars.length}, called as a function from R^${coords.length}.`);
+        let values = [];
+        for (let c of this._components) {
+            let v = c.evalAt(...coords);
+            if (v === undefined)
+                return undefined;
+            values.push(v);
+        }
+        return new RealVector(...values);
+    }
+
+    /**
+     * Calculates the Jacobian at the given coordinates.
+     * 
+     * @returns An m by n RealMatrix where row k is the gradient of component 
+     *          k, or undefined if any of the gradients is undefined there.
+     */
+    jacobianAt(...coords) {
+        let rows = [];
+        for (let c of this._components) {
+            let g = c.gradientAt(...coords);
+            if (g === undefined)
+                return undefined;
+            rows.push(g);
+        }
+        return RealMatrix.fromRows(...rows);
+    }
 };
 
+/**
+ * Represents a function f: C -> C.
+ */
+class ComplexFunction {
+    /**
+     * Creates a new instance of ComplexFunction, with expr as its definition.
+     * 
+     * Throws ExpressionSyntaxError and ExpressionReferenceError like 
+     * RealValuedFunction does.
+     * 
+     * @arg {Array} vars An array with the name of the one variable.
+     * @arg {String|Function} expr A complex expression, see 
+     *      Expression.parseComplex, for example "exp(1/z) + 2i", or a 
+     *      javascript function taking a Complex and returning a Complex or a
+     *      number.
+     */
+    constructor(vars, expr) {
+        if (!(Array.isArray(vars) && vars.length == 1 && typeof vars[0] === "string"))
+            throw new TypeError("vars needs to be an array with the name of one variable.");
+        this.vars = vars;
+        if (typeof expr === "function") {
+            this.expr = null;
+            this.func = expr;
+        } else {
+            this.expr = Expression.parseComplex(expr, vars);
+            this.func = (z) => this.expr.evaluateComplex([z]);
+        }
+    }
+
+    /**
+     * Evaluate the function at z.
+     * 
+     * @arg z A Complex or a number.
+     * @returns A Complex, or undefined if the function isn't defined there.
+     */
+    evalAt(z) {
+        let w = this.func(Complex.from(z));
+        if (w === undefined || !Complex.isFinite(w))
+            return undefined;
+        return Complex.from(w);
+    }
+}
+
 /**
  * Abstract class. Defines a function and its plot.
  */
@@ -146,214 +824,3129 @@ class R2toRPlot extends PlotDefinition {
 }
 
 /**
- * Abstract class. Provides the GL geometry and shader for drawing a certain object.
+ * A complex function f: C -> C, over the plane of z = x + iy.
  */
-class GraphicsObject {
+class ComplexPlot extends PlotDefinition {
+    /**
+     * @arg {ComplexFunction} complexFunc
+     */
+    constructor(complexFunc) {
+        if (!(complexFunc instanceof ComplexFunction))
+            throw new TypeError("Expected a ComplexFunction.");
+        super();
+        this._func = complexFunc;
+    }
+
+    get fn() { return this._func; }
+}
+
+/**
+ * A surface given by a function (u, v) -> (x, y, z) over a rectangle in the 
+ * uv-plane.
+ */
+class ParametricSurfacePlot extends PlotDefinition {
+    /**
+     * @arg {VectorValuedFunction} vectorValuedFunc A function from R^2 to R^3.
+     * @arg {Array} uRange The range of u as [min, max].
+     * @arg {Array} vRange The range of v as [min, max].
+     * @arg {Object} options Optional. wrapU and wrapV tell that the surface 
+     *                       is closed in that direction, so that the last row
+     *                       of the grid is joined with the first, for example
+     *                       for u in [0, 2pi] on a torus. "reversed" joins 
+     *                       them with the other parameter reversed instead, 
+     *                       like the ends of a Möbius strip, where (u1, v) is
+     *                       the point (u0, v0 + v1 - v).
+     */
+    constructor(vectorValuedFunc, uRange, vRange, options) {
+        if (!(vectorValuedFunc instanceof VectorValuedFunction))
+            throw new TypeError("Expected a VectorValuedFunction.");
+        if (vectorValuedFunc.vars.length != 2 || vectorValuedFunc.dims != 3)
+            throw new RangeError("Expected a function from R^2 to R^3.");
+        super();
+        this._func = vectorValuedFunc;
+        this._uRange = ParametricSurfacePlot._checkRange(uRange, "uRange");
+        this._vRange = ParametricSurfacePlot._checkRange(vRange, "vRange");
+        options = options || {};
+        this._wrapU = ParametricSurfacePlot._checkWrap(options.wrapU);
+        this._wrapV = ParametricSurfacePlot._checkWrap(options.wrapV);
+    }
+
+    static _checkWrap(wrap) {
+        return wrap === "reversed" ? wrap : !!wrap;
+    }
+
+    static _checkRange(range, name) {
+        if (!Array.isArray(range) || range.length != 2 || !range.every(isFinite))
+            throw new TypeError(`${name} needs to be an array of two numbers.`);
+        if (!(range[0] < range[1]))
+            throw new RangeError(`${name} needs to be given as [min, max].`);
+        return [range[0], range[1]];
+    }
+
+    get fn() { return this._func; }
+
+    get uRange() { return this._uRange; }
+
+    get vRange() { return this._vRange; }
+
+    get wrapU() { return this._wrapU; }
+
+    get wrapV() { return this._wrapV; }
+}
+
+/**
+ * Abstract class. A surface given by a function in polar, cylindrical or
+ * spherical coordinates, plotted as the ParametricSurfacePlot it describes in
+ * Cartesian coordinates.
+ */
+class CoordinateSurfacePlot extends ParametricSurfacePlot {
+    /**
+     * @arg {RealValuedFunction} realValuedFunc A function of two variables,
+     *                                          in the order of the subclass.
+     * @arg {Array} order The indices of the variables of realValuedFunc in
+     *                    the order they become u and v.
+     * @arg {Function} embed Called as embed(a, b, f, ops) with the variables
+     *                       a and b and the function value f, and returns
+     *                       [x, y, z], using ops.mul, ops.sin and ops.cos for
+     *                       the arithmetic.
+     * @arg {Array} ranges The ranges of the two variables, in their order.
+     * @arg {Array} wrap Whether each variable goes a full turn.
+     */
+    constructor(realValuedFunc, order, embed, ranges, wrap) {
+        if (!(realValuedFunc instanceof RealValuedFunction))
+            throw new TypeError("Expected a RealValuedFunction.");
+        if (realValuedFunc.vars.length != 2)
+            throw new RangeError("Expected a function of two variables.");
+        super(
+            CoordinateSurfacePlot._parametrize(realValuedFunc, order, embed), ranges[order[0]], ranges[order[1]],
+            { wrapU: wrap[order[0]], wrapV: wrap[order[1]] });
+        this._coordinateFn = realValuedFunc;
+    }
+
+    /*
+        Builds the VectorValuedFunction (u, v) -> (x, y, z). Expressions stay
+        symbolic, so that the normals come from exact derivatives, while
+        callbacks are wrapped in callbacks that work with Dual numbers.
+    */
+    static _parametrize(fn, order, embed) {
+        let vars = order.map((k) => fn.vars[k]);
+        if (fn.expr != null) {
+            const ops = {
+                mul: (a, b) => ExprNode.binary("*", a, b),
+                sin: (a) => ExprNode.call("sin", [a]),
+                cos: (a) => ExprNode.call("cos", [a])
+            };
+            let nodes = fn.vars.map((name, k) => new ExprVariable(name, order.indexOf(k)));
+            let xyz = embed(nodes[0], nodes[1], fn.expr.root.substitute(nodes), ops);
+            return new VectorValuedFunction(vars, xyz.map((root) => new Expression(vars, root)));
+        }
+        return new VectorValuedFunction(vars, [0, 1, 2].map((c) => (...params) => {
+            let args = order.map((_, k) => params[order.indexOf(k)]);
+            return embed(args[0], args[1], fn.func(...args), Dual)[c];
+        }));
+    }
+
+    /*
+        Whether range covers a full turn, in which case the surface is closed
+        in that direction.
+    */
+    static _fullTurn(range) {
+        return Math.abs(range[1] - range[0] - 2 * Math.PI) < 1e-12;
+    }
+
+    /**
+     * The function as given, in the coordinates of the plot.
+     */
+    get coordinateFn() { return this._coordinateFn; }
+}
+
+/**
+ * The graph of z = f(r, theta) over a disk, or an annulus when r starts
+ * above 0.
+ */
+class PolarPlot extends CoordinateSurfacePlot {
+    /**
+     * @arg {RealValuedFunction} realValuedFunc A function of r and theta, in
+     *                                          that order.
+     * @arg {Array} rRange The range of r, [0, 1] by default. r can't be
+     *                     negative.
+     * @arg {Array} thetaRange The range of theta, [0, 2pi] by default.
+     */
+    constructor(realValuedFunc, rRange, thetaRange) {
+        rRange = ParametricSurfacePlot._checkRange(rRange || [0, 1], "rRange");
+        thetaRange = ParametricSurfacePlot._checkRange(thetaRange || [0, 2 * Math.PI], "thetaRange");
+        if (rRange[0] < 0)
+            throw new RangeError("r can't be negative.");
+        if (thetaRange[1] - thetaRange[0] > 2 * Math.PI + 1e-12)
+            throw new RangeError("thetaRange can't be more than a full turn.");
+        super(
+            realValuedFunc, [0, 1],
+            (r, theta, f, ops) => [ops.mul(r, ops.cos(theta)), ops.mul(r, ops.sin(theta)), f],
+            [rRange, thetaRange], [false, CoordinateSurfacePlot._fullTurn(thetaRange)]);
+    }
+}
+
+/**
+ * A surface r = f(theta, z) around the z-axis, where r is the distance from
+ * the axis.
+ */
+class CylindricalPlot extends CoordinateSurfacePlot {
+    /**
+     * @arg {RealValuedFunction} realValuedFunc A function of theta and z, in
+     *                                          that order.
+     * @arg {Array} thetaRange The range of theta, [0, 2pi] by default.
+     * @arg {Array} zRange The range of z, [-1, 1] by default.
+     */
+    constructor(realValuedFunc, thetaRange, zRange) {
+        thetaRange = ParametricSurfacePlot._checkRange(thetaRange || [0, 2 * Math.PI], "thetaRange");
+        zRange = ParametricSurfacePlot._checkRange(zRange || [-1, 1], "zRange");
+        if (thetaRange[1] - thetaRange[0] > 2 * Math.PI + 1e-12)
+            throw new RangeError("thetaRange can't be more than a full turn.");
+        /*
+            z goes first, so that the normals of a closed surface point
+            outwards like those of SphericalPlot.
+        */
+        super(
+            realValuedFunc, [1, 0],
+            (theta, z, f, ops) => [ops.mul(f, ops.cos(theta)), ops.mul(f, ops.sin(theta)), z],
+            [thetaRange, zRange], [CoordinateSurfacePlot._fullTurn(thetaRange), false]);
+    }
+}
+
+/**
+ * A surface r = f(theta, phi), where r is the distance from the origin, theta
+ * the angle around the z-axis and phi the angle from the positive z-axis.
+ */
+class SphericalPlot extends CoordinateSurfacePlot {
+    /**
+     * @arg {RealValuedFunction} realValuedFunc A function of theta and phi,
+     *                                          in that order.
+     * @arg {Array} thetaRange The range of theta, [0, 2pi] by default.
+     * @arg {Array} phiRange The range of phi, inside [0, pi], which is also
+     *                       the default.
+     */
+    constructor(realValuedFunc, thetaRange, phiRange) {
+        thetaRange = ParametricSurfacePlot._checkRange(thetaRange || [0, 2 * Math.PI], "thetaRange");
+        phiRange = ParametricSurfacePlot._checkRange(phiRange || [0, Math.PI], "phiRange");
+        if (thetaRange[1] - thetaRange[0] > 2 * Math.PI + 1e-12)
+            throw new RangeError("thetaRange can't be more than a full turn.");
+        if (phiRange[0] < 0 || phiRange[1] > Math.PI)
+            throw new RangeError("phiRange needs to be inside [0, pi].");
+        super(
+            realValuedFunc, [0, 1],
+            (theta, phi, f, ops) => {
+                let rho = ops.mul(f, ops.sin(phi));
+                return [ops.mul(rho, ops.cos(theta)), ops.mul(rho, ops.sin(theta)), ops.mul(f, ops.cos(phi))];
+            },
+            [thetaRange, phiRange], [CoordinateSurfacePlot._fullTurn(thetaRange), false]);
+    }
+}
+
+/**
+ * A space curve given by a function t -> (x, y, z).
+ */
+class ParametricCurvePlot extends PlotDefinition {
+    /**
+     * @arg {VectorValuedFunction} vectorValuedFunc A function from R to R^3.
+     * @arg {Array} tRange The range of t as [min, max].
+     * @arg {Number} samples The number of points to sample the curve at, 256
+     *                       if not given.
+     */
+    constructor(vectorValuedFunc, tRange, samples) {
+        if (!(vectorValuedFunc instanceof VectorValuedFunction))
+            throw new TypeError("Expected a VectorValuedFunction.");
+        if (vectorValuedFunc.vars.length != 1 || vectorValuedFunc.dims != 3)
+            throw new RangeError("Expected a function from R to R^3.");
+        if (samples === undefined)
+            samples = 256;
+        if (!(Number.isInteger(samples) && samples >= 2))
+            throw new RangeError("samples needs to be an integer of at least 2.");
+        super();
+        this._func = vectorValuedFunc;
+        this._tRange = ParametricSurfacePlot._checkRange(tRange, "tRange");
+        this._samples = samples;
+    }
+
+    get fn() { return this._func; }
+
+    get tRange() { return this._tRange; }
+
+    get samples() { return this._samples; }
+}
+
+/**
+ * A vector field F: R^3 -> R^3, drawn as arrows on a lattice inside the 
+ * plotter bounds.
+ */
+class VectorFieldPlot extends PlotDefinition {
+    /**
+     * @arg {VectorValuedFunction} vectorValuedFunc A function from R^3 to R^3.
+     * @arg {Number} samples The number of lattice points along each axis, 8 
+     *                       if not given.
+     */
+    constructor(vectorValuedFunc, samples) {
+        if (!(vectorValuedFunc instanceof VectorValuedFunction))
+            throw new TypeError("Expected a VectorValuedFunction.");
+        if (vectorValuedFunc.vars.length != 3 || vectorValuedFunc.dims != 3)
+            throw new RangeError("Expected a function from R^3 to R^3.");
+        if (samples === undefined)
+            samples = 8;
+        if (!(Number.isInteger(samples) && samples >= 1))
+            throw new RangeError("samples needs to be a positive integer.");
+        super();
+        this._func = vectorValuedFunc;
+        this._samples = samples;
+    }
+
+    get fn() { return this._func; }
+
+    get samples() { return this._samples; }
+}
+
+/**
+ * Streamlines of a vector field F: R^3 -> R^3, that is the curves through 
+ * given seed points that are tangent to the field everywhere.
+ */
+class StreamlinePlot extends PlotDefinition {
+    /**
+     * @arg {VectorValuedFunction} vectorValuedFunc A function from R^3 to R^3.
+     * @arg {Array} seeds The RealVectors to start a streamline at, see 
+     *                    seedsAlongLine and seedsOnPlane.
+     * @arg {Object} options Optional. method is "rk45" (the default) or "rk4", 
+     *                       see ODEIntegrator. direction is "forward", 
+     *                       "backward" or "both" (the default), relative to 
+     *                       the field. maxSteps limits the number of steps in 
+     *                       each direction, 500 by default.
+     */
+    constructor(vectorValuedFunc, seeds, options) {
+        if (!(vectorValuedFunc instanceof VectorValuedFunction))
+            throw new TypeError("Expected a VectorValuedFunction.");
+        if (vectorValuedFunc.vars.length != 3 || vectorValuedFunc.dims != 3)
+            throw new RangeError("Expected a function from R^3 to R^3.");
+        if (!Array.isArray(seeds) || !seeds.every((p) => p instanceof RealVector && p.dims == 3))
+            throw new TypeError("seeds needs to be an array of RealVector in R^3.");
+        options = options || {};
+        let method = options.method || "rk45";
+        if (ODEIntegrator.methods.indexOf(method) === -1)
+            throw new RangeError(`method must be one of ${ODEIntegrator.methods.join(", ")}.`);
+        let direction = options.direction || "both";
+        if (["forward", "backward", "both"].indexOf(direction) === -1)
+            throw new RangeError("direction must be one of forward, backward, both.");
+        let maxSteps = options.maxSteps === undefined ? 500 : options.maxSteps;
+        if (!(Number.isInteger(maxSteps) && maxSteps >= 1))
+            throw new RangeError("maxSteps needs to be a positive integer.");
+        super();
+        this._func = vectorValuedFunc;
+        this._seeds = seeds;
+        this._method = method;
+        this._direction = direction;
+        this._maxSteps = maxSteps;
+    }
+
+    /**
+     * count evenly spaced seeds on the line segment from a to b, including 
+     * both ends. A single seed is put in the middle.
+     */
+    static seedsAlongLine(a, b, count) {
+        if (!(Number.isInteger(count) && count >= 1))
+            throw new RangeError("count needs to be a positive integer.");
+        let seeds = [];
+        for (let i = 0; i < count; i++) {
+            let t = count == 1 ? 0.5 : i / (count - 1);
+            seeds.push(a.add(b.subtract(a).scale(t)));
+        }
+        return seeds;
+    }
+
+    /**
+     * A grid of countU by countV seeds on the parallelogram origin + s u + t v
+     * for s and t in [0, 1].
+     */
+    static seedsOnPlane(origin, u, v, countU, countV) {
+        let seeds = [];
+        for (let s of StreamlinePlot.seedsAlongLine(origin, origin.add(u), countU))
+            seeds.push(...StreamlinePlot.seedsAlongLine(s, s.add(v), countV));
+        return seeds;
+    }
+
+    get fn() { return this._func; }
+
+    get seeds() { return this._seeds; }
+
+    get method() { return this._method; }
+
+    get direction() { return this._direction; }
+
+    get maxSteps() { return this._maxSteps; }
+}
+
+/**
+ * A surface z = f(x, y) given by samples on a rectilinear grid, such as a 
+ * height map.
+ */
+class GridDataPlot extends PlotDefinition {
+    /**
+     * @arg values Either a 2D array where values[j][i] is the height at 
+     *             (xs[i], ys[j]), or a flat array, such as a Float32Array, 
+     *             holding it at index i + xs.length * j. Anything but a 
+     *             finite number leaves a hole.
+     * @arg {Array} xs The x coordinates of the columns, increasing.
+     * @arg {Array} ys The y coordinates of the rows, increasing.
+     */
+    constructor(values, xs, ys) {
+        for (let [coords, name] of [[xs, "xs"], [ys, "ys"]]) {
+            if (!Array.isArray(coords) && !ArrayBuffer.isView(coords))
+                throw new TypeError(`${name} needs to be an array.`);
+            if (coords.length < 2)
+                throw new RangeError(`${name} needs at least 2 coordinates.`);
+            for (let i = 0; i < coords.length; i++) {
+                if (!isFinite(coords[i]) || (i > 0 && !(coords[i] > coords[i - 1])))
+                    throw new RangeError(`${name} needs to be finite and increasing.`);
+            }
+        }
+        const COLS = xs.length, ROWS = ys.length;
+        let nested = Array.isArray(values) && values.length > 0 && (Array.isArray(values[0]) || ArrayBuffer.isView(values[0]));
+        if (nested) {
+            if (values.length != ROWS || values.some((row) => row.length != COLS))
+                throw new RangeError(`Expected ${ROWS} rows of ${COLS} values.`);
+        } else if (Array.isArray(values) || ArrayBuffer.isView(values)) {
+            if (values.length != COLS * ROWS)
+                throw new RangeError(`Expected ${COLS * ROWS} values, got ${values.length}.`);
+        } else {
+            throw new TypeError("values needs to be a 2D array or a flat array.");
+        }
+        super();
+        this._values = new Float64Array(COLS * ROWS);
+        for (let j = 0; j < ROWS; j++) {
+            for (let i = 0; i < COLS; i++) {
+                let v = nested ? values[j][i] : values[i + COLS * j];
+                this._values[i + COLS * j] = (typeof v === "number" && isFinite(v)) ? v : NaN;
+            }
+        }
+        this._xs = Array.from(xs);
+        this._ys = Array.from(ys);
+    }
+
+    get xs() { return this._xs; }
+
+    get ys() { return this._ys; }
+
+    get cols() { return this._xs.length; }
+
+    get rows() { return this._ys.length; }
+
+    /**
+     * The height at (xs[i], ys[j]), NaN for holes.
+     */
+    at(i, j) {
+        return this._values[i + this.cols * j];
+    }
+
+    /**
+     * The smallest box holding the grid, see ScatterPlot.extent.
+     */
+    get extent() {
+        let zmin = Infinity, zmax = -Infinity;
+        for (let v of this._values) {
+            if (isNaN(v))
+                continue;
+            zmin = Math.min(zmin, v);
+            zmax = Math.max(zmax, v);
+        }
+        if (zmin > zmax)
+            return undefined;
+        if (zmin == zmax) {
+            zmin -= 0.5;
+            zmax += 0.5;
+        }
+        return {
+            min: [this._xs[0], this._ys[0], zmin],
+            max: [this._xs[this.cols - 1], this._ys[this.rows - 1], zmax]
+        };
+    }
+}
+
+/**
+ * A surface through irregular samples (x, y, z), either the Delaunay 
+ * triangulation of the samples itself or a function interpolating them.
+ */
+class ScatteredSurfacePlot extends PlotDefinition {
+    /**
+     * @arg data The samples, in any form ScatterPlot takes. Samples missing 
+     *           x, y or z are left out, as are those repeating the position 
+     *           of an earlier one.
+     * @arg {Object} options Optional. interpolation is "none" (the default), 
+     *                       to draw the triangulation, or one of 
+     *                       ScatteredInterpolation.methods, to draw the 
+     *                       interpolant on a regular grid.
+     */
+    constructor(data, options) {
+        let scatter = new ScatterPlot(data);
+        options = options || {};
+        let interpolation = options.interpolation || "none";
+        if (interpolation !== "none" && ScatteredInterpolation.methods.indexOf(interpolation) === -1)
+            throw new RangeError(`interpolation must be none or one of ${ScatteredInterpolation.methods.join(", ")}.`);
+        super();
+
+        let [x, y, z] = ["x", "y", "z"].map((name) => scatter.column(name));
+        let seen = new Set();
+        this._points = [];
+        this._values = [];
+        for (let i = 0; i < scatter.length; i++) {
+            let key = x[i] + "," + y[i];
+            if (isNaN(x[i]) || isNaN(y[i]) || isNaN(z[i]) || seen.has(key))
+                continue;
+            seen.add(key);
+            this._points.push([x[i], y[i]]);
+            this._values.push(z[i]);
+        }
+        this._delaunay = new Delaunay(this._points);
+        this._interpolation = interpolation;
+        this._interpolant = interpolation === "none" ? null : 
+            ScatteredInterpolation.create(interpolation, this._delaunay, this._values);
+    }
+
+    /**
+     * The positions of the samples, as [x, y] pairs.
+     */
+    get points() { return this._points; }
+
+    /**
+     * The heights of the samples.
+     */
+    get values() { return this._values; }
+
+    get delaunay() { return this._delaunay; }
+
+    get interpolation() { return this._interpolation; }
+
+    /**
+     * The interpolating function (x, y) -> z, or null without interpolation.
+     */
+    get interpolant() { return this._interpolant; }
+}
+
+/**
+ * A point cloud from tabular data, with optional size and color columns.
+ */
+class ScatterPlot extends PlotDefinition {
+    /**
+     * @arg data Either an object with the equally long arrays x, y and z, 
+     *           and optionally size and color, or an array of objects with 
+     *           those properties, one per point. Anything but a finite 
+     *           number counts as missing, points missing x, y or z aren't 
+     *           drawn.
+     */
+    constructor(data) {
+        if (Array.isArray(data)) {
+            let rows = data;
+            data = {};
+            for (let name of ScatterPlot.columnNames) {
+                if (rows.some((row) => row[name] !== undefined))
+                    data[name] = rows.map((row) => row[name]);
+            }
+            if (rows.length == 0)
+                data = { x: [], y: [], z: [] };
+        }
+        if (data == null || typeof data !== "object")
+            throw new TypeError("Expected an object of columns or an array of rows.");
+        let columns = {};
+        for (let name of ScatterPlot.columnNames) {
+            let column = data[name];
+            if (column === undefined) {
+                if (["x", "y", "z"].indexOf(name) !== -1)
+                    throw new TypeError(`Missing the column ${name}.`);
+                continue;
+            }
+            if (!Array.isArray(column) && !ArrayBuffer.isView(column))
+                throw new TypeError(`The column ${name} needs to be an array.`);
+            if (column.length != data.x.length)
+                throw new RangeError(`The column ${name} has ${column.length} values, x has ${data.x.length}.`);
+            columns[name] = Array.from(column, (v) => (typeof v === "number" && isFinite(v)) ? v : NaN);
+        }
+        super();
+        this._columns = columns;
+    }
+
+    static get columnNames() {
+        return ["x", "y", "z", "size", "color"];
+    }
+
+    /**
+     * The number of rows, including those with missing values.
+     */
+    get length() { return this._columns.x.length; }
+
+    /**
+     * The column with the given name, an array with NaN for missing values, 
+     * or undefined if the plot has no such column.
+     */
+    column(name) {
+        return this._columns[name];
+    }
+
+    /**
+     * The smallest box holding all points, in the form of the plotter bounds, 
+     * or undefined if there are no points. Axes along which all points agree 
+     * are widened to 1, so the box never is flat.
+     */
+    get extent() {
+        let c = this._columns;
+        let min = [Infinity, Infinity, Infinity];
+        let max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < this.length; i++) {
+            let p = [c.x[i], c.y[i], c.z[i]];
+            if (p.some(isNaN))
+                continue;
+            for (let a = 0; a < 3; a++) {
+                min[a] = Math.min(min[a], p[a]);
+                max[a] = Math.max(max[a], p[a]);
+            }
+        }
+        if (min[0] > max[0])
+            return undefined;
+        for (let a = 0; a < 3; a++) {
+            if (min[a] == max[a]) {
+                min[a] -= 0.5;
+                max[a] += 0.5;
+            }
+        }
+        return { min: min, max: max };
+    }
+
+    /**
+     * The smallest and largest value of a column as [min, max], ignoring 
+     * missing values, or undefined if it has none.
+     */
+    columnExtent(name) {
+        let min = Infinity, max = -Infinity;
+        for (let v of this._columns[name] || []) {
+            if (isNaN(v))
+                continue;
+            min = Math.min(min, v);
+            max = Math.max(max, v);
+        }
+        if (min > max)
+            return undefined;
+        return [min, max];
+    }
+}
+
+/**
+ * The level set f(x, y, z) = c of a function from R^3.
+ */
+class ImplicitSurfacePlot extends PlotDefinition {
+    /**
+     * @arg {RealValuedFunction} realValuedFunc A function from R^3.
+     * @arg {Number} isoValue The level c, 0 if not given.
+     */
+    constructor(realValuedFunc, isoValue) {
+        if (!(realValuedFunc instanceof RealValuedFunction))
+            throw new TypeError("Expected a RealValuedFunction.");
+        if (realValuedFunc.vars.length != 3)
+            throw new RangeError("Expected a function from R^3.");
+        if (isoValue === undefined)
+            isoValue = 0;
+        if (!isFinite(isoValue))
+            throw new TypeError("isoValue needs to be a finite number.");
+        super();
+        this._func = realValuedFunc;
+        this._isoValue = isoValue;
+    }
+
+    get fn() { return this._func; }
+
+    get isoValue() { return this._isoValue; }
+}
+
+/**
+ * How finely plots are sampled and how they are drawn, as given to
+ * GraphicsObject.buildBuffers. Instances are immutable, use with for a
+ * changed copy.
+ *
+ * resolution is the number of samples along each axis of grids, such as
+ * those of R2toRGraphicsObject with mesh "grid", ParametricSurfaceGraphicsObject
+ * and ContourGraphicsObject. volumeResolution is the number of marching cubes
+ * cells along each axis of ImplicitSurfaceGraphicsObject.
+ *
+ * segments is the number of vertices around tubes and spheres, and
+ * glyphSegments the same for arrows and streamlines, which tend to be drawn
+ * in large numbers.
+ *
+ * maxTriangles and tolerance are the triangle budget and the largest error,
+ * relative to the height of the bounds, of adaptive meshes, see AdaptiveMesh.
+ *
+ * normals is one of QualityOptions.normalModes, and decides how
+ * R2toRGraphicsObject and ImplicitSurfaceGraphicsObject get the gradients
+ * for their normals. "exact" ones are symbolic or by automatic
+ * differentiation, while "numerical" ones use NumericalDifferentiation, for
+ * functions whose derivatives are costly or misbehave.
+ *
+ * antialias and pixelRatio only apply to a whole plotter. antialias is read
+ * when the SoWebPlotter creates its canvas, and pixelRatio multiplies the
+ * resolution of the canvas, for example 2 for sharper screenshots.
+ */
+class QualityOptions {
+    /**
+     * @arg {Object} options Optional. Any of the settings above, overriding
+     *                       those of the preset named by preset, "normal" by
+     *                       default.
+     */
+    constructor(options) {
+        options = options || {};
+        let presets = QualityOptions.presets;
+        let preset = options.preset || "normal";
+        if (!presets.hasOwnProperty(preset))
+            throw new RangeError(`preset must be one of ${Object.keys(presets).join(", ")}.`);
+        let settings = Object.assign({}, presets[preset]);
+        for (let key in options) {
+            if (key === "preset")
+                continue;
+            if (!settings.hasOwnProperty(key))
+                throw new RangeError(`Unknown quality option '${key}'.`);
+            settings[key] = options[key];
+        }
+
+        for (let [key, least] of [["resolution", 2], ["volumeResolution", 1], ["segments", 4], ["glyphSegments", 3]]) {
+            if (!(Number.isInteger(settings[key]) && settings[key] >= least))
+                throw new RangeError(`${key} needs to be an integer of at least ${least}.`);
+        }
+        if (!(settings.maxTriangles >= 128))
+            throw new RangeError("maxTriangles needs to be at least 128.");
+        if (!(settings.tolerance >= 0))
+            throw new RangeError("tolerance can't be negative.");
+        if (QualityOptions.normalModes.indexOf(settings.normals) === -1)
+            throw new RangeError(`normals must be one of ${QualityOptions.normalModes.join(", ")}.`);
+        if (typeof settings.antialias !== "boolean")
+            throw new TypeError("antialias needs to be true or false.");
+        if (!(settings.pixelRatio >= 1))
+            throw new RangeError("pixelRatio needs to be at least 1.");
+
+        Object.assign(this, settings);
+        Object.freeze(this);
+    }
+
+    /**
+     * The settings of the presets. "draft" is for quick previews, "normal"
+     * for interactive use and "print" for figures.
+     */
+    static get presets() {
+        return {
+            draft: {
+                resolution: 24, volumeResolution: 16, segments: 6, glyphSegments: 4,
+                maxTriangles: 2048, tolerance: 4e-3, normals: "exact", antialias: false, pixelRatio: 1
+            },
+            normal: {
+                resolution: 64, volumeResolution: 32, segments: 12, glyphSegments: 8,
+                maxTriangles: 8192, tolerance: 1e-3, normals: "exact", antialias: true, pixelRatio: 1
+            },
+            print: {
+                resolution: 160, volumeResolution: 64, segments: 24, glyphSegments: 16,
+                maxTriangles: 65536, tolerance: 2.5e-4, normals: "exact", antialias: true, pixelRatio: 2
+            }
+        };
+    }
+
+    static get normalModes() {
+        return ["exact", "numerical"];
+    }
+
+    /**
+     * Gets quality options from a QualityOptions, which is returned as is,
+     * the name of a preset, or an object for the constructor. Nothing gives
+     * the "normal" preset.
+     */
+    static from(options) {
+        if (options instanceof QualityOptions)
+            return options;
+        if (typeof options === "string")
+            return new QualityOptions({ preset: options });
+        return new QualityOptions(options);
+    }
+
+    /**
+     * The options for a graphics object, given those of its renderer and its
+     * own, see GraphicsObject.quality.
+     */
+    static resolve(base, own) {
+        if (own == null)
+            return base;
+        if (own instanceof QualityOptions)
+            return own;
+        return base.with(own);
+    }
+
+    /**
+     * A copy with the settings in overrides changed.
+     */
+    with(overrides) {
+        return new QualityOptions(Object.assign({}, this, overrides));
+    }
+}
+
+/**
+ * Abstract class. Provides the GL geometry and shader for drawing a certain object.
+ */
+class GraphicsObject {
+    constructor() {
+        this._quality = null;
+        this._buffersInvalidated = false;
+    }
+
+    /**
+     * The PlotDefinition drawn, undefined for objects such as the axes that 
+     * don't draw one.
+     */
+    get def() {
+        return this._def;
+    }
+
+    /**
+     * Quality options of this object, overriding those of the renderer. Null
+     * by default, to use those of the renderer.
+     *
+     * Can be set to a QualityOptions or the name of a preset, which replaces
+     * the renderer's options, or to an object with some of the settings,
+     * which are changed from the renderer's. The buffers are rebuilt before
+     * the next frame.
+     */
+    get quality() {
+        return this._quality;
+    }
+
+    set quality(quality) {
+        if (quality == null || quality instanceof QualityOptions) {
+            this._quality = quality == null ? null : quality;
+        } else if (typeof quality === "string") {
+            this._quality = QualityOptions.from(quality);
+        } else {
+            // Check the settings, but keep them as changes.
+            new QualityOptions(quality);
+            this._quality = Object.assign({}, quality);
+        }
+        this.invalidateBuffers();
+    }
+
+    /**
+     * Tells the renderer to rebuild the buffers before the next frame, for 
+     * example after the definition changed. A rebuild in a worker that is 
+     * still running is cancelled.
+     */
+    invalidateBuffers() {
+        this._buffersInvalidated = true;
+    }
+
+    /**
+     * Tells that the buffers are being rebuilt elsewhere, without releasing 
+     * them, so that they are drawn until the new ones are in place.
+     */
+    validateBuffers() {
+        this._buffersInvalidated = false;
+    }
+
+    get buffersInvalidated() {
+        return this._buffersInvalidated;
+    }
+
+    /**
+     * Deletes the buffers, so that the next call to buildBuffers makes new
+     * ones. Subclasses delete theirs and then call this.
+     */
+    releaseBuffers(gl) {
+        this._buffersInvalidated = false;
+    }
+
+    /*
+        Deletes the GL buffers of a buffer info made by
+        twgl.createBufferInfoFromArrays.
+    */
+    static _deleteBufferInfo(gl, info) {
+        if (info == null)
+            return;
+        for (let name in info.attribs)
+            gl.deleteBuffer(info.attribs[name].buffer);
+        if (info.indices)
+            gl.deleteBuffer(info.indices);
+    }
+
+    /*
+        twgl.createBufferInfoFromArrays for geometry in the form 
+        buildGeometry gives. twgl makes 16 bit indices out of plain arrays, 
+        which can't reach past 65535 vertices, so larger geometry gets 32 bit
+        ones, and needs the extension for them.
+    */
+    static _createBufferInfo(gl, geo) {
+        if (geo.position.data.length / 3 > 65536) {
+            if (gl.getExtension("OES_element_index_uint") == null)
+                throw new RangeError("Too many vertices for this WebGL implementation.");
+            if (!(geo.indices.data instanceof Uint32Array))
+                geo.indices.data = Uint32Array.from(geo.indices.data);
+        }
+        return twgl.createBufferInfoFromArrays(gl, geo);
+    }
+
     /**
      * (Re-)create the shader that will be used to render the object.
      * 
-     * @param gl The WebGL context.
-     * @returns true if a new shader was allocated.
+     * @param gl The WebGL context.
+     * @returns true if a new shader was allocated.
+     */
+    buildShader(gl) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /**
+     * (Re-)build the geometry that will be used to render the object.
+     * 
+     * Must be called before any call to buildBuffers.
+     * 
+     * @param gl The WebGL context.
+     * @returns true if new buffers were allocated.
+     */
+    buildBuffers(gl, bounds, qualityOptions) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /**
+     * Draw the object.
+     * 
+     * @param gl        The WebGL context.
+     * @param camera    The camera object.
+     * @param time      Time since last render.
+     * @param bounds    Holds the min and max bounds, for example bounds.min[2] for minimum z.
+     * @returns true if drawn, false otherwise.
+     */
+    draw(gl, time, camera, bounds) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /**
+     * Clean up all cached information. Called before destruction.
+     */
+    cleanUp(gl) {
+        this.releaseBuffers(gl);
+    }
+
+    /**
+     * Tells the renderer that this object is transparent, and needs sort priority.
+     * @returns false
+     */
+     get transparent() { return false; }
+}
+
+class Axes3GraphicsObject extends GraphicsObject {
+    constructor() {
+        super();
+        this._cubeProgram = null;
+        this._lineProgram = null;
+        this._cubeBuffers = null;
+        this._lineBuffers = null;
+    }
+
+    buildShader(gl) {
+        if (this._cubeProgram != null || this._lineProgram)
+            return false;
+        this._cubeProgram = twgl.createProgramInfo(
+                gl, 
+                [
+                    // Vertex.
+                    `
+                    attribute vec3  position;
+                    attribute vec3  normal;
+                   
+                    uniform mat4    view;
+                    uniform mat4    model;
+                    uniform mat4    proj;
+
+                    varying vec3    vPosition;
+
+                    void main() {
+                        gl_Position = proj * view * model * vec4(position, 1);
+                        vPosition = position;
+                    }`
+                    ,
+                    // Fragment.
+                    `
+                    #extension GL_OES_standard_derivatives : enable
+                    precision mediump float;
+                    
+                    uniform vec3 boundsMin;
+                    uniform vec3 boundsMax;
+
+                    varying vec3    vPosition;
+                    
+                    void main() { 
+                        float fw = fwidth(vPosition.y);
+                        float line = step(fw, mod(vPosition.y, 0.25));
+                        gl_FragColor = vec4(vec3(1), 0.5*line);
+                    }`
+                ]);
+        this._lineProgram = twgl.createProgramInfo(
+                gl, 
+                [
+                    // Vertex.
+                    `
+                    attribute vec3  position;
+                    attribute vec3  color;
+
+                    uniform mat4    view;
+                    uniform mat4    model;
+                    uniform mat4    proj;
+
+                    varying vec3    vColor;
+
+                    void main() {
+                        gl_Position = proj * view * model * vec4(position, 1);
+                        vColor = color;
+                    }`
+                    ,
+                    // Fragment.
+                    `
+                    precision mediump float;
+                                        
+                    varying vec3    vColor;
+                    
+                    void main() { 
+                        gl_FragColor = vec4(vColor, 0.75);
+                    }`
+                ]);
+        return true;
+    }
+
+    buildBuffers(gl, bounds, qualityOptions) {
+        if (this._cubeBuffers != null && this._lineBuffers != null)
+            return false;
+        /*
+            Create our cube, taking care that it is bounded from -0.5 to 0.5.
+        */
+        let cubeGeo = twgl.primitives.createCubeVertices(1);
+        this._cubeBuffers = twgl.createBufferInfoFromArrays(gl, cubeGeo);
+        /*
+            Create the lines for our axes.
+        */
+        let lineGeo = {
+            "indices":  { numComponents: 3, data: [0, 1,  0, 2,  0, 3]},
+            "position": { numComponents: 3, data: [0, 0, 0,  0, 0.5, 0,   0.5, 0, 0,   0, 0, 0.5]},
+            "color": { numComponents: 3, data: [1, 1, 1,  0, 1, 0,  1, 0, 0,  0, 0, 1]}
+        };
+        this._lineBuffers = twgl.createBufferInfoFromArrays(gl, lineGeo);
+
+        return true;
+    }
+
+    releaseBuffers(gl) {
+        GraphicsObject._deleteBufferInfo(gl, this._cubeBuffers);
+        GraphicsObject._deleteBufferInfo(gl, this._lineBuffers);
+        this._cubeBuffers = null;
+        this._lineBuffers = null;
+        super.releaseBuffers(gl);
+    }
+
+    draw(gl, time, camera, bounds) {
+        if ((this._cubeProgram == null || this._lineProgram == null) || (this._cubeBuffers == null || this._lineBuffers == null))
+            throw new ReferenceError("buildBuffers or buildShader not called prior to draw call.");
+        
+        let wx = Math.abs(bounds.max[0] - bounds.min[0]);
+        let wy = Math.abs(bounds.max[1] - bounds.min[1]);
+        let wz = Math.abs(bounds.max[2] - bounds.min[2]);
+
+        let modelMat = twgl.m4.scaling([wx, wy, wz]);
+        twgl.m4.translate(modelMat, [wx * 0.5 + bounds.min[0], wy * 0.5 + bounds.min[1], wz * 0.5 + bounds.min[2]], modelMat);
+                
+        function drawLines(me) {
+            let uniforms = {
+                view: camera.getViewMatrix(time),
+                model: modelMat,
+                proj: camera.getProjectionMatrix(time)
+            };
+            gl.useProgram(me._lineProgram.program);
+            twgl.setBuffersAndAttributes(gl, me._lineProgram, me._lineBuffers);
+            twgl.setUniforms(me._lineProgram, uniforms);        
+            twgl.drawBufferInfo(gl, me._lineBuffers, gl.LINES);
+        }
+
+        function drawPlane(me) {
+            let uniforms = {
+                view: camera.getViewMatrix(time),
+                model: modelMat,
+                proj: camera.getProjectionMatrix(time),
+                boundsMin: bounds.min,
+                boundsMax: bounds.max
+            };
+            gl.useProgram(me._cubeProgram.program);
+            gl.enable(gl.CULL_FACE);
+            gl.frontFace(gl.CCW);
+            gl.cullFace(gl.FRONT);
+            twgl.setBuffersAndAttributes(gl, me._cubeProgram, me._cubeBuffers);        
+            twgl.setUniforms(me._cubeProgram, uniforms);
+            twgl.drawBufferInfo(gl, me._cubeBuffers);    
+            gl.disable(gl.CULL_FACE);
+            
+        }
+        drawPlane(this);
+        drawLines(this);
+    }
+
+    get transparent() { return true; }
+}
+
+/**
+ * Abstract class. A lit surface, coloured by a value per vertex.
+ * 
+ * Subclasses provide the geometry through buildGeometry, and get the shader, 
+ * buffer handling and drawing from here.
+ */
+class SurfaceGraphicsObject extends GraphicsObject {
+    constructor() {
+        super();
+        this._program = null;
+        this._buffers = null;
+    }
+
+    buildShader(gl) {
+        if (this._program != null)
+            return false;
+        this._program = twgl.createProgramInfo(
+                gl, 
+                [
+                    // Vertex.
+                    `
+                    attribute vec3  position;
+                    attribute vec3  normal;
+                    attribute float value;
+                   
+                    uniform mat4    view;
+                    uniform mat4    model;
+                    uniform mat4    proj;
+
+                    varying vec3    vWNormal;
+                    varying vec3    vWPosition;
+                    varying float   vValue;
+
+                    void main() {
+                        gl_Position = proj * view * model * vec4(position, 1);
+                        vWNormal = normal; vWPosition = position; vValue = value;
+                    }`
+                    ,
+                    // Fragment.
+                    `
+                    precision mediump float;
+                    
+                    const vec3 COLOUR_MIN = vec3(0.043, 0.475, 0.576);
+                    const vec3 COLOUR_MAX = vec3(0.933, 0.486, 0.047);
+
+                    uniform vec3 boundsMin;
+                    uniform vec3 boundsMax;
+                    uniform vec3 eye;
+                                        
+                    varying vec3    vWNormal;
+                    varying vec3    vWPosition;
+                    varying float   vValue;
+
+                    vec3 color(float t) {
+                        return vec3(
+                            0.043 + 1.438 * t - 1.548 * t * t + t * t * t,
+                            0.475 + 0.589 * t - 1.578 * t * t + t * t * t,
+                            0.576 + 0.725 * t - 2.254 * t * t + t * t * t
+                        );
+                    }
+                    
+                    void main() { 
+                        vec3 N = normalize(vWNormal); 
+                        vec3 I = normalize(eye-vWPosition);
+                        if (vWPosition.y < boundsMin.y || vWPosition.y > boundsMax.y) discard; 
+                        vec3 normalColor = (N * 0.5 + vec3(0.5)) * 0.3;
+                        //vec3 valueColor  = pow(mix(0.1, 1.0, max(dot(I, -N), 0.0)), 0.3) * color(clamp(vValue, 0.0, 1.0)) * 0.7;
+                        vec3 valueColor  = pow(mix(0.1, 1.0, max(dot(I, -N), 0.0)), 0.3) * mix(COLOUR_MIN, COLOUR_MAX, vValue) * 0.7;
+                        gl_FragColor = vec4(normalColor + valueColor, 1);
+                    }`
+                ]);
+        return true;
+    }
+
+    buildBuffers(gl, bounds, qualityOptions) {
+        if (this._buffers != null)
+            return false;
+        this.uploadGeometry(gl, this.buildGeometry(bounds, qualityOptions));
+        return true;
+    }
+
+    /**
+     * Replaces the buffers with ones holding geo, in the form buildGeometry 
+     * gives, or with typed arrays like GeometryTask.run gives.
+     */
+    uploadGeometry(gl, geo) {
+        GraphicsObject._deleteBufferInfo(gl, this._buffers);
+        this._buffers = null;
+        this._buffers = GraphicsObject._createBufferInfo(gl, geo);
+    }
+
+    get hasBuffers() {
+        return this._buffers != null;
+    }
+
+    releaseBuffers(gl) {
+        GraphicsObject._deleteBufferInfo(gl, this._buffers);
+        this._buffers = null;
+        super.releaseBuffers(gl);
+    }
+
+    /**
+     * Build the geometry of the surface, without touching any GL state.
+     * 
+     * @param bounds            Holds the min and max bounds.
+     * @param qualityOptions    The quality options given to buildBuffers.
+     * @returns Arrays in the form twgl.createBufferInfoFromArrays takes, with
+     *          indices, position, normal and value. Positions and normals are
+     *          in world space, where y is up.
+     */
+    buildGeometry(bounds, qualityOptions) {
+        throw new Error("I'm not implemented.");
+    }
+
+    /*
+        The triangles of the grid quad with the corners idx0 at (x, y), idx1 
+        at (x, y - 1), idx2 at (x - 1, y - 1) and idx3 at (x - 1, y), given 
+        whether each vertex is defined. With one corner undefined we get the 
+        triangle of the other three, with more we get nothing.
+    */
+    static _quadTriangles(isdefined, idx0, idx1, idx2, idx3) {
+        let defined = [idx0, idx1, idx2, idx3].map((i) => isdefined[i]);
+        switch (defined.filter((d) => d).length) {
+            case 4:
+                return [idx0, idx2, idx1, idx0, idx3, idx2];
+            case 3:
+                if (!defined[0]) return [idx1, idx3, idx2];
+                if (!defined[1]) return [idx0, idx3, idx2];
+                if (!defined[2]) return [idx0, idx3, idx1];
+                return [idx0, idx2, idx1];
+        }
+        return [];
+    }
+
+    /**
+     * The kind of primitive the indices of buildGeometry make up.
+     */
+    primitiveType(gl) {
+        return gl.TRIANGLES;
+    }
+
+    /*
+        Appends a tube around points, an array of RealVector, to geo in the 
+        format of buildGeometry, with values holding the value per point.
+    */
+    _appendTube(geo, points, values, radius, segments) {
+        let tube = TubeGeometry.build(points, radius, segments);
+        let offset = geo.position.data.length / 3;
+        let P = tube.positions, N = tube.normals;
+        for (let k = 0; k < P.length; k += 3) {
+            /*
+                Switch y and z like R2toRGraphicsObject, and flip the normals 
+                since the surface shader lights the side facing away from them.
+            */
+            geo.position.data.push(P[k], P[k + 2], P[k + 1]);
+            geo.normal.data.push(-N[k], -N[k + 2], -N[k + 1]);
+        }
+        for (let r of tube.rings) {
+            for (let s = 0; s < segments; s++)
+                geo.value.data.push(values[r]);
+        }
+        for (let i of tube.indices)
+            geo.indices.data.push(i + offset);
+    }
+
+    draw(gl, time, camera, bounds) {
+        if (this._program == null || this._buffers == null)
+            throw new ReferenceError("buildBuffers or buildShader not called prior to draw call.");
+
+        let uniforms = {
+            view: camera.getViewMatrix(time),
+            model: twgl.m4.identity(),
+            proj: camera.getProjectionMatrix(time),
+            eye: camera.position,
+            boundsMin: bounds.min,
+            boundsMax: bounds.max
+        };
+        gl.useProgram(this._program.program);
+        twgl.setUniforms(this._program, uniforms);
+        twgl.setBuffersAndAttributes(gl, this._program, this._buffers);
+        twgl.drawBufferInfo(gl, this._buffers, this.primitiveType(gl));
+    }
+}
+
+class R2toRGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {PlotDefinition} def
+     * @arg {Object} options Optional. colorBy selects what the surface colour
+     *                       shows, one of R2toRGraphicsObject.colorModes, 
+     *                       "height" by default. mesh is one of 
+     *                       R2toRGraphicsObject.meshModes, "adaptive" by 
+     *                       default, see AdaptiveMesh, while "grid" samples a 
+     *                       uniform grid. discontinuities is one of 
+     *                       R2toRGraphicsObject.discontinuityModes, "cut" 
+     *                       by default to leave a gap where the function 
+     *                       jumps, see Discontinuity, while "join" joins the 
+     *                       sides by a wall.
+     */
+    constructor(def, options) {
+        super();
+        if (!(def instanceof PlotDefinition)) 
+            throw new TypeError("Expected object of type PlotDefinition.");
+        options = options || {};
+        let colorBy = options.colorBy || "height";
+        if (R2toRGraphicsObject.colorModes.indexOf(colorBy) === -1)
+            throw new RangeError(`colorBy must be one of ${R2toRGraphicsObject.colorModes.join(", ")}.`);
+        let mesh = options.mesh || "adaptive";
+        if (R2toRGraphicsObject.meshModes.indexOf(mesh) === -1)
+            throw new RangeError(`mesh must be one of ${R2toRGraphicsObject.meshModes.join(", ")}.`);
+        let discontinuities = options.discontinuities || "cut";
+        if (R2toRGraphicsObject.discontinuityModes.indexOf(discontinuities) === -1)
+            throw new RangeError(`discontinuities must be one of ${R2toRGraphicsObject.discontinuityModes.join(", ")}.`);
+        this._def = def;
+        this._colorBy = colorBy;
+        this._mesh = mesh;
+        this._discontinuities = discontinuities;
+    }
+
+    static get colorModes() {
+        return ["height", "gaussianCurvature", "meanCurvature"];
+    }
+
+    static get meshModes() {
+        return ["adaptive", "grid"];
+    }
+
+    static get discontinuityModes() {
+        return ["cut", "join"];
+    }
+
+    get colorBy() {
+        return this._colorBy;
+    }
+
+    get mesh() {
+        return this._mesh;
+    }
+
+    get discontinuities() {
+        return this._discontinuities;
+    }
+
+    /*
+        The smallest jump the mesh is cut at, a twentieth of the height of
+        the bounds, as smaller ones hardly show. Infinity when not cutting.
+    */
+    _jumpThreshold(bounds) {
+        if (this._discontinuities === "join")
+            return Infinity;
+        return Math.abs(bounds.max[2] - bounds.min[2]) / 20;
+    }
+
+    /**
+     * The value to colour the vertex at (x, y, z = f(x, y)) by, before 
+     * normalization.
+     */
+    _colorValue(x, y, z) {
+        switch (this._colorBy) {
+            case "gaussianCurvature":
+                return this._def.fn.gaussianCurvatureAt(x, y);
+            case "meanCurvature":
+                return this._def.fn.meanCurvatureAt(x, y);
+        }
+        return z;
+    }
+
+    /**
+     * Maps curvature values into [0, 1] for the shader, with zero curvature 
+     * in the middle. The scale is taken from the 95th percentile of |value| 
+     * so that a few points near singularities don't flatten everything else.
+     */
+    static _normalizeCurvature(values) {
+        let mags = values.map(Math.abs).sort((a, b) => a - b);
+        let scale = mags.length > 0 ? mags[Math.floor(0.95 * (mags.length - 1))] : 0;
+        if (scale == 0)
+            return values.map(() => 0.5);
+        return values.map((v) => Math.min(Math.max(0.5 + 0.5 * v / scale, 0), 1));
+    }
+
+    /**
+     * @param qualityOptions    See QualityOptions. The adaptive mesh uses 
+     *                          maxTriangles and tolerance, the grid one 
+     *                          resolution.
+     */
+    buildGeometry(bounds, qualityOptions) {
+        qualityOptions = QualityOptions.from(qualityOptions);
+        let geo = this._mesh === "grid" ? this._buildGrid(bounds, qualityOptions) : this._buildAdaptive(bounds, qualityOptions);
+        if (this._colorBy !== "height")
+            geo.value.data = R2toRGraphicsObject._normalizeCurvature(geo.value.data);
+        return geo;
+    }
+
+    /*
+        The gradient for the normals, as asked for by qualityOptions.normals.
+    */
+    _gradientAt(x, y, qualityOptions) {
+        let fn = this._def.fn;
+        return qualityOptions.normals === "numerical" ? fn.numericalGradientAt(x, y) : fn.gradientAt(x, y);
+    }
+
+    /*
+        The geometry of the graph over a mesh of the plane, as made by 
+        AdaptiveMesh or MeshTrimming, with the function defined at every 
+        vertex.
+    */
+    _surfaceGeometry(mesh, qualityOptions) {
+        let geo = 
+        { 
+            "indices":  { numComponents: 3, data: mesh.indices },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "value":    { numComponents: 1, data: [] }
+        };
+        let P = mesh.positions, V = mesh.values;
+        let missing = new Set();
+        for (let k = 0; k < V.length; k++) {
+            let x = P[2 * k], y = P[2 * k + 1], z = V[k];
+            // Note we switch z and y here, to better accomodate for OpenGL conventions.
+            geo.position.data.push(x, z, y);
+            let grad = this._gradientAt(x, y, qualityOptions);
+            if (grad === undefined) {
+                missing.add(k);
+                geo.normal.data.push(0, -1, 0);
+            } else {
+                geo.normal.data.push(...new RealVector(grad.at(0), -1, grad.at(1)).normalize().toArray());
+            }
+            let value = this._colorValue(x, y, z);
+            geo.value.data.push(value === undefined ? 0 : value);
+        }
+
+        /*
+            Where the gradient isn't defined, such as on the edge of the 
+            domain of sqrt, we take the average of the surrounding triangles 
+            instead. Switching y and z turns their winding around, so that 
+            they face downwards like the other normals.
+        */
+        if (missing.size > 0) {
+            let W = geo.position.data, I = mesh.indices;
+            let sums = new Map();
+            for (let t = 0; t < I.length; t += 3) {
+                let [a, b, c] = [I[t], I[t + 1], I[t + 2]].map((k) => new RealVector(W[3 * k], W[3 * k + 1], W[3 * k + 2]));
+                let n = b.subtract(a).cross(c.subtract(a));
+                for (let k of [I[t], I[t + 1], I[t + 2]]) {
+                    if (missing.has(k))
+                        sums.set(k, sums.has(k) ? sums.get(k).add(n) : n);
+                }
+            }
+            for (let [k, n] of sums) {
+                if (n.norm() > 0)
+                    geo.normal.data.splice(3 * k, 3, ...n.normalize().toArray());
+            }
+        }
+        return geo;
+    }
+
+    _buildAdaptive(bounds, qualityOptions) {
+        let options = {
+            maxTriangles: qualityOptions.maxTriangles,
+            tolerance: qualityOptions.tolerance * Math.abs(bounds.max[2] - bounds.min[2]),
+            jumpThreshold: this._jumpThreshold(bounds)
+        };
+
+        let fn = this._def.fn;
+        let mesh = new AdaptiveMesh((x, y) => fn.evalAt(x, y), [bounds.min[0], bounds.min[1]], [bounds.max[0], bounds.max[1]], options);
+        return this._surfaceGeometry(mesh, qualityOptions);
+    }
+
+    _buildGrid(bounds, qualityOptions) {
+        /*
+            We sample the function on a grid of points here, and build the 
+            surface from it like from an AdaptiveMesh.
+
+            The function is evaluated according to common mathematical 
+            conventions such that the XY plane is the "floor", and Z denotes 
+            the height, that is z = f(x, y). The grid is in those 
+            coordinates, and _surfaceGeometry switches to the graphics 
+            convention of XZ as the floor.
+
+            We could evaluate the function as y = f(x, z) but I don't like to 
+            mix "conceptual domains" unless I have to.
+
+            The coordinates are in world space, so the grid will be at least 
+            |bounds.max[0] - bounds.min[0]| wide in x and so forth.
+        */
+
+        const VERTICES_SQRT = qualityOptions.resolution;
+
+        /*
+            The difference between two vertices in x and y, so that the last
+            ones are on bounds.max, like in ComplexGraphicsObject.
+        */
+        const X_STEP = Math.abs(bounds.max[0] - bounds.min[0]) / (VERTICES_SQRT - 1);
+        const Y_STEP = Math.abs(bounds.max[1] - bounds.min[1]) / (VERTICES_SQRT - 1);
+
+        /*
+            We move along y then along x, with NaN for the values where the 
+            function isn't defined.
+        */
+        let fn = (x, y) => this._def.fn.evalAt(x, y);
+        let positions = [], values = [];
+        for (let y = 0; y < VERTICES_SQRT; y++) {
+            let pos_y = bounds.min[1] + Y_STEP * y;
+            for (let x = 0; x < VERTICES_SQRT; x++) {
+                let pos_x = bounds.min[0] + X_STEP * x;
+                let pos_z = fn(pos_x, pos_y);
+                positions.push(pos_x, pos_y);
+                values.push((typeof pos_z === "number" && isFinite(pos_z)) ? pos_z : NaN);
+            }
+        }
+
+        /*
+            Whether the function jumps between the vertices a and b, once per
+            edge, see Discontinuity.
+        */
+        const JUMP_THRESHOLD = this._jumpThreshold(bounds);
+        let jumps = new Map();
+        let jumpsBetween = (a, b) => {
+            let key = Math.min(a, b) + "," + Math.max(a, b);
+            if (!jumps.has(key)) {
+                jumps.set(key, Discontinuity.jumpsAlong(fn, [positions[2 * a], positions[2 * a + 1]], [positions[2 * b], positions[2 * b + 1]], 
+                    values[a], values[b], JUMP_THRESHOLD));
+            }
+            return jumps.get(key);
+        };
+
+        /*
+            Two triangles per quad, leaving out those across a jump. Those 
+            touching undefined vertices are cut to the domain by MeshTrimming.
+        */
+        let indices = [];
+        for (let y = 1; y < VERTICES_SQRT; y++) {
+            for (let x = 1; x < VERTICES_SQRT; x++) {
+                let idx0 = ((y    ) * VERTICES_SQRT) + x;
+                let idx1 = ((y - 1) * VERTICES_SQRT) + x;
+                let idx2 = ((y - 1) * VERTICES_SQRT) + (x - 1);
+                let idx3 = ((y    ) * VERTICES_SQRT) + (x - 1);
+                for (let [a, b, c] of [[idx0, idx2, idx1], [idx0, idx3, idx2]]) {
+                    if (JUMP_THRESHOLD === Infinity || !(jumpsBetween(a, b) || jumpsBetween(b, c) || jumpsBetween(c, a)))
+                        indices.push(a, b, c);
+                }
+            }
+        }
+
+        return this._surfaceGeometry(MeshTrimming.trim(fn, positions, values, indices), qualityOptions);
+    }
+}
+
+/**
+ * Draws a ComplexPlot by domain colouring, with the hue showing arg f(z) and
+ * the height showing |f(z)|.
+ */
+class ComplexGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {ComplexPlot} def
+     * @arg {Object} options Optional. height is one of 
+     *                       ComplexGraphicsObject.heightModes, "modulus" by 
+     *                       default. "logModulus" uses ln(1 + |f(z)|), which
+     *                       keeps poles from dwarfing everything else, and 
+     *                       "flat" lays the plot on the floor of the bounds,
+     *                       with rings where |f(z)| passes a power of two.
+     */
+    constructor(def, options) {
+        super();
+        if (!(def instanceof ComplexPlot)) 
+            throw new TypeError("Expected object of type ComplexPlot.");
+        options = options || {};
+        let height = options.height || "modulus";
+        if (ComplexGraphicsObject.heightModes.indexOf(height) === -1)
+            throw new RangeError(`height must be one of ${ComplexGraphicsObject.heightModes.join(", ")}.`);
+        this._def = def;
+        this._height = height;
+    }
+
+    static get heightModes() {
+        return ["modulus", "logModulus", "flat"];
+    }
+
+    get height() {
+        return this._height;
+    }
+
+    /**
+     * The height of the surface at z = x + iy, undefined where f isn't 
+     * defined.
+     */
+    heightAt(x, y) {
+        let w = this._def.fn.evalAt(new Complex(x, y));
+        if (w === undefined)
+            return undefined;
+        switch (this._height) {
+            case "modulus":
+                return Complex.modulus(w);
+            case "logModulus":
+                return Math.log1p(Complex.modulus(w));
+        }
+        return 0;
+    }
+
+    buildShader(gl) {
+        if (this._program != null)
+            return false;
+        const RINGS = this._height === "flat" ? 1 : 0;
+        this._program = twgl.createProgramInfo(
+                gl, 
+                [
+                    // Vertex.
+                    `
+                    attribute vec3  position;
+                    attribute vec3  normal;
+                    attribute vec2  phase;
+                    attribute float value;
+                   
+                    uniform mat4    view;
+                    uniform mat4    model;
+                    uniform mat4    proj;
+
+                    varying vec3    vWNormal;
+                    varying vec3    vWPosition;
+                    varying vec2    vPhase;
+                    varying float   vValue;
+
+                    void main() {
+                        gl_Position = proj * view * model * vec4(position, 1);
+                        vWNormal = normal; vWPosition = position; vPhase = phase; vValue = value;
+                    }`
+                    ,
+                    // Fragment.
+                    `
+                    precision mediump float;
+
+                    const float PI = 3.14159265;
+                    const float RINGS = ${RINGS}.0;
+
+                    uniform vec3 boundsMin;
+                    uniform vec3 boundsMax;
+                    uniform vec3 eye;
+                                        
+                    varying vec3    vWNormal;
+                    varying vec3    vWPosition;
+                    varying vec2    vPhase;
+                    varying float   vValue;
+
+                    vec3 hue(float h) {
+                        return clamp(abs(fract(h + vec3(0.0, 2.0 / 3.0, 1.0 / 3.0)) * 6.0 - 3.0) - 1.0, 0.0, 1.0);
+                    }
+                    
+                    void main() { 
+                        vec3 N = normalize(vWNormal); 
+                        vec3 I = normalize(eye-vWPosition);
+                        if (vWPosition.y < boundsMin.y || vWPosition.y > boundsMax.y) discard; 
+                        /*
+                            The phase is interpolated as a vector rather than 
+                            an angle, so that it doesn't sweep through every 
+                            hue across the branch cut of arg.
+                        */
+                        vec3 c = hue(fract(atan(vPhase.y, vPhase.x) / (2.0 * PI)));
+                        c *= mix(1.0, 0.75 + 0.25 * fract(vValue), RINGS);
+                        vec3 normalColor = (N * 0.5 + vec3(0.5)) * 0.2;
+                        vec3 valueColor  = pow(mix(0.1, 1.0, max(dot(I, -N), 0.0)), 0.3) * c * 0.8;
+                        gl_FragColor = vec4(normalColor + valueColor, 1);
+                    }`
+                ]);
+        return true;
+    }
+
+    buildGeometry(bounds, qualityOptions) {
+        let geo = 
+        { 
+            "indices":  { numComponents: 3, data: [] },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "phase":    { numComponents: 2, data: [] },
+            "value":    { numComponents: 1, data: [] }
+        };
+
+        const VERTICES_SQRT = QualityOptions.from(qualityOptions).resolution;
+
+        const X_STEP = Math.abs(bounds.max[0] - bounds.min[0]) / (VERTICES_SQRT - 1);
+        const Y_STEP = Math.abs(bounds.max[1] - bounds.min[1]) / (VERTICES_SQRT - 1);
+        const flat = this._height === "flat";
+        const height = (x, y) => this.heightAt(x, y);
+
+        let isdefined = [];
+        for (let j = 0; j < VERTICES_SQRT; j++) {
+            let y = bounds.min[1] + Y_STEP * j;
+            for (let i = 0; i < VERTICES_SQRT; i++) {
+                let x = bounds.min[0] + X_STEP * i;
+                let w = this._def.fn.evalAt(new Complex(x, y));
+                let h = w === undefined ? undefined : (flat ? bounds.min[2] : this.heightAt(x, y));
+                let grad = (h === undefined || flat) ? undefined : NumericalDifferentiation.gradient(height, [x, y]);
+
+                if (h === undefined || (!flat && grad === undefined)) {
+                    isdefined.push(false);
+                    geo.position.data.push(x, 0, y);
+                    geo.normal.data.push(0, 1, 0);
+                    geo.phase.data.push(1, 0);
+                    geo.value.data.push(0);
+                    continue;
+                }
+                isdefined.push(true);
+
+                // Switch y and z, like R2toRGraphicsObject does.
+                geo.position.data.push(x, h, y);
+                let N = flat ? new RealVector(0, -1, 0) : new RealVector(grad.gradient[0], -1, grad.gradient[1]).normalize();
+                geo.normal.data.push(...N.toArray());
+                let r = Complex.modulus(w);
+                geo.phase.data.push(...(r > 0 ? [w.re / r, w.im / r] : [1, 0]));
+                geo.value.data.push(r > 0 ? Math.log2(r) : 0);
+            }
+        }
+
+        for (let j = 1; j < VERTICES_SQRT; j++) {
+            for (let i = 1; i < VERTICES_SQRT; i++) {
+                let idx0 = j * VERTICES_SQRT + i;
+                let idx1 = (j - 1) * VERTICES_SQRT + i;
+                let idx2 = (j - 1) * VERTICES_SQRT + i - 1;
+                let idx3 = j * VERTICES_SQRT + i - 1;
+                geo.indices.data.push(...SurfaceGraphicsObject._quadTriangles(isdefined, idx0, idx1, idx2, idx3));
+            }
+        }
+        return geo;
+    }
+}
+
+/**
+ * Draws a GridDataPlot like R2toRGraphicsObject draws functions, with one 
+ * vertex per grid point.
+ */
+class GridDataGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {GridDataPlot} def
+     */
+    constructor(def) {
+        super();
+        if (!(def instanceof GridDataPlot)) 
+            throw new TypeError("Expected object of type GridDataPlot.");
+        this._def = def;
+    }
+
+    /**
+     * The partial derivatives at grid point (i, j) from finite differences, 
+     * central where both neighbours are there and one sided where only one 
+     * is. Derivatives with no neighbour at all are taken as zero.
+     */
+    _gradientAt(i, j) {
+        let def = this._def;
+        let grad = [0, 0];
+        let coords = [def.xs, def.ys];
+        let along = [(k) => def.at(k, j), (k) => def.at(i, k)];
+        let count = [def.cols, def.rows];
+        for (let a = 0; a < 2; a++) {
+            let c = a == 0 ? i : j;
+            let lo = c > 0 ? c - 1 : c;
+            let hi = c < count[a] - 1 ? c + 1 : c;
+            if (isNaN(along[a](lo)))
+                lo = c;
+            if (isNaN(along[a](hi)))
+                hi = c;
+            if (lo != hi)
+                grad[a] = (along[a](hi) - along[a](lo)) / (coords[a][hi] - coords[a][lo]);
+        }
+        return grad;
+    }
+
+    buildGeometry(bounds, qualityOptions) {
+        let def = this._def;
+        let geo = 
+        { 
+            "indices":  { numComponents: 3, data: [] },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "value":    { numComponents: 1, data: [] }
+        };
+
+        /*
+            Holes still get a vertex, so that the indices stay a plain grid, 
+            but no triangles touch them.
+        */
+        let isdefined = [];
+        for (let j = 0; j < def.rows; j++) {
+            for (let i = 0; i < def.cols; i++) {
+                let z = def.at(i, j);
+                isdefined.push(!isNaN(z));
+                if (isNaN(z)) {
+                    geo.position.data.push(def.xs[i], 0, def.ys[j]);
+                    geo.normal.data.push(0, 1, 0);
+                    geo.value.data.push(0);
+                    continue;
+                }
+                // Switch y and z, and the normal convention, like R2toRGraphicsObject.
+                let [fx, fy] = this._gradientAt(i, j);
+                let N = new RealVector(fx, -1, fy).normalize();
+                geo.position.data.push(def.xs[i], z, def.ys[j]);
+                geo.normal.data.push(...N.toArray());
+                geo.value.data.push(z);
+            }
+        }
+        for (let j = 1; j < def.rows; j++) {
+            for (let i = 1; i < def.cols; i++) {
+                let idx0 = j * def.cols + i;
+                let idx1 = (j - 1) * def.cols + i;
+                let idx2 = (j - 1) * def.cols + (i - 1);
+                let idx3 = j * def.cols + (i - 1);
+                geo.indices.data.push(...SurfaceGraphicsObject._quadTriangles(isdefined, idx0, idx1, idx2, idx3));
+            }
+        }
+        return geo;
+    }
+}
+
+/**
+ * Draws a ScatteredSurfacePlot, as its triangles, or as the interpolant 
+ * sampled on a grid over the bounds like a GridDataPlot.
+ */
+class ScatteredSurfaceGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {ScatteredSurfacePlot} def
+     */
+    constructor(def) {
+        super();
+        if (!(def instanceof ScatteredSurfacePlot)) 
+            throw new TypeError("Expected object of type ScatteredSurfacePlot.");
+        this._def = def;
+    }
+
+    buildGeometry(bounds, qualityOptions) {
+        if (this._def.interpolant != null)
+            return this._buildInterpolated(bounds, qualityOptions);
+
+        let def = this._def;
+        let geo = 
+        { 
+            "indices":  { numComponents: 3, data: Array.from(def.delaunay.triangles) },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "value":    { numComponents: 1, data: def.values.slice() }
+        };
+        for (let i = 0; i < def.points.length; i++) {
+            let [x, y] = def.points[i];
+            geo.position.data.push(x, def.values[i], y);
+        }
+
+        /*
+            Vertex normals are the sum of the normals of the triangles around 
+            them, weighted by area since we don't normalize the cross products.
+        */
+        let sums = def.points.map(() => new RealVector(0, 0, 0));
+        let T = geo.indices.data;
+        for (let k = 0; k < T.length; k += 3) {
+            let [a, b, c] = [T[k], T[k + 1], T[k + 2]].map((i) => new RealVector(...def.points[i], def.values[i]));
+            let n = b.subtract(a).cross(c.subtract(a));
+            for (let i of [T[k], T[k + 1], T[k + 2]])
+                sums[i] = sums[i].add(n);
+        }
+        for (let n of sums) {
+            /*
+                The triangles are counter clockwise seen from above, so n 
+                points up. Flip and switch it to match R2toRGraphicsObject.
+            */
+            if (n.norm() == 0) {
+                geo.normal.data.push(0, -1, 0);
+                continue;
+            }
+            let N = n.normalize();
+            geo.normal.data.push(-N.at(0), -N.at(2), -N.at(1));
+        }
+        return geo;
+    }
+
+    _buildInterpolated(bounds, qualityOptions) {
+        const RESOLUTION = QualityOptions.from(qualityOptions).resolution;
+
+        let xs = [], ys = [];
+        for (let k = 0; k <= RESOLUTION; k++) {
+            xs.push(bounds.min[0] + (bounds.max[0] - bounds.min[0]) * k / RESOLUTION);
+            ys.push(bounds.min[1] + (bounds.max[1] - bounds.min[1]) * k / RESOLUTION);
+        }
+        let f = this._def.interpolant;
+        let values = ys.map((y) => xs.map((x) => f(x, y)));
+        let grid = new GridDataPlot(values, xs, ys);
+        return new GridDataGraphicsObject(grid).buildGeometry(bounds, qualityOptions);
+    }
+}
+
+class ParametricSurfaceGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {ParametricSurfacePlot} def
+     */
+    constructor(def) {
+        super();
+        if (!(def instanceof ParametricSurfacePlot)) 
+            throw new TypeError("Expected object of type ParametricSurfacePlot.");
+        this._def = def;
+    }
+
+    buildGeometry(bounds, qualityOptions) {
+        let geo = 
+        { 
+            "indices":  { numComponents: 3, data: [] },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "value":    { numComponents: 1, data: [] }
+        };
+
+        const SAMPLES = QualityOptions.from(qualityOptions).resolution;
+
+        let def = this._def;
+        let [u0, u1] = def.uRange;
+        let [v0, v1] = def.vRange;
+
+        /*
+            A closed direction has SAMPLES vertices, where the last one is 
+            connected back to the first, while an open one needs SAMPLES + 1 
+            to reach all the way to the end of its range.
+        */
+        const NU = def.wrapU ? SAMPLES : SAMPLES + 1;
+        const NV = def.wrapV ? SAMPLES : SAMPLES + 1;
+        const U_STEP = (u1 - u0) / SAMPLES;
+        const V_STEP = (v1 - v0) / SAMPLES;
+
+        let isdefined = [];
+        for (let j = 0; j < NV; j++) {
+            let v = v0 + V_STEP * j;
+            for (let i = 0; i < NU; i++) {
+                let u = u0 + U_STEP * i;
+                let P = def.fn.evalAt(u, v);
+                let N = P === undefined ? undefined : this._normalAt(u, v);
+
+                if (N === undefined) {
+                    isdefined.push(false);
+                    geo.position.data.push(0, 0, 0);
+                    geo.normal.data.push(0, 1, 0);
+                    geo.value.data.push(0);
+                    continue;
+                }
+                isdefined.push(true);
+
+                // Switch y and z, like R2toRGraphicsObject does.
+                geo.position.data.push(P.at(0), P.at(2), P.at(1));
+                geo.normal.data.push(N.at(0), N.at(2), N.at(1));
+                geo.value.data.push(P.at(2));
+            }
+        }
+
+        for (let j = 0; j < NV; j++)
+            ParametricSurfaceGraphicsObject._mergePole(geo, isdefined, Array.from({ length: NU }, (_, i) => j * NU + i));
+        for (let i = 0; i < NU; i++)
+            ParametricSurfaceGraphicsObject._mergePole(geo, isdefined, Array.from({ length: NV }, (_, j) => j * NU + i));
+
+        /*
+            The vertex at (i, j), where i = NU and j = NV are the first row 
+            again across a wrap. A reversed wrap lands there with the other 
+            parameter reversed, which is at index SAMPLES - k of k along both
+            an open and a closed direction.
+
+            The surface isn't orientable then, so the normals of the shared 
+            vertices point the other way than those of the cells before the
+            seam.
+        */
+        let vertex = (i, j) => {
+            if (i == NU) {
+                i = 0;
+                if (def.wrapU === "reversed")
+                    j = (SAMPLES - j) % NV;
+            }
+            if (j == NV) {
+                j = 0;
+                if (def.wrapV === "reversed")
+                    i = (SAMPLES - i) % NU;
+            }
+            return j * NU + i;
+        };
+
+        /*
+            One quad per grid cell, split in two triangles that are only kept 
+            if all their vertices are defined.
+        */
+        const CELLS_U = def.wrapU ? NU : NU - 1;
+        const CELLS_V = def.wrapV ? NV : NV - 1;
+        for (let j = 0; j < CELLS_V; j++) {
+            for (let i = 0; i < CELLS_U; i++) {
+                let idx0 = vertex(i, j);
+                let idx1 = vertex(i + 1, j);
+                let idx2 = vertex(i + 1, j + 1);
+                let idx3 = vertex(i, j + 1);
+                for (let tri of [[idx0, idx1, idx2], [idx0, idx2, idx3]]) {
+                    if (tri.every((k) => isdefined[k]))
+                        geo.indices.data.push(...tri);
+                }
+            }
+        }
+        return geo;
+    }
+
+    /*
+        If the defined vertices among indices all sit at the same point, like
+        a row at the pole of a sphere or the centre of a disk, gives them all
+        the average of their normals. Each of them is only the normal close to
+        the point from one direction.
+    */
+    static _mergePole(geo, isdefined, indices) {
+        indices = indices.filter((k) => isdefined[k]);
+        if (indices.length < 2)
+            return;
+        let P = geo.position.data, N = geo.normal.data;
+        let first = indices[0];
+        let scale = 1 + Math.abs(P[3 * first]) + Math.abs(P[3 * first + 1]) + Math.abs(P[3 * first + 2]);
+        for (let k of indices) {
+            for (let c = 0; c < 3; c++) {
+                if (Math.abs(P[3 * k + c] - P[3 * first + c]) > 1e-9 * scale)
+                    return;
+            }
+        }
+        let sum = [0, 0, 0];
+        for (let k of indices) {
+            for (let c = 0; c < 3; c++)
+                sum[c] += N[3 * k + c];
+        }
+        let len = Math.hypot(...sum);
+        if (!(len > 0))
+            return;
+        for (let k of indices) {
+            for (let c = 0; c < 3; c++)
+                N[3 * k + c] = sum[c] / len;
+        }
+    }
+
+    /**
+     * The unit normal at (u, v), in the same orientation as the normals of 
+     * R2toRGraphicsObject, from the cross product of the partial derivatives.
+     * 
+     * Where that is degenerate, as at the poles of a sphere, we use the normal 
+     * at a point slightly towards the middle of the parameter domain.
+     */
+    _normalAt(u, v) {
+        let def = this._def;
+        let du = (def.uRange[1] - def.uRange[0]) * 1e-4;
+        let dv = (def.vRange[1] - def.vRange[0]) * 1e-4;
+        let um = (def.uRange[0] + def.uRange[1]) / 2;
+        let vm = (def.vRange[0] + def.vRange[1]) / 2;
+        for (let [pu, pv] of [[u, v], [u + Math.sign(um - u) * du, v + Math.sign(vm - v) * dv]]) {
+            let J = def.fn.jacobianAt(pu, pv);
+            if (J === undefined)
+                continue;
+            let n = J.column(0).cross(J.column(1));
+            if (n.norm() > 0)
+                return n.normalize().scale(-1);
+        }
+        return undefined;
+    }
+}
+
+/**
+ * Draws a ParametricCurvePlot as a shaded tube.
+ */
+class ParametricCurveGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {ParametricCurvePlot} def
+     * @arg {Object} options Optional. radius is the radius of the tube, 0.02 
+     *                       by default. colorBy is "t" (the default) or 
+     *                       "speed", the norm of the derivative.
+     */
+    constructor(def, options) {
+        super();
+        if (!(def instanceof ParametricCurvePlot)) 
+            throw new TypeError("Expected object of type ParametricCurvePlot.");
+        options = options || {};
+        let radius = options.radius === undefined ? 0.02 : options.radius;
+        if (!(radius > 0))
+            throw new RangeError("radius needs to be positive.");
+        let colorBy = options.colorBy || "t";
+        if (ParametricCurveGraphicsObject.colorModes.indexOf(colorBy) === -1)
+            throw new RangeError(`colorBy must be one of ${ParametricCurveGraphicsObject.colorModes.join(", ")}.`);
+        this._def = def;
+        this._radius = radius;
+        this._colorBy = colorBy;
+    }
+
+    static get colorModes() {
+        return ["t", "speed"];
+    }
+
+    get radius() { return this._radius; }
+
+    get colorBy() { return this._colorBy; }
+
+    buildGeometry(bounds, qualityOptions) {
+        const SEGMENTS = QualityOptions.from(qualityOptions).segments;
+
+        let def = this._def;
+        let [t0, t1] = def.tRange;
+        const T_STEP = (t1 - t0) / (def.samples - 1);
+
+        /*
+            Sample the curve, splitting it into separate pieces wherever it is 
+            undefined. Each point gets the value it is to be coloured by.
+        */
+        let pieces = [];
+        let current = null;
+        let maxValue = 0;
+        for (let i = 0; i < def.samples; i++) {
+            let t = t0 + T_STEP * i;
+            let P = def.fn.evalAt(t);
+            let value = (t - t0) / (t1 - t0);
+            if (P !== undefined && this._colorBy === "speed") {
+                let J = def.fn.jacobianAt(t);
+                value = J === undefined ? undefined : J.column(0).norm();
+            }
+            if (P === undefined || value === undefined) {
+                current = null;
+                continue;
+            }
+            if (current == null) {
+                current = { points: [], values: [] };
+                pieces.push(current);
+            }
+            current.points.push(P);
+            current.values.push(value);
+            maxValue = Math.max(maxValue, value);
+        }
+
+        let geo = 
+        { 
+            "indices":  { numComponents: 3, data: [] },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "value":    { numComponents: 1, data: [] }
+        };
+        for (let piece of pieces) {
+            let values = piece.values;
+            if (this._colorBy === "speed")
+                values = values.map((v) => maxValue > 0 ? v / maxValue : 0);
+            this._appendTube(geo, piece.points, values, this._radius, SEGMENTS);
+        }
+        return geo;
+    }
+}
+
+class ImplicitSurfaceGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {ImplicitSurfacePlot} def
+     */
+    constructor(def) {
+        super();
+        if (!(def instanceof ImplicitSurfacePlot)) 
+            throw new TypeError("Expected object of type ImplicitSurfacePlot.");
+        this._def = def;
+    }
+
+    buildGeometry(bounds, qualityOptions) {
+        qualityOptions = QualityOptions.from(qualityOptions);
+        const CELLS = qualityOptions.volumeResolution;
+
+        let fn = this._def.fn;
+        let mesh = MarchingCubes.polygonize(fn.func, this._def.isoValue, bounds.min, bounds.max, CELLS);
+        let P = mesh.positions;
+        let vertexCount = P.length / 3;
+
+        /*
+            The normals are the normalized gradient, which for a graph 
+            z = f(x, y) written as f(x, y) - z = 0 gives the same normals as 
+            R2toRGraphicsObject. 
+            
+            Where the gradient is undefined or zero, we fall back to the 
+            average of the surrounding triangles. Their winding has them 
+            facing towards lower values, so those are flipped.
+        */
+        let normals = new Array(vertexCount);
+        let missing = false;
+        for (let k = 0; k < vertexCount; k++) {
+            let [x, y, z] = [P[3 * k], P[3 * k + 1], P[3 * k + 2]];
+            let g = qualityOptions.normals === "numerical" ? fn.numericalGradientAt(x, y, z) : fn.gradientAt(x, y, z);
+            if (g !== undefined && g.norm() > 0)
+                normals[k] = g.normalize();
+            else
+                missing = true;
+        }
+        if (missing) {
+            let sums = new Array(vertexCount);
+            let I = mesh.indices;
+            for (let t = 0; t < I.length; t += 3) {
+                let [a, b, c] = [I[t], I[t + 1], I[t + 2]].map((k) => new RealVector(P[3 * k], P[3 * k + 1], P[3 * k + 2]));
+                let n = c.subtract(a).cross(b.subtract(a));
+                for (let k of [I[t], I[t + 1], I[t + 2]])
+                    sums[k] = sums[k] === undefined ? n : sums[k].add(n);
+            }
+            for (let k = 0; k < vertexCount; k++) {
+                if (normals[k] !== undefined)
+                    continue;
+                normals[k] = (sums[k] !== undefined && sums[k].norm() > 0) ? sums[k].normalize() : new RealVector(0, 0, -1);
+            }
+        }
+
+        let geo = 
+        { 
+            "indices":  { numComponents: 3, data: mesh.indices },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "value":    { numComponents: 1, data: [] }
+        };
+        for (let k = 0; k < vertexCount; k++) {
+            // Switch y and z, like R2toRGraphicsObject does.
+            geo.position.data.push(P[3 * k], P[3 * k + 2], P[3 * k + 1]);
+            geo.normal.data.push(normals[k].at(0), normals[k].at(2), normals[k].at(1));
+            geo.value.data.push(P[3 * k + 2]);
+        }
+        return geo;
+    }
+}
+
+/**
+ * Draws a StreamlinePlot as lines or tubes, coloured by the magnitude of the 
+ * field.
+ */
+class StreamlineGraphicsObject extends SurfaceGraphicsObject {
+    /**
+     * @arg {StreamlinePlot} def
+     * @arg {Object} options Optional. style is "tubes" (the default) or 
+     *                       "lines". radius is the radius of the tubes, 0.01 
+     *                       by default.
+     */
+    constructor(def, options) {
+        super();
+        if (!(def instanceof StreamlinePlot)) 
+            throw new TypeError("Expected object of type StreamlinePlot.");
+        options = options || {};
+        let style = options.style || "tubes";
+        if (StreamlineGraphicsObject.styles.indexOf(style) === -1)
+            throw new RangeError(`style must be one of ${StreamlineGraphicsObject.styles.join(", ")}.`);
+        let radius = options.radius === undefined ? 0.01 : options.radius;
+        if (!(radius > 0))
+            throw new RangeError("radius needs to be positive.");
+        this._def = def;
+        this._style = style;
+        this._radius = radius;
+    }
+
+    static get styles() {
+        return ["tubes", "lines"];
+    }
+
+    get style() { return this._style; }
+
+    get radius() { return this._radius; }
+
+    /**
+     * Integrates the streamline through each seed, in arc length so that the 
+     * points are spread evenly regardless of the magnitude of the field.
+     * 
+     * A streamline ends where it leaves bounds, where the field is undefined, 
+     * and at stagnation points, where the field vanishes or turns back on 
+     * itself. Seeds outside bounds or at stagnation points give no line.
+     * 
+     * @returns An array with one object per streamline, holding points, an 
+     *          array of RealVector, and speeds, the magnitude of the field 
+     *          at each point.
+     */
+    traceStreamlines(bounds) {
+        const def = this._def;
+        const min = new RealVector(...bounds.min);
+        const max = new RealVector(...bounds.max);
+        const diagonal = max.subtract(min).norm();
+        /*
+            Relative to the magnitude at the seed, below this we consider 
+            ourselves at a stagnation point.
+        */
+        const STAGNATION = 1e-6;
+
+        function inside(P) {
+            return [0, 1, 2].every((a) => P.at(a) >= bounds.min[a] && P.at(a) <= bounds.max[a]);
+        }
+
+        /*
+            Where the segment from A, inside bounds, to B leaves them.
+        */
+        function clip(A, B) {
+            let lambda = 1;
+            for (let a = 0; a < 3; a++) {
+                let d = B.at(a) - A.at(a);
+                if (B.at(a) > bounds.max[a])
+                    lambda = Math.min(lambda, (bounds.max[a] - A.at(a)) / d);
+                if (B.at(a) < bounds.min[a])
+                    lambda = Math.min(lambda, (bounds.min[a] - A.at(a)) / d);
+            }
+            return A.add(B.subtract(A).scale(lambda));
+        }
+
+        let signs = { "forward": [1], "backward": [-1], "both": [-1, 1] }[def.direction];
+        let lines = [];
+        for (let seed of def.seeds) {
+            let F0 = def.fn.evalAt(...seed.toArray());
+            if (!inside(seed) || F0 === undefined || F0.norm() == 0)
+                continue;
+            const threshold = STAGNATION * F0.norm();
+
+            let line = { points: [], speeds: [] };
+            for (let sign of signs) {
+                let previous = F0;
+                let field = (s, y) => {
+                    let F = def.fn.evalAt(...y);
+                    if (F === undefined || F.norm() <= threshold)
+                        return undefined;
+                    return F.scale(sign / F.norm()).toArray();
+                };
+                let stop = (s, y) => {
+                    if (!inside(new RealVector(...y)))
+                        return "bounds";
+                    let F = def.fn.evalAt(...y);
+                    if (F === undefined)
+                        return "undefined";
+                    if (F.norm() <= threshold || F.dot(previous) < 0)
+                        return "stagnation";
+                    previous = F;
+                };
+                let res = ODEIntegrator.integrate(field, 0, seed.toArray(), {
+                    method: def.method,
+                    step: diagonal / 200,
+                    maxStep: diagonal / 50,
+                    maxSteps: def.maxSteps,
+                    stop: stop
+                });
+
+                let points = res.points.map((y) => new RealVector(...y));
+                if (res.reason === "bounds")
+                    points[points.length - 1] = clip(points[points.length - 2], points[points.length - 1]);
+                else if (res.reason === "undefined" || res.reason === "stagnation")
+                    points.pop();
+                let speeds = points.map((P) => {
+                    let F = def.fn.evalAt(...P.toArray());
+                    return F === undefined ? 0 : F.norm();
+                });
+
+                /*
+                    The backward half is traced first, and goes in reversed, 
+                    ending at the seed.
+                */
+                if (sign < 0) {
+                    line.points = line.points.concat(points.reverse());
+                    line.speeds = line.speeds.concat(speeds.reverse());
+                } else {
+                    let skip = line.points.length > 0 ? 1 : 0;
+                    line.points = line.points.concat(points.slice(skip));
+                    line.speeds = line.speeds.concat(speeds.slice(skip));
+                }
+            }
+            if (line.points.length >= 2)
+                lines.push(line);
+        }
+        return lines;
+    }
+
+    buildGeometry(bounds, qualityOptions) {
+        const SEGMENTS = QualityOptions.from(qualityOptions).glyphSegments;
+
+        let lines = this.traceStreamlines(bounds);
+        let maxSpeed = 0;
+        for (let line of lines) {
+            for (let v of line.speeds)
+                maxSpeed = Math.max(maxSpeed, v);
+        }
+
+        let geo = 
+        { 
+            "indices":  { numComponents: this._style === "lines" ? 2 : 3, data: [] },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] },
+            "value":    { numComponents: 1, data: [] }
+        };
+        for (let line of lines) {
+            let values = line.speeds.map((v) => maxSpeed > 0 ? v / maxSpeed : 0);
+            if (this._style === "tubes") {
+                this._appendTube(geo, line.points, values, this._radius, SEGMENTS);
+                continue;
+            }
+            /*
+                Lines have no normal of their own, we light them as if they 
+                were facing up.
+            */
+            let offset = geo.position.data.length / 3;
+            for (let i = 0; i < line.points.length; i++) {
+                let P = line.points[i];
+                geo.position.data.push(P.at(0), P.at(2), P.at(1));
+                geo.normal.data.push(0, -1, 0);
+                geo.value.data.push(values[i]);
+                if (i > 0)
+                    geo.indices.data.push(offset + i - 1, offset + i);
+            }
+        }
+        return geo;
+    }
+
+    primitiveType(gl) {
+        return this._style === "lines" ? gl.LINES : gl.TRIANGLES;
+    }
+}
+
+/**
+ * Abstract class. Many copies of one small mesh, a glyph, each placed and 
+ * coloured by a few attributes of its own.
+ * 
+ * Subclasses provide the glyph, the instances and the shader, and get the 
+ * buffer handling and drawing from here. The glyphs are instanced when 
+ * ANGLE_instanced_arrays is available, and otherwise copied into one big 
+ * mesh.
+ */
+class InstancedGraphicsObject extends GraphicsObject {
+    constructor() {
+        super();
+        this._program = null;
+        this._glyphBuffers = null;
+        this._instanceBuffers = null;
+        this._instanceCount = 0;
+        this._instancing = null;
+        this._uniforms = {};
+    }
+
+    /**
+     * The names of the attributes that vary per instance rather than per 
+     * vertex.
      */
-    buildShader(gl) {
+    static get instanceAttributes() {
         throw new Error("I'm not implemented.");
     }
 
     /**
-     * (Re-)build the geometry that will be used to render the object.
-     * 
-     * Must be called before any call to buildBuffers.
+     * The mesh to draw at every instance.
      * 
-     * @param gl The WebGL context.
-     * @returns true if new buffers were allocated.
+     * @returns An object with the flat arrays positions, normals and indices, 
+     *          as made by GlyphGeometry.
      */
-    buildBuffers(gl, bounds, qualityOptions) {
+    buildGlyph(qualityOptions) {
         throw new Error("I'm not implemented.");
     }
 
     /**
-     * Draw the object.
+     * Decides where the glyphs go, without touching any GL state.
      * 
-     * @param gl        The WebGL context.
-     * @param camera    The camera object.
-     * @param time      Time since last render.
-     * @param bounds    Holds the min and max bounds, for example bounds.min[2] for minimum z.
-     * @returns true if drawn, false otherwise.
+     * @param bounds            Holds the min and max bounds.
+     * @param qualityOptions    The quality options given to buildBuffers.
+     * @returns Arrays in the form twgl.createBufferInfoFromArrays takes, one 
+     *          element per instance, for each of instanceAttributes.
      */
-    draw(gl, time, camera, bounds) {
+    buildInstances(bounds, qualityOptions) {
         throw new Error("I'm not implemented.");
     }
 
     /**
-     * Clean up all cached information. Called before destruction.
+     * Uniforms for draw that depend on the result of buildInstances, on top 
+     * of the camera matrices and eye.
      */
-    cleanUp(gl) {
+    _instanceUniforms(inst) {
+        return {};
+    }
+
+    buildBuffers(gl, bounds, qualityOptions) {
+        if (this._glyphBuffers != null)
+            return false;
+        
+        const ATTRIBUTES = this.constructor.instanceAttributes;
+        let glyph = this.buildGlyph(qualityOptions);
+        let inst = this.buildInstances(bounds, qualityOptions);
+        this._uniforms = this._instanceUniforms(inst);
+        this._instanceCount = inst[ATTRIBUTES[0]].data.length / inst[ATTRIBUTES[0]].numComponents;
+
+        this._instancing = gl.getExtension("ANGLE_instanced_arrays");
+        if (this._instancing != null) {
+            this._glyphBuffers = twgl.createBufferInfoFromArrays(gl, {
+                "indices":  { numComponents: 3, data: glyph.indices },
+                "position": { numComponents: 3, data: glyph.positions },
+                "normal":   { numComponents: 3, data: glyph.normals }
+            });
+            if (this._instanceCount > 0) {
+                let arrays = {};
+                for (let name of ATTRIBUTES)
+                    arrays[name] = inst[name];
+                this._instanceBuffers = twgl.createBufferInfoFromArrays(gl, arrays);
+            }
+            return true;
+        }
+
+        /*
+            No instancing, so we repeat the glyph once per instance, with the 
+            per instance attributes repeated for each of its vertices.
+        */
+        let geo = 
+        {
+            "indices":  { numComponents: 3, data: [] },
+            "position": { numComponents: 3, data: [] },
+            "normal":   { numComponents: 3, data: [] }
+        };
+        for (let name of ATTRIBUTES)
+            geo[name] = { numComponents: inst[name].numComponents, data: [] };
+        
+        const GLYPH_VERTICES = glyph.positions.length / 3;
+        for (let a = 0; a < this._instanceCount; a++) {
+            geo.indices.data.push(...glyph.indices.map((i) => i + a * GLYPH_VERTICES));
+            geo.position.data.push(...glyph.positions);
+            geo.normal.data.push(...glyph.normals);
+            for (let name of ATTRIBUTES) {
+                let c = inst[name].numComponents;
+                let values = inst[name].data.slice(a * c, (a + 1) * c);
+                for (let v = 0; v < GLYPH_VERTICES; v++)
+                    geo[name].data.push(...values);
+            }
+        }
+        this._glyphBuffers = GraphicsObject._createBufferInfo(gl, geo);
+        return true;
+    }
+
+    releaseBuffers(gl) {
+        GraphicsObject._deleteBufferInfo(gl, this._glyphBuffers);
+        GraphicsObject._deleteBufferInfo(gl, this._instanceBuffers);
+        this._glyphBuffers = null;
+        this._instanceBuffers = null;
+        this._instanceCount = 0;
+        super.releaseBuffers(gl);
+    }
+
+    draw(gl, time, camera, bounds) {
+        if (this._program == null || this._glyphBuffers == null)
+            throw new ReferenceError("buildBuffers or buildShader not called prior to draw call.");
+        if (this._instanceCount == 0)
+            return false;
+
+        let uniforms = Object.assign({
+            view: camera.getViewMatrix(time),
+            model: twgl.m4.identity(),
+            proj: camera.getProjectionMatrix(time),
+            eye: camera.position
+        }, this._uniforms);
+        gl.useProgram(this._program.program);
+        twgl.setUniforms(this._program, uniforms);
+
+        if (this._instancing == null) {
+            twgl.setBuffersAndAttributes(gl, this._program, this._glyphBuffers);
+            twgl.drawBufferInfo(gl, this._glyphBuffers);
+            return true;
+        }
+
+        /*
+            The instance buffers go first, since only the glyph has indices to 
+            bind. The divisors have to be reset afterwards, as the attribute 
+            locations are shared with every other program.
+        */
+        let ext = this._instancing;
+        let locations = this.constructor.instanceAttributes.map((name) => gl.getAttribLocation(this._program.program, name));
+        twgl.setBuffersAndAttributes(gl, this._program, this._instanceBuffers);
+        twgl.setBuffersAndAttributes(gl, this._program, this._glyphBuffers);
+        for (let loc of locations)
+            ext.vertexAttribDivisorANGLE(loc, 1);
+        ext.drawElementsInstancedANGLE(gl.TRIANGLES, this._glyphBuffers.numElements, this._glyphBuffers.elementType, 0, this._instanceCount);
+        for (let loc of locations)
+            ext.vertexAttribDivisorANGLE(loc, 0);
+        return true;
+    }
+}
 
+/**
+ * Abstract class. Arrows, coloured by a value per arrow.
+ * 
+ * Subclasses say where the arrows go through buildInstances.
+ */
+class ArrowGraphicsObject extends InstancedGraphicsObject {
+    static get instanceAttributes() {
+        return ["offset", "direction", "len", "value"];
     }
 
     /**
-     * Tells the renderer that this object is transparent, and needs sort priority.
-     * @returns false
+     * See InstancedGraphicsObject.buildInstances. Besides the attributes 
+     * offset and direction (a unit vector) in world space, len, the length of 
+     * the arrow, and value, the colour in [0, 1], the result holds spacing, 
+     * the width of the arrows.
      */
-     get transparent() { return false; }
-}
+    buildInstances(bounds, qualityOptions) {
+        throw new Error("I'm not implemented.");
+    }
 
-class Axes3GraphicsObject extends GraphicsObject {
-    constructor() {
-        super();
-        this._cubeProgram = null;
-        this._lineProgram = null;
-        this._cubeBuffers = null;
-        this._lineBuffers = null;
+    buildGlyph(qualityOptions) {
+        const SEGMENTS = QualityOptions.from(qualityOptions).glyphSegments;
+        return GlyphGeometry.arrow(SEGMENTS);
+    }
+
+    _instanceUniforms(inst) {
+        return { width: inst.spacing };
+    }
+
+    /**
+     * Builds the result of buildInstances from arrows, an array of objects 
+     * holding the world space P, where the arrow starts, F, the vector it 
+     * shows, and optionally D, the direction to draw it in if not along F.
+     * 
+     * Arrows get a length of up to 0.9 * spacing, relative to the longest F, 
+     * and are coloured the same way. Arrows with normalize set all get the 
+     * longest length.
+     */
+    static _instances(arrows, spacing, normalize) {
+        let maxMagnitude = 0;
+        for (let a of arrows)
+            maxMagnitude = Math.max(maxMagnitude, a.F.norm());
+        let inst = 
+        {
+            "offset":    { numComponents: 3, data: [] },
+            "direction": { numComponents: 3, data: [] },
+            "len":       { numComponents: 1, data: [] },
+            "value":     { numComponents: 1, data: [] },
+            "spacing":   spacing
+        };
+        for (let a of arrows) {
+            let D = (a.D || a.F).normalize();
+            let m = a.F.norm() / maxMagnitude;
+            inst.offset.data.push(...a.P.toArray());
+            inst.direction.data.push(...D.toArray());
+            inst.len.data.push(0.9 * spacing * (normalize ? 1 : m));
+            inst.value.data.push(m);
+        }
+        return inst;
     }
 
     buildShader(gl) {
-        if (this._cubeProgram != null || this._lineProgram)
+        if (this._program != null)
             return false;
-        this._cubeProgram = twgl.createProgramInfo(
+        this._program = twgl.createProgramInfo(
                 gl, 
                 [
                     // Vertex.
                     `
                     attribute vec3  position;
                     attribute vec3  normal;
-                   
+                    attribute vec3  offset;
+                    attribute vec3  direction;
+                    attribute float len;
+                    attribute float value;
+
                     uniform mat4    view;
                     uniform mat4    model;
                     uniform mat4    proj;
+                    uniform float   width;
 
-                    varying vec3    vPosition;
+                    varying vec3    vWNormal;
+                    varying vec3    vWPosition;
+                    varying float   vValue;
 
                     void main() {
-                        gl_Position = proj * view * model * vec4(position, 1);
-                        vPosition = position;
+                        // The glyph points along +z, rotate that onto direction.
+                        vec3 d = direction;
+                        vec3 up = abs(d.y) < 0.99 ? vec3(0, 1, 0) : vec3(1, 0, 0);
+                        vec3 right = normalize(cross(up, d));
+                        up = cross(d, right);
+
+                        vec3 p = offset + (right * position.x + up * position.y) * width + d * position.z * len;
+                        gl_Position = proj * view * model * vec4(p, 1);
+                        vWNormal = right * normal.x + up * normal.y + d * normal.z;
+                        vWPosition = p; 
+                        vValue = value;
                     }`
                     ,
                     // Fragment.
                     `
-                    #extension GL_OES_standard_derivatives : enable
                     precision mediump float;
                     
-                    uniform vec3 boundsMin;
-                    uniform vec3 boundsMax;
+                    const vec3 COLOUR_MIN = vec3(0.043, 0.475, 0.576);
+                    const vec3 COLOUR_MAX = vec3(0.933, 0.486, 0.047);
+
+                    uniform vec3 eye;
+
+                    varying vec3    vWNormal;
+                    varying vec3    vWPosition;
+                    varying float   vValue;
 
-                    varying vec3    vPosition;
-                    
                     void main() { 
-                        float fw = fwidth(vPosition.y);
-                        float line = step(fw, mod(vPosition.y, 0.25));
-                        gl_FragColor = vec4(vec3(1), 0.5*line);
+                        vec3 N = normalize(vWNormal); 
+                        vec3 I = normalize(eye - vWPosition);
+                        vec3 colour = mix(COLOUR_MIN, COLOUR_MAX, vValue);
+                        gl_FragColor = vec4(colour * mix(0.3, 1.0, abs(dot(I, N))), 1);
                     }`
                 ]);
-        this._lineProgram = twgl.createProgramInfo(
+        return true;
+    }
+}
+
+/**
+ * Draws a VectorFieldPlot as one arrow per lattice point, pointing along the 
+ * field, with its length and colour given by the magnitude.
+ */
+class VectorFieldGraphicsObject extends ArrowGraphicsObject {
+    /**
+     * @arg {VectorFieldPlot} def
+     */
+    constructor(def) {
+        super();
+        if (!(def instanceof VectorFieldPlot)) 
+            throw new TypeError("Expected object of type VectorFieldPlot.");
+        this._def = def;
+    }
+
+    /**
+     * Samples the field at the centres of a lattice of cells filling bounds, 
+     * see ArrowGraphicsObject.buildInstances.
+     * 
+     * Points where the field is undefined or zero get no arrow. spacing is 
+     * the distance between lattice points, the smallest over the axes.
+     */
+    buildInstances(bounds, qualityOptions) {
+        const N = this._def.samples;
+        let step = [0, 1, 2].map((a) => (bounds.max[a] - bounds.min[a]) / N);
+        let spacing = Math.min(...step.map(Math.abs));
+
+        let arrows = [];
+        for (let k = 0; k < N; k++) {
+            for (let j = 0; j < N; j++) {
+                for (let i = 0; i < N; i++) {
+                    let [x, y, z] = [i, j, k].map((c, a) => bounds.min[a] + step[a] * (c + 0.5));
+                    let F = this._def.fn.evalAt(x, y, z);
+                    if (F === undefined || F.norm() == 0)
+                        continue;
+                    // Switch y and z, like R2toRGraphicsObject does.
+                    arrows.push({ P: new RealVector(x, z, y), F: new RealVector(F.at(0), F.at(2), F.at(1)) });
+                }
+            }
+        }
+        return ArrowGraphicsObject._instances(arrows, spacing, false);
+    }
+}
+
+/**
+ * Draws the gradient of an R2toRPlot as arrows on a grid, either on the floor 
+ * of the axes box or lying on the surface.
+ */
+class GradientFieldGraphicsObject extends ArrowGraphicsObject {
+    /**
+     * @arg {R2toRPlot} def
+     * @arg {Object} options Optional. placement is "floor" (the default) or 
+     *                       "surface". samples is the number of arrows along 
+     *                       each axis, 16 by default. With normalize set, all 
+     *                       arrows have the same length, and only the colour 
+     *                       shows the magnitude.
+     */
+    constructor(def, options) {
+        super();
+        if (!(def instanceof R2toRPlot)) 
+            throw new TypeError("Expected object of type R2toRPlot.");
+        options = options || {};
+        let placement = options.placement || "floor";
+        if (GradientFieldGraphicsObject.placements.indexOf(placement) === -1)
+            throw new RangeError(`placement must be one of ${GradientFieldGraphicsObject.placements.join(", ")}.`);
+        let samples = options.samples === undefined ? 16 : options.samples;
+        if (!(Number.isInteger(samples) && samples >= 1))
+            throw new RangeError("samples needs to be a positive integer.");
+        this._def = def;
+        this._placement = placement;
+        this._samples = samples;
+        this._normalize = !!options.normalize;
+    }
+
+    static get placements() {
+        return ["floor", "surface"];
+    }
+
+    get placement() { return this._placement; }
+
+    get samples() { return this._samples; }
+
+    get normalize() { return this._normalize; }
+
+    /**
+     * Samples the gradient at the centres of a grid of cells covering the 
+     * xy-extent of bounds, see ArrowGraphicsObject.buildInstances.
+     * 
+     * On the floor the arrows show the gradient itself. On the surface they 
+     * point in the direction of steepest ascent along the surface, but are 
+     * still sized and coloured by the gradient. Points where f or its 
+     * gradient is undefined or zero get no arrow, as do points on the 
+     * surface outside bounds.
+     */
+    buildInstances(bounds, qualityOptions) {
+        const N = this._samples;
+        const X_STEP = (bounds.max[0] - bounds.min[0]) / N;
+        const Y_STEP = (bounds.max[1] - bounds.min[1]) / N;
+        let spacing = Math.min(Math.abs(X_STEP), Math.abs(Y_STEP));
+
+        let arrows = [];
+        for (let j = 0; j < N; j++) {
+            let y = bounds.min[1] + Y_STEP * (j + 0.5);
+            for (let i = 0; i < N; i++) {
+                let x = bounds.min[0] + X_STEP * (i + 0.5);
+                let z = this._def.fn.evalAt(x, y);
+                let grad = this._def.fn.gradientAt(x, y);
+                if (z === undefined || grad === undefined || grad.norm() == 0)
+                    continue;
+                let [gx, gy] = grad.toArray();
+                // Switch y and z, like R2toRGraphicsObject does.
+                let F = new RealVector(gx, 0, gy);
+                if (this._placement === "floor") {
+                    arrows.push({ P: new RealVector(x, bounds.min[2], y), F: F });
+                    continue;
+                }
+                if (z < bounds.min[2] || z > bounds.max[2])
+                    continue;
+                /*
+                    Moving along the gradient, f grows by |grad f|^2 per unit 
+                    of the gradient.
+                */
+                let D = new RealVector(gx, gx * gx + gy * gy, gy);
+                arrows.push({ P: new RealVector(x, z, y), F: F, D: D });
+            }
+        }
+        return ArrowGraphicsObject._instances(arrows, spacing, this._normalize);
+    }
+}
+
+/**
+ * Abstract class. Lines of a single colour.
+ * 
+ * Subclasses provide the lines through buildGeometry, and get the shader, 
+ * buffer handling and drawing from here.
+ */
+class LineGraphicsObject extends GraphicsObject {
+    /**
+     * @arg {Array} color The colour of the lines as [r, g, b].
+     */
+    constructor(color) {
+        super();
+        this._color = color;
+        this._program = null;
+        this._buffers = null;
+    }
+
+    /**
+     * Build the lines, without touching any GL state.
+     * 
+     * @param bounds            Holds the min and max bounds.
+     * @param qualityOptions    The quality options given to buildBuffers.
+     * @returns Arrays in the form twgl.createBufferInfoFromArrays takes, with 
+     *          indices, two per line segment, and position, in world space.
+     */
+    buildGeometry(bounds, qualityOptions) {
+        throw new Error("I'm not implemented.");
+    }
+
+    buildShader(gl) {
+        if (this._program != null)
+            return false;
+        this._program = twgl.createProgramInfo(
                 gl, 
                 [
                     // Vertex.
                     `
                     attribute vec3  position;
-                    attribute vec3  color;
 
                     uniform mat4    view;
                     uniform mat4    model;
                     uniform mat4    proj;
 
-                    varying vec3    vColor;
-
                     void main() {
                         gl_Position = proj * view * model * vec4(position, 1);
-                        vColor = color;
+                        // Pull the lines slightly towards us, so they aren't hidden by the surface.
+                        gl_Position.z -= 1e-4 * gl_Position.w;
                     }`
                     ,
                     // Fragment.
                     `
                     precision mediump float;
-                                        
-                    varying vec3    vColor;
+
+                    uniform vec3 color;
                     
                     void main() { 
-                        gl_FragColor = vec4(vColor, 0.75);
+                        gl_FragColor = vec4(color, 1);
                     }`
                 ]);
         return true;
     }
 
     buildBuffers(gl, bounds, qualityOptions) {
-        if (this._cubeBuffers != null && this._lineBuffers != null)
+        if (this._buffers != null)
             return false;
-        /*
-            Create our cube, taking care that it is bounded from -0.5 to 0.5.
-        */
-        let cubeGeo = twgl.primitives.createCubeVertices(1);
-        this._cubeBuffers = twgl.createBufferInfoFromArrays(gl, cubeGeo);
-        /*
-            Create the lines for our axes.
-        */
-        let lineGeo = {
-            "indices":  { numComponents: 3, data: [0, 1,  0, 2,  0, 3]},
-            "position": { numComponents: 3, data: [0, 0, 0,  0, 0.5, 0,   0.5, 0, 0,   0, 0, 0.5]},
-            "color": { numComponents: 3, data: [1, 1, 1,  0, 1, 0,  1, 0, 0,  0, 0, 1]}
-        };
-        this._lineBuffers = twgl.createBufferInfoFromArrays(gl, lineGeo);
-
+        this._buffers = twgl.createBufferInfoFromArrays(gl, this.buildGeometry(bounds, qualityOptions));
         return true;
     }
 
+    releaseBuffers(gl) {
+        GraphicsObject._deleteBufferInfo(gl, this._buffers);
+        this._buffers = null;
+        super.releaseBuffers(gl);
+    }
+
     draw(gl, time, camera, bounds) {
-        if ((this._cubeProgram == null || this._lineProgram == null) || (this._cubeBuffers == null || this._lineBuffers == null))
+        if (this._program == null || this._buffers == null)
             throw new ReferenceError("buildBuffers or buildShader not called prior to draw call.");
-        
-        let wx = Math.abs(bounds.max[0] - bounds.min[0]);
-        let wy = Math.abs(bounds.max[1] - bounds.min[1]);
-        let wz = Math.abs(bounds.max[2] - bounds.min[2]);
 
-        let modelMat = twgl.m4.scaling([wx, wy, wz]);
-        twgl.m4.translate(modelMat, [wx * 0.5 + bounds.min[0], wy * 0.5 + bounds.min[1], wz * 0.5 + bounds.min[2]], modelMat);
-                
-        function drawLines(me) {
-            let uniforms = {
-                view: camera.getViewMatrix(time),
-                model: modelMat,
-                proj: camera.getProjectionMatrix(time)
-            };
-            gl.useProgram(me._lineProgram.program);
-            twgl.setBuffersAndAttributes(gl, me._lineProgram, me._lineBuffers);
-            twgl.setUniforms(me._lineProgram, uniforms);        
-            twgl.drawBufferInfo(gl, me._lineBuffers, gl.LINES);
+        let uniforms = {
+            view: camera.getViewMatrix(time),
+            model: twgl.m4.identity(),
+            proj: camera.getProjectionMatrix(time),
+            color: this._color
+        };
+        gl.useProgram(this._program.program);
+        twgl.setUniforms(this._program, uniforms);
+        twgl.setBuffersAndAttributes(gl, this._program, this._buffers);
+        twgl.drawBufferInfo(gl, this._buffers, gl.LINES);
+    }
+}
+
+/**
+ * Draws contour lines of an R2toRPlot, found with marching squares, on the 
+ * surface and optionally projected onto the floor of the axes box.
+ */
+class ContourGraphicsObject extends LineGraphicsObject {
+    /**
+     * @arg {R2toRPlot} def
+     * @arg {Object} options Optional. levels is either an array of the levels 
+     *                       to draw, or roughly how many round levels to pick 
+     *                       within the range of the function, 10 by default. 
+     *                       floor also draws the lines on the floor. color is 
+     *                       the colour of the lines as [r, g, b], black by 
+     *                       default.
+     */
+    constructor(def, options) {
+        options = options || {};
+        super(options.color || [0, 0, 0]);
+        if (!(def instanceof R2toRPlot)) 
+            throw new TypeError("Expected object of type R2toRPlot.");
+        let levels = options.levels === undefined ? 10 : options.levels;
+        if (Array.isArray(levels)) {
+            if (!levels.every(isFinite))
+                throw new TypeError("levels needs to hold finite numbers.");
+        } else if (!(Number.isInteger(levels) && levels >= 1)) {
+            throw new RangeError("levels needs to be an array or a positive integer.");
         }
+        this._def = def;
+        this._levels = levels;
+        this._floor = !!options.floor;
+    }
 
-        function drawPlane(me) {
-            let uniforms = {
-                view: camera.getViewMatrix(time),
-                model: modelMat,
-                proj: camera.getProjectionMatrix(time),
-                boundsMin: bounds.min,
-                boundsMax: bounds.max
-            };
-            gl.useProgram(me._cubeProgram.program);
-            gl.enable(gl.CULL_FACE);
-            gl.frontFace(gl.CCW);
-            gl.cullFace(gl.FRONT);
-            twgl.setBuffersAndAttributes(gl, me._cubeProgram, me._cubeBuffers);        
-            twgl.setUniforms(me._cubeProgram, uniforms);
-            twgl.drawBufferInfo(gl, me._cubeBuffers);    
-            gl.disable(gl.CULL_FACE);
-            
+    get levels() { return this._levels; }
+
+    get floor() { return this._floor; }
+
+    /**
+     * Samples the function over the xy-extent of bounds and extracts the 
+     * contour lines, without touching any GL state.
+     * 
+     * With a count of levels, they are picked between the smallest and 
+     * largest value on the grid, clamped to the z-extent of bounds.
+     * 
+     * @returns An array with one object per level, holding level and the 
+     *          lines as positions and indices, see MarchingSquares.isolines.
+     *          The positions are mathematical (x, y).
+     */
+    buildContours(bounds, qualityOptions) {
+        const RESOLUTION = QualityOptions.from(qualityOptions).resolution;
+
+        let fn = this._def.fn;
+        let grid = MarchingSquares.sample((x, y) => fn.evalAt(x, y), bounds.min, bounds.max, RESOLUTION);
+        let levels = this._levels;
+        if (!Array.isArray(levels)) {
+            let lo = Infinity, hi = -Infinity;
+            for (let v of grid.values) {
+                if (isNaN(v))
+                    continue;
+                lo = Math.min(lo, v);
+                hi = Math.max(hi, v);
+            }
+            lo = Math.max(lo, bounds.min[2]);
+            hi = Math.min(hi, bounds.max[2]);
+            levels = MarchingSquares.niceLevels(lo, hi, levels);
         }
-        drawPlane(this);
-        drawLines(this);
+        return levels.map((level) => Object.assign({ level: level }, MarchingSquares.isolines(grid, level)));
     }
 
-    get transparent() { return true; }
+    /**
+     * See LineGraphicsObject.buildGeometry. Lines of levels outside the 
+     * z-extent of bounds only go on the floor.
+     */
+    buildGeometry(bounds, qualityOptions) {
+        let geo = 
+        {
+            "indices":  { numComponents: 2, data: [] },
+            "position": { numComponents: 3, data: [] }
+        };
+        function add(contour, height) {
+            let offset = geo.position.data.length / 3;
+            let P = contour.positions;
+            for (let k = 0; k < P.length; k += 2)
+                geo.position.data.push(P[k], height, P[k + 1]);
+            for (let i of contour.indices)
+                geo.indices.data.push(i + offset);
+        }
+        for (let contour of this.buildContours(bounds, qualityOptions)) {
+            if (contour.level >= bounds.min[2] && contour.level <= bounds.max[2])
+                add(contour, contour.level);
+            if (this._floor)
+                add(contour, bounds.min[2]);
+        }
+        return geo;
+    }
 }
 
-class R2toRGraphicsObject extends GraphicsObject {
-    constructor(def) {
+/**
+ * Draws the residuals of a fitted surface as vertical segments, from each 
+ * point of a ScatterPlot to the surface.
+ */
+class ResidualGraphicsObject extends LineGraphicsObject {
+    /**
+     * @arg {ScatterPlot} def The data.
+     * @arg {RealValuedFunction} fn The surface z = fn(x, y), such as the fn 
+     *                              of a fit from SurfaceFitting.
+     * @arg {Object} options Optional. color is the colour of the segments as 
+     *                       [r, g, b], white by default.
+     */
+    constructor(def, fn, options) {
+        options = options || {};
+        super(options.color || [1, 1, 1]);
+        if (!(def instanceof ScatterPlot)) 
+            throw new TypeError("Expected object of type ScatterPlot.");
+        if (!(fn instanceof RealValuedFunction) || fn.vars.length != 2)
+            throw new TypeError("Expected a RealValuedFunction of two variables.");
+        this._def = def;
+        this._fn = fn;
+    }
+
+    /**
+     * See LineGraphicsObject.buildGeometry. Points outside bounds, or where 
+     * the surface is undefined, get no segment.
+     */
+    buildGeometry(bounds, qualityOptions) {
+        let geo = 
+        {
+            "indices":  { numComponents: 2, data: [] },
+            "position": { numComponents: 3, data: [] }
+        };
+        let [x, y, z] = ["x", "y", "z"].map((name) => this._def.column(name));
+        for (let i = 0; i < this._def.length; i++) {
+            let p = [x[i], y[i], z[i]];
+            if (p.some(isNaN) || p.some((c, a) => c < bounds.min[a] || c > bounds.max[a]))
+                continue;
+            let f = this._fn.evalAt(x[i], y[i]);
+            if (f === undefined)
+                continue;
+            let offset = geo.position.data.length / 3;
+            // Switch y and z, like R2toRGraphicsObject does.
+            geo.position.data.push(x[i], z[i], y[i], x[i], f, y[i]);
+            geo.indices.data.push(offset, offset + 1);
+        }
+        return geo;
+    }
+}
+
+/**
+ * Draws a ScatterPlot as one shaded sphere per point.
+ * 
+ * The color column, or z without one, goes through the colormap of the 
+ * surfaces, and the size column through a scale onto the radius.
+ */
+class ScatterGraphicsObject extends InstancedGraphicsObject {
+    /**
+     * @arg {ScatterPlot} def
+     * @arg {Object} options Optional. radius is the radius of the spheres 
+     *                       without a size column, 0.02 by default. 
+     *                       sizeRange is the smallest and largest radius with 
+     *                       one, [radius / 2, radius * 2] by default. 
+     *                       sizeScale is "linear" (the default) or "sqrt", 
+     *                       where the area of the spheres is linear in size. 
+     *                       sizeDomain and colorDomain are the values mapped 
+     *                       to the ends of the ranges, the extent of each 
+     *                       column by default. Values beyond them are clamped.
+     */
+    constructor(def, options) {
         super();
-        if (!(def instanceof PlotDefinition)) 
-            throw new TypeError("Expected object of type PlotDefinition.");
+        if (!(def instanceof ScatterPlot)) 
+            throw new TypeError("Expected object of type ScatterPlot.");
+        options = options || {};
+        let radius = options.radius === undefined ? 0.02 : options.radius;
+        if (!(radius > 0))
+            throw new RangeError("radius needs to be positive.");
+        let sizeRange = options.sizeRange || [radius / 2, radius * 2];
+        if (!(sizeRange.length == 2 && sizeRange[0] > 0 && sizeRange[1] >= sizeRange[0]))
+            throw new RangeError("sizeRange needs to be two positive radii, in increasing order.");
+        let sizeScale = options.sizeScale || "linear";
+        if (ScatterGraphicsObject.sizeScales.indexOf(sizeScale) === -1)
+            throw new RangeError(`sizeScale must be one of ${ScatterGraphicsObject.sizeScales.join(", ")}.`);
         this._def = def;
-        this._program = null;
-        this._buffers = null;
+        this._radius = radius;
+        this._sizeRange = sizeRange;
+        this._sizeScale = sizeScale;
+        this._sizeDomain = options.sizeDomain;
+        this._colorDomain = options.colorDomain;
+    }
+
+    static get sizeScales() {
+        return ["linear", "sqrt"];
+    }
+
+    static get instanceAttributes() {
+        return ["offset", "radius", "value"];
+    }
+
+    buildGlyph(qualityOptions) {
+        const SEGMENTS = QualityOptions.from(qualityOptions).segments;
+        return GlyphGeometry.sphere(SEGMENTS);
+    }
+
+    /*
+        Where v is within domain, in [0, 1], clamped. Degenerate domains map 
+        everything to the middle.
+    */
+    static _normalize(v, domain) {
+        if (!(domain[1] > domain[0]))
+            return 0.5;
+        return Math.min(Math.max((v - domain[0]) / (domain[1] - domain[0]), 0), 1);
+    }
+
+    /**
+     * See InstancedGraphicsObject.buildInstances. Gives each point inside 
+     * bounds an offset, its position in world space, a radius and a value, 
+     * the colour in [0, 1]. Missing sizes and colours get the smallest ones.
+     */
+    buildInstances(bounds, qualityOptions) {
+        let def = this._def;
+        let [x, y, z] = ["x", "y", "z"].map((name) => def.column(name));
+        let size = def.column("size");
+        let colorName = def.column("color") === undefined ? "z" : "color";
+        let color = def.column(colorName);
+        let sizeDomain = this._sizeDomain || def.columnExtent("size");
+        let colorDomain = this._colorDomain || def.columnExtent(colorName);
+
+        let inst = 
+        {
+            "offset": { numComponents: 3, data: [] },
+            "radius": { numComponents: 1, data: [] },
+            "value":  { numComponents: 1, data: [] }
+        };
+        for (let i = 0; i < def.length; i++) {
+            let p = [x[i], y[i], z[i]];
+            if (p.some(isNaN) || p.some((c, a) => c < bounds.min[a] || c > bounds.max[a]))
+                continue;
+
+            let radius = this._radius;
+            if (size !== undefined) {
+                let t = isNaN(size[i]) ? 0 : ScatterGraphicsObject._normalize(size[i], sizeDomain);
+                if (this._sizeScale === "sqrt") {
+                    /*
+                        Interpolate the areas rather than the radii.
+                    */
+                    let [r0, r1] = this._sizeRange;
+                    radius = Math.sqrt(r0 * r0 + t * (r1 * r1 - r0 * r0));
+                } else {
+                    radius = this._sizeRange[0] + t * (this._sizeRange[1] - this._sizeRange[0]);
+                }
+            }
+            let value = isNaN(color[i]) ? 0 : ScatterGraphicsObject._normalize(color[i], colorDomain);
+
+            // Switch y and z, like R2toRGraphicsObject does.
+            inst.offset.data.push(p[0], p[2], p[1]);
+            inst.radius.data.push(radius);
+            inst.value.data.push(value);
+        }
+        return inst;
     }
 
     buildShader(gl) {
@@ -366,8 +3959,10 @@ class R2toRGraphicsObject extends GraphicsObject {
                     `
                     attribute vec3  position;
                     attribute vec3  normal;
+                    attribute vec3  offset;
+                    attribute float radius;
                     attribute float value;
-                   
+
                     uniform mat4    view;
                     uniform mat4    model;
                     uniform mat4    proj;
@@ -377,210 +3972,35 @@ class R2toRGraphicsObject extends GraphicsObject {
                     varying float   vValue;
 
                     void main() {
-                        gl_Position = proj * view * model * vec4(position, 1);
-                        vWNormal = normal; vWPosition = position; vValue = value;
+                        vec3 p = offset + position * radius;
+                        gl_Position = proj * view * model * vec4(p, 1);
+                        vWNormal = normal;
+                        vWPosition = p; 
+                        vValue = value;
                     }`
                     ,
                     // Fragment.
                     `
-                    #extension GL_OES_standard_derivatives : enable
                     precision mediump float;
                     
                     const vec3 COLOUR_MIN = vec3(0.043, 0.475, 0.576);
                     const vec3 COLOUR_MAX = vec3(0.933, 0.486, 0.047);
 
-                    uniform vec3 boundsMin;
-                    uniform vec3 boundsMax;
                     uniform vec3 eye;
-                                        
+
                     varying vec3    vWNormal;
                     varying vec3    vWPosition;
                     varying float   vValue;
 
-                    vec3 color(float t) {
-                        return vec3(
-                            0.043 + 1.438 * t - 1.548 * t * t + t * t * t,
-                            0.475 + 0.589 * t - 1.578 * t * t + t * t * t,
-                            0.576 + 0.725 * t - 2.254 * t * t + t * t * t
-                        );
-                    }
-                    
                     void main() { 
                         vec3 N = normalize(vWNormal); 
-                        vec3 I = normalize(eye-vWPosition);
-                        float ywidth = abs(boundsMax.y - boundsMin.y);
-                        float yderiv = fwidth(vWPosition.y);
-                        float ymod =  mod(vWPosition.y, 0.25);
-                        if (vWPosition.y < boundsMin.y || vWPosition.y > boundsMax.y) discard; 
-                        vec3 normalColor = (N * 0.5 + vec3(0.5)) * 0.3;
-                        //vec3 valueColor  = pow(mix(0.1, 1.0, max(dot(I, -N), 0.0)), 0.3) * color(clamp(vValue, 0.0, 1.0)) * 0.7;
-                        vec3 valueColor  = pow(mix(0.1, 1.0, max(dot(I, -N), 0.0)), 0.3) * mix(COLOUR_MIN, COLOUR_MAX, vValue) * 0.7;
-                        gl_FragColor = vec4((normalColor + valueColor) * step(yderiv, ymod), 1);
+                        vec3 I = normalize(eye - vWPosition);
+                        vec3 colour = mix(COLOUR_MIN, COLOUR_MAX, vValue);
+                        gl_FragColor = vec4(colour * mix(0.3, 1.0, max(dot(I, N), 0.0)), 1);
                     }`
                 ]);
         return true;
     }
-
-    buildBuffers(gl, bounds, qualityOptions) {
-        if (this._buffers != null)
-            return false;
-        
-        let geo = 
-        { 
-            "indices":  { numComponents: 3, data: [] },
-            "position": { numComponents: 3, data: [] },
-            "normal":   { numComponents: 3, data: [] },
-            "value":    { numComponents: 1, data: [] }
-        };
-
-        /*
-            We create a grid of vertices here, and evaluate the function and 
-            numerically approximate the gradient at each point.
-
-            The function is evaluated according to common mathematical 
-            conventions such that the XY plane is the "floor", and Z denotes 
-            the height, that is z = f(x, y).
-
-            For this reason we switch our z and y when we push the coordinates 
-            to the position array, because common graphics convention is XZ as 
-            the floor.
-
-            We could evaluate the function as y = f(x, z) but I don't like to 
-            mix "conceptual domains" unless I have to.
-
-            The coordinates are in world space, so the grid will be at least 
-            |bounds.max[0] - bounds.min[0]| wide in x and so forth.
-        */
-
-        // Todo: remove hard coding.
-        const VERTICES_SQRT = 64;
-
-        /*
-            The difference between two vertices in x and y.
-        */
-        const X_STEP = Math.abs(bounds.max[0] - bounds.min[0]) / VERTICES_SQRT;
-        const Y_STEP = Math.abs(bounds.max[1] - bounds.min[1]) / VERTICES_SQRT;
-
-        /*
-            An array that holds true or false for every generated vertex.
-
-            isdefined[index] tells us whether a PREVIOUS vertex wasn't well 
-            defined, that is, the function has a singularity or similar there.
-        */
-        let isdefined = [];
-
-        /*
-            We move along y then along x, building each vertex and face.
-        */
-        let previous_z = 0;
-        for (let y = 0; y < VERTICES_SQRT; y++) {
-            let pos_y = bounds.min[1] + Y_STEP * y;
-            for (let x = 0; x < VERTICES_SQRT; x++) {
-                let pos_x = bounds.min[0] + X_STEP * x;
-
-                /*
-                    Calculate the z value and the gradient at (x,y).
-                */
-                let pos_z = this._def.fn.evalAt(pos_x, pos_y);               
-                let grad = this._def.fn.gradientAt(pos_x, pos_y);
-
-                /*
-                    Now we have to make sure vertices where our function isn't well
-                    behaved gets some values. It will be sent to the GPU, but
-                    polygons for it won't be generated. This wastes some memory,
-                    hopefully we'll fix this in the future ;)
-                */
-                if (pos_z == undefined || grad == undefined)
-                {
-                    // The surrounding vertices will need to know this for 
-                    // polygon creation.
-                    isdefined.push(false);
-                    geo.value.data.push(previous_z);
-                    geo.position.data.push(...[pos_x, pos_z, 0]);
-                    geo.normal.data.push(...[0, 1, 0]);
-                    continue;
-                } else {
-                    previous_z = pos_z;
-                    isdefined.push(true);
-                    
-                    geo.value.data.push(pos_z);
-
-                    // Note we switch z and y here, to better accomodate for OpenGL conventions.
-                    let P = [pos_x, pos_z, pos_y];
-                    let N = [grad.at(0), -1, grad.at(1)];
-                    let N_norm = 1.0/Math.sqrt(N[0]*N[0] + N[2]*N[2] + 1);
-                    N[0] *= N_norm;
-                    N[1] *= N_norm;
-                    N[2] *= N_norm;                
-
-                    geo.position.data.push(...P);
-                    geo.normal.data.push(...N);
-                }
-
-                /*
-                    For any vertex except the one at the starting corner, we have
-                    a face to put in the array.
-                */
-                if (y != 0 && x != 0)
-                {
-                    let idx0 = ((y    ) * VERTICES_SQRT) + x;
-                    let idx1 = ((y - 1) * VERTICES_SQRT) + x;
-                    let idx2 = ((y - 1) * VERTICES_SQRT) + (x - 1);
-                    let idx3 = ((y    ) * VERTICES_SQRT) + (x - 1);
-
-                    /*
-                        These are the cases for when one or all of the surrounding
-                        vertices are for undefined function values.
-                    */
-                    let cases = [
-                        !isdefined[idx1] &&  isdefined[idx2] &&  isdefined[idx3],
-                         isdefined[idx1] && !isdefined[idx2] &&  isdefined[idx3],
-                         isdefined[idx1] &&  isdefined[idx2] && !isdefined[idx3],
-                        !isdefined[idx1] && !isdefined[idx2] && !isdefined[idx3]
-                    ];
-
-                    let idxs = [];
-                    if (cases[0])
-                        idxs = [idx0, idx3, idx2];
-                    else if (cases[1])
-                        idxs = [idx0, idx3, idx1];
-                    else if (cases[2])
-                        idxs = [idx0, idx2, idx1];
-                    // All the surrounding vertices for undefined vertices, so we
-                    // omit all polygons.
-                    else if (cases[3])
-                        continue;
-                    // All the vertices are for defined values, so we can generate
-                    // the triangles for the whole quad.
-                    else
-                        idxs = [idx0, idx2, idx1, idx0, idx3, idx2];
-                    
-                    geo.indices.data.push(...idxs);
-                }
-            }            
-        }
-
-        this._buffers = twgl.createBufferInfoFromArrays(gl, geo);
-        return true;
-    }
-
-    draw(gl, time, camera, bounds) {
-        if (this._program == null || this._buffers == null)
-            throw new ReferenceError("buildBuffers or buildShader not called prior to draw call.");
-
-        let uniforms = {
-            view: camera.getViewMatrix(time),
-            model: twgl.m4.identity(),
-            proj: camera.getProjectionMatrix(time),
-            eye: camera.position,
-            boundsMin: bounds.min,
-            boundsMax: bounds.max
-        };
-        gl.useProgram(this._program.program);
-        twgl.setUniforms(this._program, uniforms);
-        twgl.setBuffersAndAttributes(gl, this._program, this._buffers);
-        twgl.drawBufferInfo(gl, this._buffers);
-    }
 }
 
 /**
@@ -637,12 +4057,143 @@ class OrthographicCamera {
 }
 
 class WebGLRenderer {
-    constructor(gl) {
+    /**
+     * @arg gl The WebGL context.
+     * @arg quality Optional, the quality options, see qualityOptions.
+     */
+    constructor(gl, quality) {
         if (!(gl instanceof WebGLRenderingContext))
             throw new TypeError("gl must be a WebGLRenderingContext");
         this._gl = gl;
         this._objects = [];
         this._objectsInvalidated = true;
+        this._qualityOptions = QualityOptions.from(quality);
+
+        /*
+            The id of the build in the worker for each graphics object 
+            waiting for one, and the objects the worker failed to build, 
+            which are built here instead.
+        */
+        this._worker = null;
+        this._builds = new Map();
+        this._nextBuild = 1;
+        this._mainThread = new WeakSet();
+    }
+
+    /**
+     * Builds the geometry of the objects GeometryTask can describe in worker, 
+     * a Worker running src/geometryworker.js, so that sampling doesn't freeze 
+     * the page. Until a build arrives the object keeps drawing its previous 
+     * geometry, or nothing the first time. Null builds everything here again,
+     * as does an error in the worker, see _workerFailed.
+     */
+    useWorker(worker) {
+        if (this._worker != null) {
+            this._worker.onmessage = null;
+            this._worker.onerror = null;
+            this._worker.onmessageerror = null;
+            for (let gfx of Array.from(this._builds.keys())) {
+                this._cancelBuild(gfx);
+                gfx.invalidateBuffers();
+            }
+        }
+        this._worker = worker;
+        if (worker != null) {
+            worker.onmessage = (event) => this._receiveBuild(event.data);
+            worker.onerror = () => this._workerFailed();
+            worker.onmessageerror = () => this._workerFailed();
+        }
+    }
+
+    /*
+        Handles an error in the worker, like a script it couldn't load, or a
+        message that couldn't be read. We can't tell which builds will still
+        be answered, so the pending ones are built here like those the worker
+        failed to build, and we stop using the worker.
+    */
+    _workerFailed() {
+        for (let gfx of this._builds.keys()) {
+            this._mainThread.add(gfx);
+            gfx.invalidateBuffers();
+        }
+        this._builds.clear();
+        this.useWorker(null);
+    }
+
+    get worker() {
+        return this._worker;
+    }
+
+    /*
+        Whether gfx is built by the worker, starting a build when needed. 
+    */
+    _buildInWorker(gfx, bounds, qualityOptions) {
+        if (this._worker == null || this._mainThread.has(gfx))
+            return false;
+        let task = GeometryTask.describe(gfx, bounds, qualityOptions);
+        if (task === undefined)
+            return false;
+        if (!gfx.buffersInvalidated && (gfx.hasBuffers || this._builds.has(gfx)))
+            return true;
+
+        this._cancelBuild(gfx);
+        let id = this._nextBuild++;
+        this._builds.set(gfx, id);
+        this._worker.postMessage({ type: "build", id: id, task: task });
+        gfx.validateBuffers();
+        return true;
+    }
+
+    _cancelBuild(gfx) {
+        if (!this._builds.has(gfx))
+            return;
+        this._worker.postMessage({ type: "cancel", id: this._builds.get(gfx) });
+        this._builds.delete(gfx);
+    }
+
+    /*
+        Handles an answer from the worker, see GeometryTaskQueue. Answers to
+        cancelled builds are ignored.
+    */
+    _receiveBuild(message) {
+        let gfx;
+        for (let [g, id] of this._builds) {
+            if (id === message.id)
+                gfx = g;
+        }
+        if (gfx === undefined)
+            return;
+        this._builds.delete(gfx);
+        if (message.type === "done") {
+            gfx.uploadGeometry(this._gl, message.geometry);
+        } else {
+            // Build it here instead, which raises the error as usual.
+            this._mainThread.add(gfx);
+            gfx.invalidateBuffers();
+        }
+    }
+
+    /**
+     * The QualityOptions of every graphics object that doesn't have its own.
+     * Can be set to anything QualityOptions.from takes, which rebuilds the 
+     * buffers of all objects before the next frame.
+     */
+    get qualityOptions() {
+        return this._qualityOptions;
+    }
+
+    set qualityOptions(quality) {
+        this._qualityOptions = QualityOptions.from(quality);
+        this.invalidateGraphics();
+    }
+
+    /**
+     * Rebuilds the buffers of all graphics objects before the next frame, 
+     * for example when the bounds they are built for change.
+     */
+    invalidateGraphics() {
+        for (let gfx of this._objects)
+            gfx.invalidateBuffers();
     }
 
     registerGraphicsObject(gfx) {
@@ -659,14 +4210,22 @@ class WebGLRenderer {
         
         let res = this._objects[idx];
 
-        if (res != null)
+        if (res != null) {
+            if (this._worker != null)
+                this._cancelBuild(res);
             res.cleanUp(this._gl);
+        }
         this._objects.splice(idx, 1);
     }
 
     reinitGraphics(gl, time, bounds) {
         for (let gfx of this._objects) {
-            gfx.buildBuffers(gl, bounds, {});
+            let quality = QualityOptions.resolve(this._qualityOptions, gfx.quality);
+            if (!this._buildInWorker(gfx, bounds, quality)) {
+                if (gfx.buffersInvalidated)
+                    gfx.releaseBuffers(gl);
+                gfx.buildBuffers(gl, bounds, quality);
+            }
             gfx.buildShader(gl);
         }
         this._objectsInvalidated = false;
@@ -679,7 +4238,7 @@ class WebGLRenderer {
     render(time, bounds, camera) {
         let gl = this._gl;
 
-        if (this._objectsInvalidated) {
+        if (this._objectsInvalidated || this._objects.some((gfx) => gfx.buffersInvalidated)) {
             this.reinitGraphics(gl, time, bounds);
             this._objectsInvalidated = false;
         }
@@ -695,12 +4254,15 @@ class WebGLRenderer {
         gl.enable(gl.DEPTH_TEST);
         gl.depthFunc(gl.LEQUAL);
         
-        twgl.resizeCanvasToDisplaySize(gl.canvas);
+        twgl.resizeCanvasToDisplaySize(gl.canvas, this._qualityOptions.pixelRatio);
         gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
         gl.clear(gl.DEPTH_BUFFER_BIT | gl.COLOR_BUFFER_BIT);
 
         for (let gfx of this._objects)
         {
+            // Objects waiting for their first build in the worker.
+            if (this._builds.has(gfx) && !gfx.hasBuffers)
+                continue;
             gfx.draw(gl, time, camera, bounds);
         }
     }
@@ -711,7 +4273,13 @@ class WebGLRenderer {
 }
 
 class SoWebPlotter{
-    constructor(elementId) {
+    /**
+     * @arg {String} elementId The id of the element to put the canvas in.
+     * @arg quality Optional, the quality options, see quality.
+     */
+    constructor(elementId, quality) {
+        quality = QualityOptions.from(quality);
+
         /*
             Install canvas and get webgl context.
         */
@@ -728,13 +4296,13 @@ class SoWebPlotter{
         /*
             Now we create the webgl context, if it isn't around, we die.
         */
-        this._glCtx = this._canvas.getContext("webgl", {depth: true, antialias:true, alpha:false});
+        this._glCtx = this._canvas.getContext("webgl", {depth: true, antialias: quality.antialias, alpha:false});
         if (this._glCtx == null)
         {
             /*
                 Try with experimental instead.
             */
-            this._glCtx = this._canvas.getContext("experimental-webgl", {depth: true, antialias: true, alpha:false});
+            this._glCtx = this._canvas.getContext("experimental-webgl", {depth: true, antialias: quality.antialias, alpha:false});
             if (this._glCtx == null)
                 throw new Error("WebGL not supported.");
         }
@@ -744,12 +4312,16 @@ class SoWebPlotter{
         */
         this._parent.appendChild(this._canvas);
 
-        this._renderer = new WebGLRenderer(this._glCtx);
+        this._renderer = new WebGLRenderer(this._glCtx, quality);
         this._renderer.init();
 
         this._animationRequest = null;
 
         this._camera = new OrthographicCamera();
+        this._bounds = {
+            "min": [-1.25, -1.25, -1.25],
+            "max": [ 1.25,  1.25,  1.25]
+        };
         //console.info("sowebplot|Supported extensions follows: " + this._glCtx.getSupportedExtensions().join("\n"));
     }
 
@@ -759,15 +4331,10 @@ class SoWebPlotter{
     loop() {
         if (this._animationRequest != null)
             return;
-        
-        let bounds = {
-            "min": twgl.v3.create(-1.25, -1.25, -1.25),
-            "max": twgl.v3.create( 1.25,  1.25,  1.25)
-        };
 
         let me = this;
         function callRender(time) {
-            me.renderer.render(time, bounds, me.camera);
+            me.renderer.render(time, me._bounds, me.camera);
             me._animationRequest = requestAnimationFrame(callRender);
         }
         requestAnimationFrame(callRender);
@@ -787,6 +4354,39 @@ class SoWebPlotter{
         return this._camera;
     }
 
+    /**
+     * The box everything is plotted in, as { min: [x, y, z], max: [x, y, z] }, 
+     * for example the extent of a ScatterPlot.
+     * 
+     * Geometry is built from the bounds, so setting them rebuilds every 
+     * plot on the next frame.
+     */
+    get bounds() {
+        return this._bounds;
+    }
+
+    set bounds(bounds) {
+        if (bounds == null || !Array.isArray(bounds.min) || !Array.isArray(bounds.max))
+            throw new TypeError("Expected an object with the arrays min and max.");
+        if (bounds.min.length != 3 || bounds.max.length != 3 || ![0, 1, 2].every((a) => bounds.min[a] < bounds.max[a]))
+            throw new RangeError("Expected min to be less than max along all three axes.");
+        this._bounds = { "min": Array.from(bounds.min), "max": Array.from(bounds.max) };
+        this._renderer.invalidateGraphics();
+    }
+
+    /**
+     * The QualityOptions of the plots, a preset name or anything else 
+     * QualityOptions.from takes when set. Plots are rebuilt on the next 
+     * frame, except for antialias, which only the constructor can set.
+     */
+    get quality() {
+        return this._renderer.qualityOptions;
+    }
+
+    set quality(quality) {
+        this._renderer.qualityOptions = quality;
+    }
+
     get renderer() {
         return this._renderer;
     }
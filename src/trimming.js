@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Trimming of triangle meshes over the plane to the domain of a function.
+ *
+ * Dropping every triangle that touches a vertex where the function isn't
+ * defined leaves a staircase along the edge of the domain, a whole triangle
+ * short of it. Instead, we bisect each edge between a defined and an
+ * undefined vertex to find where the domain ends, and cut the triangle there.
+ * A triangle with one undefined corner becomes a quad, drawn as two triangles,
+ * and one with two undefined corners a smaller triangle.
+ */
+class MeshTrimming {
+    /**
+     * The default options.
+     *
+     * bisections is the number of times an edge is halved looking for the
+     * edge of the domain, so that it is found to within 2^-bisections of the
+     * length of the edge.
+     */
+    static get defaults() {
+        return { bisections: 10 };
+    }
+
+    /**
+     * Cuts a mesh to the domain of fn, and leaves out the vertices no
+     * triangle uses.
+     *
+     * @arg {Function} fn Called as fn(x, y), returns undefined, NaN or
+     *                    infinity where it isn't defined.
+     * @arg {Array} positions A flat array of x, y pairs, one per vertex.
+     * @arg {Array} values fn at each vertex, NaN where it isn't defined.
+     * @arg {Array} indices Three vertex indices per triangle, including those
+     *                      with undefined corners.
+     * @arg {Object} options Overrides for MeshTrimming.defaults.
+     * @returns An object with positions, values and indices like the
+     *          arguments, where every value is defined. The triangles keep
+     *          their orientation.
+     */
+    static trim(fn, positions, values, indices, options) {
+        const opts = Object.assign(MeshTrimming.defaults, options);
+        let res = { positions: [], values: [], indices: [] };
+
+        /*
+            The index in res of the vertex k of the input, added on first use.
+        */
+        let kept = new Map();
+        let vertex = (k) => {
+            let n = kept.get(k);
+            if (n === undefined) {
+                n = res.values.length;
+                kept.set(k, n);
+                res.positions.push(positions[2 * k], positions[2 * k + 1]);
+                res.values.push(values[k]);
+            }
+            return n;
+        };
+
+        /*
+            The index in res of the last defined point found going from the
+            defined vertex a towards the undefined vertex b, once per edge.
+        */
+        let boundaries = new Map();
+        let boundary = (a, b) => {
+            let key = a + "," + b;
+            let n = boundaries.get(key);
+            if (n !== undefined)
+                return n;
+            let t0 = 0, t1 = 1, value;
+            for (let k = 0; k < opts.bisections; k++) {
+                let t = (t0 + t1) / 2;
+                let v = fn(positions[2 * a] + (positions[2 * b] - positions[2 * a]) * t,
+                           positions[2 * a + 1] + (positions[2 * b + 1] - positions[2 * a + 1]) * t);
+                if (typeof v === "number" && isFinite(v)) {
+                    t0 = t;
+                    value = v;
+                } else {
+                    t1 = t;
+                }
+            }
+            if (t0 == 0) {
+                n = vertex(a);
+            } else {
+                n = res.values.length;
+                res.positions.push(positions[2 * a] + (positions[2 * b] - positions[2 * a]) * t0,
+                                   positions[2 * a + 1] + (positions[2 * b + 1] - positions[2 * a + 1]) * t0);
+                res.values.push(value);
+            }
+            boundaries.set(key, n);
+            return n;
+        };
+
+        let triangle = (a, b, c) => {
+            if (a != b && b != c && c != a)
+                res.indices.push(a, b, c);
+        };
+
+        for (let t = 0; t < indices.length; t += 3) {
+            let corners = [indices[t], indices[t + 1], indices[t + 2]];
+            let defined = corners.map((k) => !isNaN(values[k]));
+            let count = defined.filter((d) => d).length;
+            if (count == 0)
+                continue;
+            if (count == 3) {
+                triangle(...corners.map(vertex));
+                continue;
+            }
+            /*
+                Rotate the corners, keeping their order, so that with one
+                undefined corner it is the last, and with two the defined one
+                is the first.
+            */
+            let first = count == 2 ? (defined.indexOf(false) + 1) % 3 : defined.indexOf(true);
+            let [a, b, c] = [0, 1, 2].map((k) => corners[(first + k) % 3]);
+            if (count == 2) {
+                let p = boundary(b, c), q = boundary(a, c);
+                let [na, nb] = [vertex(a), vertex(b)];
+                triangle(na, nb, p);
+                triangle(na, p, q);
+            } else {
+                triangle(vertex(a), boundary(a, b), boundary(a, c));
+            }
+        }
+        return res;
+    }
+}
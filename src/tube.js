@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Builds tube meshes around polylines.
+ *
+ * Doesn't depend on WebGL, all coordinates are plain mathematical (x, y, z).
+ */
+class TubeGeometry {
+    /**
+     * Computes a parallel transport frame along a polyline.
+     *
+     * Unlike the Frenet frame, it is defined on straight parts and doesn't
+     * flip at inflection points, since each normal is just the previous one
+     * rotated by the smallest rotation taking the previous tangent to the
+     * current one.
+     *
+     * @arg {Array} points An array of RealVector in R^3, without consecutive
+     *                     duplicates.
+     * @returns An array with one object per point, holding the unit vectors
+     *          tangent, normal and binormal.
+     */
+    static parallelTransportFrames(points) {
+        const n = points.length;
+        if (n < 2)
+            throw new RangeError("A frame needs at least two points.");
+
+        /*
+            Central differences, except at the ends, or where the polyline
+            turns straight back so that they cancel.
+        */
+        let tangents = points.map((p, i) => {
+            let a = points[Math.max(i - 1, 0)];
+            let b = points[Math.min(i + 1, n - 1)];
+            for (let d of [b.subtract(a), b.subtract(p), p.subtract(a)]) {
+                if (d.norm() > 0)
+                    return d.normalize();
+            }
+        });
+
+        /*
+            Start with any normal, perpendicular to the first tangent, taken
+            from the axis least aligned with it.
+        */
+        let T0 = tangents[0];
+        let axes = [new RealVector(1, 0, 0), new RealVector(0, 1, 0), new RealVector(0, 0, 1)];
+        let axis = axes.reduce((best, a) => Math.abs(a.dot(T0)) < Math.abs(best.dot(T0)) ? a : best);
+        let N = T0.cross(axis).normalize();
+
+        let frames = [];
+        for (let i = 0; i < n; i++) {
+            let T = tangents[i];
+            if (i > 0) {
+                let prevT = tangents[i - 1];
+                let B = prevT.cross(T);
+                let sinA = B.norm();
+                if (sinA > 1e-12) {
+                    /*
+                        Rodrigues' rotation of N around B by the angle between
+                        the tangents.
+                    */
+                    let k = B.scale(1 / sinA);
+                    let cosA = Math.min(Math.max(prevT.dot(T), -1), 1);
+                    N = N.scale(cosA)
+                        .add(k.cross(N).scale(sinA))
+                        .add(k.scale(k.dot(N) * (1 - cosA)));
+                }
+                // Remove any drift away from being perpendicular.
+                N = N.subtract(T.scale(N.dot(T))).normalize();
+            }
+            frames.push({ tangent: T, normal: N, binormal: T.cross(N) });
+        }
+        return frames;
+    }
+
+    /**
+     * Builds a tube around a polyline.
+     *
+     * The tube is made of one ring of vertices per distinct point, where the
+     * vertices of ring r are at indices [r * segments, (r + 1) * segments).
+     * The ends are left open.
+     *
+     * @arg {Array} points An array of RealVector in R^3. Consecutive
+     *                     duplicates are allowed.
+     * @arg {Number} radius The radius of the tube.
+     * @arg {Number} segments The number of vertices around each ring.
+     * @returns An object with flat arrays positions, normals (pointing
+     *          outwards) and indices, plus rings, the index into points of
+     *          each ring. Empty if there are fewer than two distinct points.
+     */
+    static build(points, radius, segments) {
+        if (!(segments >= 3))
+            throw new RangeError("A tube needs at least 3 segments.");
+
+        let res = { positions: [], normals: [], indices: [], rings: [] };
+        let kept = [];
+        for (let i = 0; i < points.length; i++) {
+            if (kept.length > 0 && points[kept[kept.length - 1]].equals(points[i], 0))
+                continue;
+            kept.push(i);
+        }
+        if (kept.length < 2)
+            return res;
+
+        let frames = TubeGeometry.parallelTransportFrames(kept.map((i) => points[i]));
+        for (let r = 0; r < kept.length; r++) {
+            let P = points[kept[r]];
+            let f = frames[r];
+            for (let s = 0; s < segments; s++) {
+                let angle = 2 * Math.PI * s / segments;
+                let dir = f.normal.scale(Math.cos(angle)).add(f.binormal.scale(Math.sin(angle)));
+                res.positions.push(...P.add(dir.scale(radius)).toArray());
+                res.normals.push(...dir.toArray());
+            }
+            res.rings.push(kept[r]);
+
+            if (r > 0) {
+                let a = (r - 1) * segments, b = r * segments;
+                for (let s = 0; s < segments; s++) {
+                    let s1 = (s + 1) % segments;
+                    res.indices.push(a + s, a + s1, b + s1, a + s, b + s1, b + s);
+                }
+            }
+        }
+        return res;
+    }
+}
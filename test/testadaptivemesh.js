@@ -0,0 +1,127 @@
+
+describe("AdaptiveMesh", function() {
+    const min = [-1, -1], max = [1, 1];
+
+    /*
+        Counts how many triangles use each undirected edge.
+    */
+    function edgeUses(indices) {
+        let uses = new Map();
+        for (let t = 0; t < indices.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                let a = indices[t + e], b = indices[t + (e + 1) % 3];
+                let key = Math.min(a, b) + "," + Math.max(a, b);
+                uses.set(key, (uses.get(key) || 0) + 1);
+            }
+        }
+        return uses;
+    }
+
+    it("should fail on malformed options", function() {
+        let f = (x, y) => x;
+        expect(() => new AdaptiveMesh(f, min, max, { baseResolution: 0 })).to.throwException(RangeError);
+        expect(() => new AdaptiveMesh(f, min, max, { maxLevel: 1.5 })).to.throwException(RangeError);
+        expect(() => new AdaptiveMesh(f, min, max, { maxTriangles: 10 })).to.throwException(RangeError);
+        expect(() => new AdaptiveMesh(f, min, max, { jumpThreshold: 0 })).to.throwException(RangeError);
+    });
+
+    it("should not refine a plane", function() {
+        let mesh = new AdaptiveMesh((x, y) => 2 * x - y, min, max);
+        expect(mesh.levels.every((l) => l === 0)).to.be(true);
+        expect(mesh.indices.length / 3).to.be(2 * 8 * 8);
+        expect(mesh.values.length).to.be(9 * 9);
+    });
+
+    it("should refine where the function is curved", function() {
+        let mesh = new AdaptiveMesh((x, y) => Math.exp(-50 * (x * x + y * y)), min, max, { tolerance: 1e-3 });
+        let P = mesh.positions;
+        /*
+            The shortest edge of a triangle near the peak, and far from it.
+        */
+        let shortest = [Infinity, Infinity];
+        let I = mesh.indices;
+        for (let t = 0; t < I.length; t += 3) {
+            let [a, b] = [I[t], I[t + 1]];
+            let length = Math.hypot(P[2 * a] - P[2 * b], P[2 * a + 1] - P[2 * b + 1]);
+            let far = Math.hypot(P[2 * a], P[2 * a + 1]) > 0.8 ? 1 : 0;
+            shortest[far] = Math.min(shortest[far], length);
+        }
+        expect(shortest[0]).to.be.lessThan(shortest[1] / 4);
+        expect(Math.max(...mesh.levels)).to.be(AdaptiveMesh.defaults.maxLevel);
+    });
+
+    it("should stay within the triangle budget", function() {
+        let fn = (x, y) => Math.cos(5 * x * x) + Math.sin(5 * y * y);
+        for (let maxTriangles of [200, 1000, 5000]) {
+            let mesh = new AdaptiveMesh(fn, min, max, { maxTriangles: maxTriangles, tolerance: 0 });
+            expect(mesh.indices.length / 3).to.not.be.greaterThan(maxTriangles);
+            expect(mesh.indices.length / 3).to.be.greaterThan(maxTriangles / 2);
+        }
+    });
+
+    it("should not leave cracks between levels", function() {
+        let mesh = new AdaptiveMesh((x, y) => Math.cos(5 * x * x) + Math.sin(5 * y * y), min, max);
+        expect(new Set(mesh.levels).size).to.be.greaterThan(2);
+        let P = mesh.positions;
+        let onBoundary = (k) => Math.abs(Math.abs(P[2 * k]) - 1) < 1e-12 || Math.abs(Math.abs(P[2 * k + 1]) - 1) < 1e-12;
+        let open = 0;
+        for (let [key, count] of edgeUses(mesh.indices)) {
+            let [a, b] = key.split(",").map(Number);
+            if (count != 2 && !(count == 1 && onBoundary(a) && onBoundary(b)))
+                open++;
+        }
+        expect(open).to.be(0);
+    });
+
+    it("should follow the function within the tolerance", function() {
+        const tolerance = 1e-3;
+        let fn = (x, y) => Math.sin(3 * x) * Math.cos(2 * y);
+        let mesh = new AdaptiveMesh(fn, min, max, { tolerance: tolerance, maxTriangles: 1e5 });
+        let P = mesh.positions, V = mesh.values, I = mesh.indices;
+        let worst = 0;
+        for (let t = 0; t < I.length; t += 3) {
+            // The centroid of the triangle.
+            let x = (P[2 * I[t]] + P[2 * I[t + 1]] + P[2 * I[t + 2]]) / 3;
+            let y = (P[2 * I[t] + 1] + P[2 * I[t + 1] + 1] + P[2 * I[t + 2] + 1]) / 3;
+            let z = (V[I[t]] + V[I[t + 1]] + V[I[t + 2]]) / 3;
+            worst = Math.max(worst, Math.abs(z - fn(x, y)));
+        }
+        expect(worst).to.be.lessThan(4 * tolerance);
+    });
+
+    it("should trim the mesh to where the function is defined, and refine along the edge", function() {
+        let mesh = new AdaptiveMesh((x, y) => Math.sqrt(0.5 - x * x - y * y), min, max);
+        let P = mesh.positions, V = mesh.values;
+        expect(V.every((v) => !isNaN(v))).to.be(true);
+        expect(Math.max(...mesh.levels)).to.be(AdaptiveMesh.defaults.maxLevel);
+        // The edge of the mesh is on the circle of radius sqrt(0.5).
+        let radius = 0;
+        for (let k = 0; k < V.length; k++)
+            radius = Math.max(radius, Math.hypot(P[2 * k], P[2 * k + 1]));
+        expect(Math.abs(radius - Math.sqrt(0.5))).to.be.lessThan(1e-3);
+    });
+
+    it("should cut the mesh along jumps, and refine along them", function() {
+        let step = (x, y) => x + 2 * y < 0.1 ? -1 : 1;
+        let spans = (mesh) => {
+            let V = mesh.values, I = mesh.indices, count = 0;
+            for (let t = 0; t < I.length; t += 3) {
+                if (new Set([V[I[t]], V[I[t + 1]], V[I[t + 2]]]).size > 1)
+                    count++;
+            }
+            return count;
+        };
+        expect(spans(new AdaptiveMesh(step, min, max))).to.be.greaterThan(0);
+
+        let mesh = new AdaptiveMesh(step, min, max, { jumpThreshold: 0.5 });
+        expect(spans(mesh)).to.be(0);
+        expect(Math.max(...mesh.levels)).to.be(AdaptiveMesh.defaults.maxLevel);
+        // The gap is no wider than the smallest cells.
+        let P = mesh.positions, I = mesh.indices, area = 0;
+        for (let t = 0; t < I.length; t += 3) {
+            let [a, b, c] = [I[t], I[t + 1], I[t + 2]];
+            area += ((P[2 * b] - P[2 * a]) * (P[2 * c + 1] - P[2 * a + 1]) - (P[2 * c] - P[2 * a]) * (P[2 * b + 1] - P[2 * a + 1])) / 2;
+        }
+        expect(area).to.be.greaterThan(4 - 0.1);
+    });
+});
@@ -0,0 +1,93 @@
+
+describe("Complex", function() {
+    const C = Complex;
+    const EPSILON = 1e-12;
+
+    describe("arithmetic", function() {
+        it("should multiply and divide", function() {
+            let a = new C(1, 2), b = new C(3, -1);
+            expect(C.mul(a, b).equals(new C(5, 5))).to.be(true);
+            expect(C.div(C.mul(a, b), b).equals(a, EPSILON)).to.be(true);
+        });
+
+        it("should treat numbers as having no imaginary part", function() {
+            expect(C.add(1, new C(0, 1)).equals(new C(1, 1))).to.be(true);
+            expect(C.mul(2, 3).equals(new C(6, 0))).to.be(true);
+            expect(C.neg(2).re).to.be(-2);
+        });
+
+        it("should give exact integer powers, also of zero", function() {
+            expect(C.pow(new C(0, 1), 2).equals(new C(-1, 0))).to.be(true);
+            expect(C.pow(new C(1, 1), -2).equals(new C(0, -0.5))).to.be(true);
+            expect(C.pow(0, 3).equals(new C(0, 0))).to.be(true);
+        });
+
+        it("should give the principal value of non-integer powers", function() {
+            // i^i = exp(-pi / 2).
+            expect(C.pow(new C(0, 1), new C(0, 1)).equals(new C(Math.exp(-Math.PI / 2), 0), EPSILON)).to.be(true);
+            expect(C.pow(-4, 0.5).equals(new C(0, 2), EPSILON)).to.be(true);
+        });
+    });
+
+    describe("functions", function() {
+        it("should exist for every function in COMPLEX_FUNCTIONS", function() {
+            for (let name in COMPLEX_FUNCTIONS)
+                expect(C[name]).to.be.a("function");
+        });
+
+        it("should agree with the real functions on the real axis", function() {
+            for (let name of ["exp", "sin", "cos", "tan", "sinh", "cosh", "tanh"]) {
+                let z = C[name](0.7);
+                expect(Math.abs(z.re - Math[name](0.7))).to.be.lessThan(EPSILON);
+                expect(z.im).to.be(0);
+            }
+        });
+
+        it("should satisfy Euler's formula", function() {
+            let z = C.exp(new C(0, Math.PI));
+            expect(z.equals(new C(-1, 0), EPSILON)).to.be(true);
+        });
+
+        it("should invert exp and square with log and sqrt, with the cut along the negative axis", function() {
+            let z = new C(-2, 0.5);
+            expect(C.exp(C.log(z)).equals(z, EPSILON)).to.be(true);
+            expect(C.pow(C.sqrt(z), 2).equals(z, EPSILON)).to.be(true);
+            expect(C.log(new C(-1, 0)).im).to.be(Math.PI);
+            expect(C.log(new C(-1, -0)).im).to.be(-Math.PI);
+            expect(C.sqrt(new C(-4, -0)).equals(new C(0, -2))).to.be(true);
+        });
+    });
+});
+
+describe("Complex expressions", function() {
+    function evaluate(source, z) {
+        return Expression.parseComplex(source, ["z"]).evaluateComplex([z]);
+    }
+
+    it("should know the imaginary unit, but only in complex expressions", function() {
+        expect(evaluate("3 + 4i", 0).equals(new Complex(3, 4))).to.be(true);
+        expect(evaluate("i^2", 0).equals(new Complex(-1, 0))).to.be(true);
+        expect(() => Expression.parse("i", ["z"])).to.throwException(ReferenceError);
+    });
+
+    it("should evaluate with complex arithmetic", function() {
+        let z = new Complex(0.5, -1);
+        let w = evaluate("exp(i z) - z^2 / (1 + conj(z))", z);
+        let expected = Complex.sub(Complex.exp(Complex.mul(new Complex(0, 1), z)),
+            Complex.div(Complex.mul(z, z), Complex.add(1, new Complex(0.5, 1))));
+        expect(w.equals(expected, 1e-12)).to.be(true);
+        expect(evaluate("log(z)", -1).equals(new Complex(0, Math.PI))).to.be(true);
+    });
+
+    it("should only allow the functions that work with complex numbers", function() {
+        expect(() => Expression.parseComplex("floor(z)", ["z"])).to.throwException(ReferenceError);
+        expect(() => Expression.parse("conj(z)", ["z"])).to.throwException(ReferenceError);
+    });
+
+    it("should refuse to evaluate or differentiate as a real expression", function() {
+        let e = Expression.parseComplex("z^2", ["z"]);
+        expect(e.complex).to.be(true);
+        expect(() => e.evaluate([1])).to.throwException(TypeError);
+        expect(() => e.derivative("z")).to.throwException(TypeError);
+    });
+});
@@ -0,0 +1,148 @@
+
+describe("Delaunay", function() {
+    /*
+        A deterministic scatter of points in the unit square.
+    */
+    function scatter(n) {
+        let pts = [];
+        for (let i = 0; i < n; i++)
+            pts.push([(i * 0.6180339887) % 1, (i * 0.7548776662 + 0.1) % 1]);
+        return pts;
+    }
+
+    function circumcircleIsEmpty(d) {
+        let T = d.triangles, P = d.points;
+        for (let k = 0; k < T.length; k += 3) {
+            let t = Delaunay._triangle(P, T[k], T[k + 1], T[k + 2]);
+            for (let p of P) {
+                let d2 = (p[0] - t.x) * (p[0] - t.x) + (p[1] - t.y) * (p[1] - t.y);
+                if (d2 < t.r2 * (1 - 1e-9))
+                    return false;
+            }
+        }
+        return true;
+    }
+
+    describe("#triangles", function() {
+        it("should split a square into two triangles", function() {
+            let d = new Delaunay([[0, 0], [1, 0], [1, 1], [0, 1]]);
+            expect(d.triangles.length).to.be(6);
+        });
+
+        it("should keep every circumcircle empty", function() {
+            let d = new Delaunay(scatter(60));
+            expect(circumcircleIsEmpty(d)).to.be(true);
+        });
+
+        it("should cover the convex hull", function() {
+            // A triangulation of n points with h on the hull has 2n - h - 2 triangles.
+            let pts = scatter(40).concat([[-1, -1], [2, -1], [2, 2], [-1, 2]]);
+            let d = new Delaunay(pts);
+            expect(d.triangles.length / 3).to.be(2 * pts.length - 4 - 2);
+        });
+
+        it("should orient triangles counter clockwise", function() {
+            let d = new Delaunay(scatter(30));
+            let T = d.triangles, P = d.points;
+            for (let k = 0; k < T.length; k += 3) {
+                let [a, b, c] = [P[T[k]], P[T[k + 1]], P[T[k + 2]]];
+                expect((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])).to.be.greaterThan(0);
+            }
+        });
+
+        it("should skip repeated points and handle degenerate input", function() {
+            let d = new Delaunay([[0, 0], [1, 0], [0, 1], [1, 0]]);
+            expect(d.triangles.length).to.be(3);
+            expect(d.triangles.indexOf(3)).to.be(-1);
+            expect(new Delaunay([[0, 0], [1, 1]]).triangles.length).to.be(0);
+            expect(new Delaunay([[0, 0], [1, 1], [2, 2]]).triangles.length).to.be(0);
+        });
+
+        it("should fail on bad points", function() {
+            expect(() => new Delaunay([[0, 0], [1, NaN]])).to.throwException(TypeError);
+            expect(() => new Delaunay("points")).to.throwException(TypeError);
+        });
+    });
+
+    describe("#find()", function() {
+        it("should give barycentric coordinates inside the hull only", function() {
+            let d = new Delaunay([[0, 0], [2, 0], [0, 2]]);
+            let found = d.find(0.5, 0.5);
+            let w = {};
+            found.vertices.forEach((v, k) => w[v] = found.weights[k]);
+            expect(Math.abs(w[0] - 0.5) + Math.abs(w[1] - 0.25) + Math.abs(w[2] - 0.25)).to.be.lessThan(1e-12);
+            expect(d.find(2, 2)).to.be(undefined);
+        });
+    });
+
+    describe("#naturalNeighbours()", function() {
+        it("should give weights that sum to one and reproduce the position", function() {
+            let pts = scatter(50).concat([[-1, -1], [2, -1], [2, 2], [-1, 2]]);
+            let d = new Delaunay(pts);
+            for (let [x, y] of [[0.5, 0.5], [0.3, 0.7], [0.81, 0.22]]) {
+                let nn = d.naturalNeighbours(x, y);
+                let sum = 0, px = 0, py = 0;
+                nn.vertices.forEach((v, k) => {
+                    sum += nn.weights[k];
+                    px += nn.weights[k] * pts[v][0];
+                    py += nn.weights[k] * pts[v][1];
+                });
+                expect(Math.abs(sum - 1)).to.be.lessThan(1e-9);
+                expect(Math.abs(px - x) + Math.abs(py - y)).to.be.lessThan(1e-9);
+            }
+        });
+
+        it("should be undefined outside the hull", function() {
+            expect(new Delaunay(scatter(10)).naturalNeighbours(5, 5)).to.be(undefined);
+        });
+    });
+});
+
+describe("ScatteredInterpolation", function() {
+    const pts = [];
+    for (let i = 0; i < 40; i++)
+        pts.push([(i * 0.6180339887) % 1, (i * 0.7548776662 + 0.1) % 1]);
+    pts.push([0, 0], [1, 0], [1, 1], [0, 1]);
+    const plane = (x, y) => 2 * x - y + 1;
+    const values = pts.map(([x, y]) => plane(x, y));
+    const d = new Delaunay(pts);
+
+    it("should reproduce linear functions with every method", function() {
+        for (let method of ScatteredInterpolation.methods) {
+            let f = ScatteredInterpolation.create(method, d, values);
+            for (let [x, y] of [[0.5, 0.5], [0.1, 0.9], [0.77, 0.33]])
+                expect(Math.abs(f(x, y) - plane(x, y))).to.be.lessThan(1e-8);
+        }
+    });
+
+    it("should pass through the samples", function() {
+        let bumpy = pts.map(([x, y]) => Math.sin(5 * x) * Math.cos(3 * y));
+        for (let method of ScatteredInterpolation.methods) {
+            let f = ScatteredInterpolation.create(method, d, bumpy);
+            for (let i = 0; i < pts.length; i += 7)
+                expect(Math.abs(f(...pts[i]) - bumpy[i])).to.be.lessThan(1e-8);
+        }
+    });
+
+    it("should only extrapolate with rbf", function() {
+        expect(ScatteredInterpolation.linear(d, values)(2, 2)).to.be(undefined);
+        expect(ScatteredInterpolation.natural(d, values)(2, 2)).to.be(undefined);
+        expect(Math.abs(ScatteredInterpolation.rbf(pts, values)(2, 2) - plane(2, 2))).to.be.lessThan(1e-8);
+    });
+
+    it("should fit a thin plate spline through hundreds of samples", function() {
+        let many = [];
+        for (let i = 0; i < 400; i++)
+            many.push([(i * 0.6180339887) % 1, (i * 0.7548776662 + 0.1) % 1]);
+        let bumpy = many.map(([x, y]) => Math.sin(5 * x) * Math.cos(3 * y));
+        let f = ScatteredInterpolation.rbf(many, bumpy);
+        let worst = 0;
+        for (let i = 0; i < many.length; i += 13)
+            worst = Math.max(worst, Math.abs(f(...many[i]) - bumpy[i]));
+        expect(worst).to.be.lessThan(1e-6);
+    });
+
+    it("should fail on an unknown method", function() {
+        expect(() => ScatteredInterpolation.create("cubic", d, values)).to.throwException(RangeError);
+    });
+});
@@ -0,0 +1,38 @@
+
+describe("Discontinuity", function() {
+    describe("#jumpBetween()", function() {
+        it("should find a step", function() {
+            let t = Discontinuity.jumpBetween((x) => x < 0.3 ? 0 : 1, 0, 1);
+            expect(Math.abs(t - 0.3)).to.be.lessThan(1 / 256);
+        });
+
+        it("should find a pole with a change of sign", function() {
+            let t = Discontinuity.jumpBetween(Math.tan, 1.5, 1.7);
+            expect(Math.abs(t - Math.PI / 2)).to.be.lessThan(0.2 / 256);
+        });
+
+        it("should not find jumps in steep continuous functions", function() {
+            expect(Discontinuity.jumpBetween((x) => Math.atan(100 * x), -0.05, 0.05)).to.be(undefined);
+            expect(Discontinuity.jumpBetween(Math.exp, 0, 10)).to.be(undefined);
+            expect(Discontinuity.jumpBetween((x) => 2, 0, 1)).to.be(undefined);
+        });
+
+        it("should count a gap in the domain as a jump, but not an undefined end", function() {
+            expect(Discontinuity.jumpBetween((x) => Math.abs(x - 0.5) < 0.1 ? undefined : x, 0, 1)).to.be(0.5);
+            expect(Discontinuity.jumpBetween(Math.log, 0, 1)).to.be(undefined);
+        });
+    });
+
+    describe("#jumpsAlong()", function() {
+        const sign = (x, y) => x + y < 0 ? -1 : 1;
+
+        it("should look for jumps along a segment in the plane", function() {
+            expect(Discontinuity.jumpsAlong(sign, [-1, 0], [1, 0.5], -1, 1, 0.1)).to.be(true);
+            expect(Discontinuity.jumpsAlong((x, y) => x + y, [-1, 0], [1, 0.5], -1, 1.5, 0.1)).to.be(false);
+        });
+
+        it("should ignore changes below the threshold", function() {
+            expect(Discontinuity.jumpsAlong(sign, [-1, 0], [1, 0.5], -1, 1, 5)).to.be(false);
+        });
+    });
+});
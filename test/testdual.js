@@ -0,0 +1,96 @@
+
+describe("Dual", function() {
+    const D = Dual;
+
+    describe("arithmetic", function() {
+        it("should propagate gradients through the product and quotient rules", function() {
+            let x = D.variable(3, 0, 2), y = D.variable(2, 1, 2);
+            let p = D.mul(x, y);
+            expect(p.value).to.be(6);
+            expect(p.grad).to.eql([2, 3]);
+
+            let q = D.div(x, y);
+            expect(q.value).to.be(1.5);
+            expect(q.grad).to.eql([0.5, -0.75]);
+        });
+
+        it("should return plain numbers when given plain numbers", function() {
+            expect(D.add(1, 2)).to.be(3);
+            expect(D.sin(0)).to.be(0);
+            expect(D.neg(2)).to.be(-2);
+        });
+
+        it("should treat numbers as constants", function() {
+            let x = D.variable(2, 0, 1);
+            expect(D.sub(1, x).grad).to.eql([-1]);
+            expect(D.mul(x, 5).grad).to.eql([5]);
+        });
+    });
+
+    describe("functions", function() {
+        it("should exist for every function in the expression language", function() {
+            for (let name in EXPRESSION_FUNCTIONS)
+                expect(D[name]).to.be.a("function");
+        });
+
+        it("should apply the chain rule", function() {
+            let x = D.variable(0.5, 0, 1);
+            let v = D.cos(D.mul(5, D.mul(x, x)));
+            expect(v.value).to.be(Math.cos(1.25));
+            expect(v.grad[0]).to.be(-Math.sin(1.25) * 5);
+        });
+
+        it("should handle constant exponents on negative bases", function() {
+            let x = D.variable(-2, 0, 1);
+            expect(D.pow(x, 3).grad).to.eql([12]);
+        });
+
+        it("should fail on unknown functions and wrong arity", function() {
+            expect(() => D.applyFunction("foo", [1])).to.throwException(ReferenceError);
+            expect(() => D.atan2(1)).to.throwException(RangeError);
+        });
+    });
+});
+
+describe("RealValuedFunction with a callback", function() {
+    const RVF = RealValuedFunction;
+
+    it("should evaluate the callback with plain numbers", function() {
+        let f = new RVF(["x", "y"], (x, y) => Dual.mul(x, Dual.sin(y)));
+        expect(f.evalAt(2, 0)).to.be(0);
+        expect(f.evalAt(2, Math.PI / 2)).to.be(2);
+    });
+
+    it("should differentiate through loops and table lookups", function() {
+        const TABLE = [0, 1, 4, 9, 16];
+        let f = new RVF(["x", "y"], (x, y) => {
+            // Linear interpolation in a table, then x^3 by repeated multiplication.
+            let i = Math.floor(Dual.value(y));
+            let t = Dual.sub(y, i);
+            let lookup = Dual.add(TABLE[i], Dual.mul(t, TABLE[i + 1] - TABLE[i]));
+            let cube = 1;
+            for (let k = 0; k < 3; k++)
+                cube = Dual.mul(cube, x);
+            return Dual.add(cube, lookup);
+        });
+        let g = f.gradientAt(2, 2.5);
+        expect(g).to.be.a(RealVector);
+        expect(g.at(0)).to.be(12);
+        expect(g.at(1)).to.be(5);
+    });
+
+    it("should return undefined where the gradient isn't defined", function() {
+        let f = new RVF(["x"], (x) => Dual.sqrt(x));
+        expect(f.gradientAt(0)).to.be(undefined);
+    });
+
+    it("should fall back to numerical differentiation for plain number results", function() {
+        let f = new RVF(["x"], (x) => 3 * Dual.value(x));
+        expect(Math.abs(f.gradientAt(1).at(0) - 3)).to.be.lessThan(1e-6);
+    });
+
+    it("should have no symbolic derivative", function() {
+        let f = new RVF(["x"], (x) => x);
+        expect(() => f.derivative("x")).to.throwException();
+    });
+});
@@ -0,0 +1,124 @@
+
+describe("Expression", function() {
+    const parse = (src, vars) => Expression.parse(src, vars || ["x", "y"]);
+    const at = (src, ...args) => parse(src).evaluate(args);
+
+    describe("parse", function() {
+        it("should respect operator precedence and associativity", function() {
+            expect(at("1 + 2 * 3")).to.be(7);
+            expect(at("10 - 4 - 3")).to.be(3);
+            expect(at("2^3^2")).to.be(512);
+            expect(at("-2^2")).to.be(-4);
+            expect(at("2^-1")).to.be(0.5);
+            expect(at("(1 + 2) * 3")).to.be(9);
+        });
+
+        it("should treat juxtaposition as multiplication", function() {
+            expect(at("5x^2", 2, 0)).to.be(20);
+            expect(at("2 x y", 3, 4)).to.be(24);
+            expect(at("(x + 1)(x - 1)", 3, 0)).to.be(8);
+            expect(at("2pi")).to.be(2 * Math.PI);
+            expect(at("1/2x", 4, 0)).to.be(2);
+        });
+
+        it("should know functions and constants without the Math prefix", function() {
+            expect(at("cos(5x^2) + sin(5y^2)", 0, 0)).to.be(1);
+            expect(at("sqrt(x)", 9, 0)).to.be(3);
+            expect(at("max(x, y)", 1, 2)).to.be(2);
+            expect(at("e")).to.be(Math.E);
+            expect(at("ln(e^2)")).to.be(2);
+        });
+
+        it("should let variables shadow constants", function() {
+            expect(parse("e", ["e"]).evaluate([5])).to.be(5);
+        });
+
+        it("should parse scientific notation", function() {
+            expect(at("1.5e3")).to.be(1500);
+            expect(at(".5e-1")).to.be(0.05);
+        });
+
+        it("should report syntax errors with their position", function() {
+            expect(() => parse("x + * y")).to.throwException((e) => {
+                expect(e).to.be.a(ExpressionSyntaxError);
+                expect(e.position).to.be(4);
+            });
+            expect(() => parse("(x + y")).to.throwException((e) => {
+                expect(e).to.be.a(ExpressionSyntaxError);
+                expect(e.position).to.be(6);
+            });
+            expect(() => parse("x $ y")).to.throwException((e) => expect(e.position).to.be(2));
+            expect(() => parse("sin(x, y)")).to.throwException((e) => expect(e).to.be.a(ExpressionSyntaxError));
+        });
+
+        it("should fail with a ReferenceError on unknown names", function() {
+            expect(() => parse("x + z")).to.throwException((e) => {
+                expect(e).to.be.a(ReferenceError);
+                expect(e.position).to.be(4);
+            });
+            expect(() => parse("foo(x)")).to.throwException(ReferenceError);
+            expect(() => parse("Math.cos(x)")).to.throwException();
+        });
+    });
+
+    describe("toString", function() {
+        it("should print an expression that parses to the same value", function() {
+            for (let src of ["x - (y - 1)", "-x^2", "(x + y)^2", "2^-x", "x / (y * 2)", "atan2(y, x) * pi"]) {
+                let e = parse(src);
+                expect(parse(e.toString()).evaluate([0.3, 0.7])).to.be(e.evaluate([0.3, 0.7]));
+            }
+        });
+    });
+
+    describe("derivative", function() {
+        const d = (src, v) => parse(src).derivative(v);
+
+        it("should differentiate polynomials exactly", function() {
+            expect(d("3x^2 + 2x + 1", "x").evaluate([2, 0])).to.be(14);
+            expect(d("x y^3", "y").evaluate([2, 3])).to.be(54);
+            expect(d("x y^3", "x").evaluate([2, 3])).to.be(27);
+        });
+
+        it("should simplify away zero and unit terms", function() {
+            expect(d("2x + y", "x").toString()).to.be("2");
+            expect(d("x^2", "x").toString()).to.be("2 * x");
+            expect(d("sin(y)", "x").toString()).to.be("0");
+        });
+
+        it("should apply the chain rule to functions", function() {
+            let df = d("cos(5x^2)", "x");
+            expect(Math.abs(df.evaluate([0.5, 0]) - (-5 * Math.sin(1.25)))).to.be.lessThan(1e-15);
+            expect(d("exp(x y)", "y").evaluate([2, 0])).to.be(2);
+            expect(d("atan2(y, x)", "x").evaluate([1, 1])).to.be(-0.5);
+        });
+
+        it("should handle constant exponents on negative bases", function() {
+            expect(d("x^3", "x").evaluate([-2, 0])).to.be(12);
+        });
+
+        it("should handle variable exponents", function() {
+            expect(Math.abs(d("2^x", "x").evaluate([3, 0]) - 8 * Math.LN2)).to.be.lessThan(1e-15);
+        });
+
+        it("should match a central difference for every built in function", function() {
+            const h = 1e-6;
+            for (let name in EXPRESSION_FUNCTIONS) {
+                if (["sign", "floor", "ceil", "round"].indexOf(name) !== -1)
+                    continue;
+                let fn = EXPRESSION_FUNCTIONS[name];
+                let e = parse(fn.arity == 1 ? `${name}(x)` : `${name}(x, y)`);
+                let p = name === "acosh" ? [1.3, 0.7] : [0.3, 0.7];
+                for (let k = 0; k < fn.arity; k++) {
+                    let pm = p.slice(), pp = p.slice();
+                    pm[k] -= h; pp[k] += h;
+                    let numerical = (e.evaluate(pp) - e.evaluate(pm)) / (2 * h);
+                    expect(Math.abs(e.derivative(k).evaluate(p) - numerical)).to.be.lessThan(1e-6);
+                }
+            }
+        });
+
+        it("should fail for an unknown variable", function() {
+            expect(() => d("x", "z")).to.throwException(RangeError);
+        });
+    });
+});
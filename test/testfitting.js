@@ -0,0 +1,112 @@
+
+describe("SurfaceFitting", function() {
+    /*
+        Samples of fn on a 6 by 6 grid over [-1, 1]^2, plus noise if given.
+    */
+    function sample(fn, noise) {
+        let data = { x: [], y: [], z: [] };
+        for (let i = 0; i < 6; i++) {
+            for (let j = 0; j < 6; j++) {
+                let x = -1 + 0.4 * i, y = -1 + 0.4 * j;
+                data.x.push(x);
+                data.y.push(y);
+                data.z.push(fn(x, y) + (noise ? noise(data.x.length) : 0));
+            }
+        }
+        return new ScatterPlot(data);
+    }
+
+    describe("#polynomialTerms()", function() {
+        it("should list the monomials by total degree", function() {
+            expect(SurfaceFitting.polynomialTerms(2)).to.eql([[0, 0], [1, 0], [0, 1], [2, 0], [1, 1], [0, 2]]);
+            expect(() => SurfaceFitting.polynomialTerms(-1)).to.throwException(RangeError);
+        });
+    });
+
+    describe("#polynomial()", function() {
+        it("should recover a polynomial exactly", function() {
+            let fit = SurfaceFitting.polynomial(sample((x, y) => 1 - 2 * x + 3 * x * y + 0.5 * y * y), 2);
+            let expected = [1, -2, 0, 0, 3, 0.5];
+            fit.parameters.forEach((c, k) => expect(Math.abs(c - expected[k])).to.be.lessThan(1e-10));
+            expect(fit.rms).to.be.lessThan(1e-10);
+            expect(Math.abs(fit.fn.evalAt(0.3, -0.2) - (1 - 0.6 - 0.18 + 0.02))).to.be.lessThan(1e-10);
+        });
+
+        it("should give a symbolic function", function() {
+            let fit = SurfaceFitting.polynomial(sample((x, y) => x * x), 2);
+            expect(fit.fn.expr).to.be.an(Expression);
+            expect(Math.abs(fit.fn.gradientAt(0.5, 0).at(0) - 1)).to.be.lessThan(1e-10);
+        });
+
+        it("should minimize the residuals", function() {
+            let data = sample((x, y) => x + y, (i) => (i % 2 ? 0.1 : -0.1));
+            let fit = SurfaceFitting.polynomial(data, 1);
+            // Moving any coefficient away from the fit makes things worse.
+            for (let k = 0; k < 3; k++) {
+                for (let d of [-1e-3, 1e-3]) {
+                    let c = fit.parameters.slice();
+                    c[k] += d;
+                    let rms = Math.sqrt(data.column("x").reduce((s, x, i) => {
+                        let y = data.column("y")[i];
+                        let r = data.column("z")[i] - (c[0] + c[1] * x + c[2] * y);
+                        return s + r * r;
+                    }, 0) / data.length);
+                    expect(rms).to.be.greaterThan(fit.rms);
+                }
+            }
+        });
+
+        it("should fail on too few or degenerate points", function() {
+            let line = new ScatterPlot({ x: [0, 1, 2, 3], y: [0, 1, 2, 3], z: [0, 1, 2, 3] });
+            expect(() => SurfaceFitting.polynomial(line, 1)).to.throwException(RangeError);
+            expect(() => SurfaceFitting.polynomial(line, 2)).to.throwException(RangeError);
+            expect(() => SurfaceFitting.polynomial({ x: [] }, 1)).to.throwException(TypeError);
+        });
+    });
+
+    describe("#levenbergMarquardt()", function() {
+        it("should fit a nonlinear model", function() {
+            let data = sample((x, y) => 2 * Math.exp(-1.5 * (x * x + y * y)));
+            let fit = SurfaceFitting.levenbergMarquardt(data, "a exp(-b (x^2 + y^2))", ["a", "b"]);
+            expect(fit.converged).to.be(true);
+            expect(Math.abs(fit.parameters[0] - 2)).to.be.lessThan(1e-6);
+            expect(Math.abs(fit.parameters[1] - 1.5)).to.be.lessThan(1e-6);
+            expect(fit.fn.vars).to.eql(["x", "y"]);
+            expect(Math.abs(fit.fn.evalAt(0, 0) - 2)).to.be.lessThan(1e-6);
+        });
+
+        it("should start from the given initial values", function() {
+            let data = sample((x, y) => Math.sin(3 * x) + y);
+            let fit = SurfaceFitting.levenbergMarquardt(data, "sin(w x) + c y", ["w", "c"], { initial: [2.5, 0] });
+            expect(Math.abs(fit.parameters[0] - 3)).to.be.lessThan(1e-6);
+            expect(Math.abs(fit.parameters[1] - 1)).to.be.lessThan(1e-6);
+        });
+
+        it("should fail on bad parameters", function() {
+            let data = sample((x, y) => x);
+            expect(() => SurfaceFitting.levenbergMarquardt(data, "a x", ["x"])).to.throwException(RangeError);
+            expect(() => SurfaceFitting.levenbergMarquardt(data, "a x", ["a"], { initial: [1, 2] })).to.throwException(RangeError);
+            expect(() => SurfaceFitting.levenbergMarquardt(data, "ln(a) x", ["a"], { initial: [-1] })).to.throwException(RangeError);
+        });
+
+        it("should name where the model is singular", function() {
+            // sqrt(x - b) is 0 at x = b = 0, but its derivative by b isn't finite.
+            let data = new ScatterPlot({ x: [0, 1, 2, 3], y: [0, 0, 0, 0], z: [0, 1, 1.4, 1.7] });
+            expect(() => SurfaceFitting.levenbergMarquardt(data, "a sqrt(x - b)", ["a", "b"], { initial: [1, 0] }))
+                .to.throwException((e) => {
+                    expect(e).to.be.a(RangeError);
+                    expect(e.message).to.contain("by b");
+                    expect(e.message).to.contain("(0, 0)");
+                });
+        });
+    });
+
+    it("should report residuals per row", function() {
+        let data = new ScatterPlot({ x: [0, 1, 2, NaN], y: [0, 0, 0, 0], z: [0, 2, 1, 0] });
+        let fit = SurfaceFitting.polynomial(data, 0);
+        expect(Math.abs(fit.parameters[0] - 1)).to.be.lessThan(1e-12);
+        [-1, 1, 0].forEach((r, i) => expect(Math.abs(fit.residuals[i] - r)).to.be.lessThan(1e-12));
+        expect(fit.residuals[3]).to.be.NaN;
+        expect(Math.abs(fit.rms - Math.sqrt(2 / 3))).to.be.lessThan(1e-12);
+    });
+});
@@ -0,0 +1,1197 @@
+
+describe("ParametricSurfacePlot", function() {
+    const VVF = VectorValuedFunction;
+
+    describe("constructor", function() {
+        it("should fail if the function isn't from R^2 to R^3", function() {
+            expect(() => new ParametricSurfacePlot(new RealValuedFunction(["u", "v"], "u"), [0, 1], [0, 1])).to.throwException(TypeError);
+            expect(() => new ParametricSurfacePlot(new VVF(["u", "v"], ["u", "v"]), [0, 1], [0, 1])).to.throwException(RangeError);
+        });
+        it("should fail on malformed ranges", function() {
+            let f = new VVF(["u", "v"], ["u", "v", "0"]);
+            expect(() => new ParametricSurfacePlot(f, [0], [0, 1])).to.throwException(TypeError);
+            expect(() => new ParametricSurfacePlot(f, [1, 0], [0, 1])).to.throwException(RangeError);
+        });
+    });
+});
+
+describe("ParametricSurfaceGraphicsObject", function() {
+    const sphere = new VectorValuedFunction(["u", "v"], ["cos(u) sin(v)", "sin(u) sin(v)", "cos(v)"]);
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    function geometry(uRange, vRange, options) {
+        let def = new ParametricSurfacePlot(sphere, uRange, vRange, options);
+        return new ParametricSurfaceGraphicsObject(def).buildGeometry(bounds, {});
+    }
+
+    it("should not duplicate vertices along a wrapped direction", function() {
+        let open = geometry([0, 2 * Math.PI], [0, Math.PI]);
+        let closed = geometry([0, 2 * Math.PI], [0, Math.PI], { wrapU: true });
+        let count = (geo) => geo.position.data.length / 3;
+
+        expect(count(closed)).to.be(count(open) - 65);
+        // Same number of triangles, the seam is closed by the wrapped ones.
+        expect(closed.indices.data.length).to.be(open.indices.data.length);
+        expect(Math.max(...closed.indices.data)).to.be.lessThan(count(closed));
+    });
+
+    it("should give unit normals with a consistent orientation, also at the poles", function() {
+        let geo = geometry([0, 2 * Math.PI], [0, Math.PI], { wrapU: true });
+        let P = geo.position.data, N = geo.normal.data;
+        let signs = new Set();
+        for (let k = 0; k < P.length; k += 3) {
+            let n = new RealVector(N[k], N[k + 1], N[k + 2]);
+            expect(Math.abs(n.norm() - 1)).to.be.lessThan(1e-9);
+            signs.add(Math.sign(n.dot(new RealVector(P[k], P[k + 1], P[k + 2]))));
+        }
+        expect(signs.size).to.be(1);
+    });
+
+    it("should join a reversed wrap with the other parameter reversed, like a Möbius strip", function() {
+        let mobius = new VectorValuedFunction(["u", "v"], [
+            "(1 + v/2 cos(u/2)) cos(u)", "(1 + v/2 cos(u/2)) sin(u)", "v/2 sin(u/2)"]);
+        let def = new ParametricSurfacePlot(mobius, [0, 2 * Math.PI], [-1, 1], { wrapU: "reversed" });
+        expect(def.wrapU).to.be("reversed");
+        let geo = new ParametricSurfaceGraphicsObject(def).buildGeometry(bounds, {});
+        let P = geo.position.data, I = geo.indices.data;
+        // No column at u = 2pi, the seam shares the vertices at u = 0.
+        expect(P.length / 3).to.be(64 * 65);
+        expect(I.length).to.be(64 * 64 * 6);
+
+        // The end of the strip at v lands on the start at -v.
+        let worst = 0;
+        for (let j = 0; j <= 64; j++) {
+            let end = mobius.evalAt(2 * Math.PI, -1 + j / 32);
+            let start = 64 * (64 - j);
+            worst = Math.max(worst, Math.abs(end.at(0) - P[3 * start]), Math.abs(end.at(2) - P[3 * start + 1]), Math.abs(end.at(1) - P[3 * start + 2]));
+        }
+        expect(worst).to.be.lessThan(1e-9);
+
+        // Two triangles per cell across the seam, and none of them long.
+        let seam = 0, longest = 0;
+        for (let t = 0; t < I.length; t += 3) {
+            let columns = [I[t], I[t + 1], I[t + 2]].map((k) => k % 64);
+            if (columns.includes(0) && columns.includes(63))
+                seam++;
+            for (let e = 0; e < 3; e++) {
+                let [a, b] = [I[t + e], I[t + (e + 1) % 3]];
+                longest = Math.max(longest, Math.hypot(P[3 * a] - P[3 * b], P[3 * a + 1] - P[3 * b + 1], P[3 * a + 2] - P[3 * b + 2]));
+            }
+        }
+        expect(seam).to.be(2 * 64);
+        expect(longest).to.be.lessThan(0.2);
+    });
+
+    it("should skip triangles at undefined points", function() {
+        let f = new VectorValuedFunction(["u", "v"], ["u", "v", "1/u"]);
+        let def = new ParametricSurfacePlot(f, [-1, 1], [0, 1]);
+        let geo = new ParametricSurfaceGraphicsObject(def).buildGeometry(bounds, {});
+        let full = 64 * 64 * 6;
+        // The column u = 0 touches two columns of quads.
+        expect(geo.indices.data.length).to.be(full - 2 * 64 * 6);
+    });
+});
+
+describe("CoordinateSurfacePlot", function() {
+    const RVF = RealValuedFunction;
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    function geometry(def) {
+        return new ParametricSurfaceGraphicsObject(def).buildGeometry(bounds, {});
+    }
+
+    /*
+        The largest value of fn over the world positions and normals of the
+        vertices.
+    */
+    function worst(geo, fn) {
+        let P = geo.position.data, N = geo.normal.data;
+        let res = -Infinity;
+        for (let k = 0; k < P.length; k += 3)
+            res = Math.max(res, fn(new RealVector(P[k], P[k + 1], P[k + 2]), new RealVector(N[k], N[k + 1], N[k + 2])));
+        return res;
+    }
+
+    it("should fail on functions of the wrong kind", function() {
+        expect(() => new PolarPlot(new VectorValuedFunction(["r", "t"], ["r", "t", "0"]))).to.throwException(TypeError);
+        expect(() => new SphericalPlot(new RVF(["t"], "1"))).to.throwException(RangeError);
+    });
+
+    it("should fail on ranges outside the coordinate system", function() {
+        let f = new RVF(["a", "b"], "1");
+        expect(() => new PolarPlot(f, [-1, 1])).to.throwException(RangeError);
+        expect(() => new CylindricalPlot(f, [0, 7])).to.throwException(RangeError);
+        expect(() => new SphericalPlot(f, undefined, [0, 4])).to.throwException(RangeError);
+    });
+
+    it("should mesh a polar graph over a disk, with normals like R2toRGraphicsObject", function() {
+        let def = new PolarPlot(new RVF(["r", "t"], "1 - r^2"));
+        expect(def.wrapV).to.be(true);
+        let geo = geometry(def);
+        let radius = (p) => Math.hypot(p.at(0), p.at(2));
+        expect(worst(geo, radius)).to.be.lessThan(1 + 1e-9);
+        expect(worst(geo, (p) => Math.abs(p.at(1) - (1 - radius(p) * radius(p))))).to.be.lessThan(1e-9);
+        expect(worst(geo, (p, n) => n.subtract(new RealVector(-2 * p.at(0), -1, -2 * p.at(2)).normalize()).norm())).to.be.lessThan(1e-6);
+    });
+
+    it("should leave a hole in the middle of an annulus", function() {
+        let def = new PolarPlot(new RVF(["r", "t"], "r"), [0.5, 1], [0, Math.PI]);
+        expect(def.wrapV).to.be(false);
+        let geo = geometry(def);
+        expect(worst(geo, (p) => -Math.hypot(p.at(0), p.at(2)))).to.be.lessThan(-0.5 + 1e-9);
+        expect(worst(geo, (p) => -p.at(2))).to.be.lessThan(1e-9);
+    });
+
+    it("should mesh a cylinder with outward normals", function() {
+        let geo = geometry(new CylindricalPlot(new RVF(["t", "z"], "1"), undefined, [-0.5, 0.5]));
+        expect(worst(geo, (p) => Math.abs(Math.hypot(p.at(0), p.at(2)) - 1))).to.be.lessThan(1e-9);
+        expect(worst(geo, (p, n) => Math.abs(n.at(1)))).to.be.lessThan(1e-9);
+        expect(worst(geo, (p, n) => -n.dot(p))).to.be.lessThan(-0.99);
+    });
+
+    it("should give all vertices at a pole of a sphere the same normal", function() {
+        let geo = geometry(new SphericalPlot(new RVF(["t", "p"], "1")));
+        expect(worst(geo, (p) => Math.abs(p.norm() - 1))).to.be.lessThan(1e-9);
+        expect(worst(geo, (p, n) => -n.dot(p))).to.be.lessThan(-0.99);
+        let atPole = (p) => Math.abs(Math.abs(p.at(1)) - 1) < 1e-12;
+        let ys = geo.position.data.filter((_, k) => k % 3 == 1);
+        expect(ys.filter((y) => atPole(new RealVector(0, y, 0))).length).to.be(2 * 64);
+        expect(worst(geo, (p, n) => atPole(p) ? n.subtract(new RealVector(0, Math.sign(p.at(1)), 0)).norm() : 0)).to.be.lessThan(1e-6);
+    });
+
+    it("should take callbacks as well as expressions", function() {
+        let expr = new SphericalPlot(new RVF(["t", "p"], "1 + cos(p) sin(t) / 4"));
+        let callback = new SphericalPlot(new RVF(["t", "p"], (t, p) => Dual.add(1, Dual.div(Dual.mul(Dual.cos(p), Dual.sin(t)), 4))));
+        let a = geometry(expr), b = geometry(callback);
+        let diff = (x, y) => Math.max(...x.map((v, k) => Math.abs(v - y[k])));
+        expect(diff(a.position.data, b.position.data)).to.be.lessThan(1e-12);
+        expect(diff(a.normal.data, b.normal.data)).to.be.lessThan(1e-9);
+    });
+});
+
+describe("MarchingCubes", function() {
+    const sphere = (x, y, z) => x * x + y * y + z * z;
+
+    /*
+        Counts how many triangles use each undirected edge.
+    */
+    function edgeUses(indices) {
+        let uses = new Map();
+        for (let t = 0; t < indices.length; t += 3) {
+            for (let e = 0; e < 3; e++) {
+                let a = indices[t + e], b = indices[t + (e + 1) % 3];
+                let key = Math.min(a, b) + "," + Math.max(a, b);
+                uses.set(key, (uses.get(key) || 0) + 1);
+            }
+        }
+        return uses;
+    }
+
+    it("should place the vertices on the surface", function() {
+        let mesh = MarchingCubes.polygonize(sphere, 1, [-1.5, -1.5, -1.5], [1.5, 1.5, 1.5], 16);
+        let P = mesh.positions;
+        expect(P.length).to.be.greaterThan(0);
+        for (let k = 0; k < P.length; k += 3)
+            expect(Math.abs(Math.hypot(P[k], P[k + 1], P[k + 2]) - 1)).to.be.lessThan(0.05);
+    });
+
+    it("should give a closed mesh with shared vertices", function() {
+        let mesh = MarchingCubes.polygonize(sphere, 1, [-1.5, -1.5, -1.5], [1.5, 1.5, 1.5], 16);
+        for (let count of edgeUses(mesh.indices).values())
+            expect(count).to.be(2);
+    });
+
+    it("should leave holes where the function is undefined", function() {
+        let fn = (x, y, z) => x > 0.5 ? NaN : sphere(x, y, z);
+        let mesh = MarchingCubes.polygonize(fn, 1, [-1.5, -1.5, -1.5], [1.5, 1.5, 1.5], 16);
+        let uses = Array.from(edgeUses(mesh.indices).values());
+        expect(uses.indexOf(1)).to.not.be(-1);
+        for (let k = 0; k < mesh.positions.length; k += 3)
+            expect(mesh.positions[k]).to.not.be.greaterThan(0.5);
+    });
+
+    it("should return nothing when the surface is outside the box", function() {
+        let mesh = MarchingCubes.polygonize(sphere, 100, [-1, -1, -1], [1, 1, 1], 4);
+        expect(mesh.indices.length).to.be(0);
+    });
+});
+
+describe("ImplicitSurfacePlot", function() {
+    it("should fail if the function isn't from R^3", function() {
+        expect(() => new ImplicitSurfacePlot(new RealValuedFunction(["x", "y"], "x y"))).to.throwException(RangeError);
+        expect(() => new ImplicitSurfacePlot("x")).to.throwException(TypeError);
+    });
+
+    it("should default to the zero level set", function() {
+        let def = new ImplicitSurfacePlot(new RealValuedFunction(["x", "y", "z"], "x"));
+        expect(def.isoValue).to.be(0);
+    });
+});
+
+describe("ImplicitSurfaceGraphicsObject", function() {
+    it("should use the normalized gradient as normals", function() {
+        let def = new ImplicitSurfacePlot(new RealValuedFunction(["x", "y", "z"], "x^2 + y^2 + z^2"), 1);
+        let bounds = { min: [-1.25, -1.25, -1.25], max: [1.25, 1.25, 1.25] };
+        let geo = new ImplicitSurfaceGraphicsObject(def).buildGeometry(bounds, {});
+        let P = geo.position.data, N = geo.normal.data;
+        expect(P.length).to.be(N.length);
+        for (let k = 0; k < P.length; k += 3) {
+            let p = new RealVector(P[k], P[k + 1], P[k + 2]);
+            let n = new RealVector(N[k], N[k + 1], N[k + 2]);
+            expect(n.equals(p.normalize(), 1e-9)).to.be.ok();
+        }
+    });
+});
+
+describe("TubeGeometry", function() {
+    const RV = RealVector;
+    const helix = Array.from({ length: 50 }, (v, i) => new RV(Math.cos(i / 5), Math.sin(i / 5), i / 20));
+
+    describe("parallelTransportFrames", function() {
+        it("should give orthonormal frames", function() {
+            for (let f of TubeGeometry.parallelTransportFrames(helix)) {
+                expect(Math.abs(f.normal.norm() - 1)).to.be.lessThan(1e-12);
+                expect(Math.abs(f.normal.dot(f.tangent))).to.be.lessThan(1e-12);
+                expect(Math.abs(f.binormal.dot(f.normal))).to.be.lessThan(1e-12);
+            }
+        });
+
+        it("should not rotate the normal along a straight line", function() {
+            let line = [new RV(0, 0, 0), new RV(1, 1, 0), new RV(2, 2, 0), new RV(3, 3, 0)];
+            let frames = TubeGeometry.parallelTransportFrames(line);
+            for (let f of frames)
+                expect(f.normal.equals(frames[0].normal)).to.be.ok();
+        });
+
+        it("should turn the normal no more than the tangent", function() {
+            let frames = TubeGeometry.parallelTransportFrames(helix);
+            for (let i = 1; i < frames.length; i++) {
+                let turnT = frames[i].tangent.subtract(frames[i - 1].tangent).norm();
+                let turnN = frames[i].normal.subtract(frames[i - 1].normal).norm();
+                expect(turnN).to.not.be.greaterThan(turnT + 1e-12);
+            }
+        });
+    });
+
+    describe("build", function() {
+        it("should put the vertices at radius from the curve", function() {
+            let tube = TubeGeometry.build(helix, 0.1, 8);
+            expect(tube.positions.length).to.be(50 * 8 * 3);
+            expect(tube.indices.length).to.be(49 * 8 * 6);
+            for (let r = 0; r < 50; r++) {
+                for (let s = 0; s < 8; s++) {
+                    let k = 3 * (r * 8 + s);
+                    let p = new RV(tube.positions[k], tube.positions[k + 1], tube.positions[k + 2]);
+                    expect(Math.abs(p.subtract(helix[r]).norm() - 0.1)).to.be.lessThan(1e-12);
+                }
+            }
+        });
+
+        it("should skip repeated points", function() {
+            let pts = [new RV(0, 0, 0), new RV(0, 0, 0), new RV(0, 0, 1)];
+            let tube = TubeGeometry.build(pts, 0.1, 4);
+            expect(tube.rings).to.eql([0, 2]);
+            expect(TubeGeometry.build([pts[0], pts[1]], 0.1, 4).indices.length).to.be(0);
+        });
+    });
+});
+
+describe("ParametricCurvePlot", function() {
+    const VVF = VectorValuedFunction;
+
+    it("should fail if the function isn't from R to R^3", function() {
+        expect(() => new ParametricCurvePlot(new VVF(["t", "s"], ["t", "s", "t"]), [0, 1])).to.throwException(RangeError);
+        expect(() => new ParametricCurvePlot(new VVF(["t"], ["t", "t"]), [0, 1])).to.throwException(RangeError);
+    });
+
+    it("should fail on too few samples", function() {
+        expect(() => new ParametricCurvePlot(new VVF(["t"], ["t", "t", "t"]), [0, 1], 1)).to.throwException(RangeError);
+    });
+});
+
+describe("ParametricCurveGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should colour by t or by normalized speed", function() {
+        let f = new VectorValuedFunction(["t"], ["t^2", "0", "0"]);
+        let def = new ParametricCurvePlot(f, [0, 1], 11);
+
+        let byT = new ParametricCurveGraphicsObject(def).buildGeometry(bounds, {});
+        expect(byT.value.data[0]).to.be(0);
+        expect(byT.value.data[byT.value.data.length - 1]).to.be(1);
+
+        let bySpeed = new ParametricCurveGraphicsObject(def, { colorBy: "speed" }).buildGeometry(bounds, {});
+        // Speed is 2t, normalized by its maximum 2.
+        let values = bySpeed.value.data;
+        expect(values[0]).to.be(0);
+        expect(values[5 * 12]).to.be(0.5);
+        expect(values[values.length - 1]).to.be(1);
+    });
+
+    it("should split the tube where the curve is undefined", function() {
+        let f = new VectorValuedFunction(["t"], ["t", "1/t", "0"]);
+        let def = new ParametricCurvePlot(f, [-1, 1], 21);
+        let geo = new ParametricCurveGraphicsObject(def).buildGeometry(bounds, {});
+        // Two pieces of ten points each, nine ring gaps of twelve quads in each.
+        expect(geo.indices.data.length).to.be(2 * 9 * 12 * 6);
+    });
+
+    it("should build tubes of many samples", function() {
+        let f = new VectorValuedFunction(["t"], ["cos(t)", "sin(t)", "t / 100"]);
+        let def = new ParametricCurvePlot(f, [0, 100], 5000);
+        let geo = new ParametricCurveGraphicsObject(def).buildGeometry(bounds, {});
+        expect(geo.indices.data.length).to.be(4999 * 12 * 6);
+    });
+
+    it("should reject unknown options", function() {
+        let def = new ParametricCurvePlot(new VectorValuedFunction(["t"], ["t", "t", "t"]), [0, 1]);
+        expect(() => new ParametricCurveGraphicsObject(def, { radius: 0 })).to.throwException(RangeError);
+        expect(() => new ParametricCurveGraphicsObject(def, { colorBy: "height" })).to.throwException(RangeError);
+    });
+});
+
+describe("GlyphGeometry", function() {
+    describe("#arrow()", function() {
+        it("should give an arrow along z from 0 to 1 with unit normals", function() {
+            let arrow = GlyphGeometry.arrow(8);
+            let n = arrow.positions.length / 3;
+            // Two discs with a centre each, and four rings.
+            expect(n).to.be(2 * 9 + 4 * 8);
+            expect(arrow.normals.length).to.be(arrow.positions.length);
+            for (let i = 0; i < n; i++) {
+                let z = arrow.positions[3 * i + 2];
+                expect(z >= 0 && z <= 1).to.be(true);
+                let N = new RealVector(...arrow.normals.slice(3 * i, 3 * i + 3));
+                expect(Math.abs(N.norm() - 1)).to.be.lessThan(1e-12);
+            }
+            expect(Math.max(...arrow.indices)).to.be(n - 1);
+        });
+
+        it("should fail on too few segments", function() {
+            expect(() => GlyphGeometry.arrow(2)).to.throwException(RangeError);
+        });
+    });
+
+    describe("#sphere()", function() {
+        it("should give a unit sphere with outward normals", function() {
+            let sphere = GlyphGeometry.sphere(8);
+            expect(sphere.positions.length).to.be(3 * 5 * 8);
+            expect(sphere.indices.length).to.be(6 * 4 * 8);
+            for (let i = 0; i < sphere.positions.length; i += 3) {
+                let P = new RealVector(...sphere.positions.slice(i, i + 3));
+                expect(Math.abs(P.norm() - 1)).to.be.lessThan(1e-12);
+                expect(sphere.normals.slice(i, i + 3)).to.eql(P.toArray());
+            }
+        });
+    });
+});
+
+describe("VectorFieldPlot", function() {
+    const VVF = VectorValuedFunction;
+
+    it("should fail if the function isn't from R^3 to R^3", function() {
+        expect(() => new VectorFieldPlot(new VVF(["x", "y"], ["x", "y", "0"]))).to.throwException(RangeError);
+        expect(() => new VectorFieldPlot(new VVF(["x", "y", "z"], ["x", "y"]))).to.throwException(RangeError);
+        expect(() => new VectorFieldPlot(new RealValuedFunction(["x", "y", "z"], "x"))).to.throwException(TypeError);
+    });
+
+    it("should fail on a bad number of samples", function() {
+        let f = new VVF(["x", "y", "z"], ["x", "y", "z"]);
+        expect(new VectorFieldPlot(f).samples).to.be(8);
+        expect(() => new VectorFieldPlot(f, 0)).to.throwException(RangeError);
+        expect(() => new VectorFieldPlot(f, 2.5)).to.throwException(RangeError);
+    });
+});
+
+describe("VectorFieldGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should place one arrow per lattice cell inside the bounds", function() {
+        let def = new VectorFieldPlot(new VectorValuedFunction(["x", "y", "z"], ["1", "0", "0"]), 4);
+        let inst = new VectorFieldGraphicsObject(def).buildInstances(bounds);
+        expect(inst.len.data.length).to.be(64);
+        expect(inst.spacing).to.be(0.5);
+        for (let c of inst.offset.data)
+            expect([-0.75, -0.25, 0.25, 0.75]).to.contain(c);
+    });
+
+    it("should map direction, length and colour from the field", function() {
+        // F = (0, z, 0), which points along world z with magnitude |z|.
+        let def = new VectorFieldPlot(new VectorValuedFunction(["x", "y", "z"], ["0", "z", "0"]), 2);
+        let inst = new VectorFieldGraphicsObject(def).buildInstances(bounds);
+        expect(inst.len.data.length).to.be(8);
+        for (let a = 0; a < 8; a++) {
+            let z = inst.offset.data[3 * a + 1];
+            expect(inst.direction.data.slice(3 * a, 3 * a + 3)).to.eql([0, 0, Math.sign(z)]);
+            expect(inst.value.data[a]).to.be(1);
+            expect(inst.len.data[a]).to.be(0.9);
+        }
+
+        def = new VectorFieldPlot(new VectorValuedFunction(["x", "y", "z"], ["x + 1", "0", "0"]), 2);
+        inst = new VectorFieldGraphicsObject(def).buildInstances(bounds);
+        let values = inst.value.data.slice().sort();
+        expect(values[0]).to.be(0.5 / 1.5);
+        expect(values[values.length - 1]).to.be(1);
+    });
+
+    it("should skip points where the field is zero or undefined", function() {
+        let def = new VectorFieldPlot(new VectorValuedFunction(["x", "y", "z"], ["sqrt(x)", "0", "0"]), 2);
+        let inst = new VectorFieldGraphicsObject(def).buildInstances(bounds);
+        expect(inst.len.data.length).to.be(4);
+
+        def = new VectorFieldPlot(new VectorValuedFunction(["x", "y", "z"], ["0", "0", "0"]), 2);
+        inst = new VectorFieldGraphicsObject(def).buildInstances(bounds);
+        expect(inst.len.data.length).to.be(0);
+    });
+
+    it("should use 32 bit indices when repeating many arrows without instancing", function() {
+        // A context without ANGLE_instanced_arrays, keeping the data it is given.
+        let data = [];
+        let gl = Object.assign(Object.create(WebGLRenderingContext.prototype), {
+            ARRAY_BUFFER: 1, ELEMENT_ARRAY_BUFFER: 2, STATIC_DRAW: 3,
+            createBuffer: () => ({}), bindBuffer: () => {}, bufferData: (target, d) => data.push(d),
+            getExtension: (name) => name === "OES_element_index_uint" ? {} : null
+        });
+        let def = new VectorFieldPlot(new VectorValuedFunction(["x", "y", "z"], ["1", "0", "0"]), 12);
+        let gfx = new VectorFieldGraphicsObject(def);
+        gfx.buildBuffers(gl, bounds, {});
+        // 12^3 arrows of 50 vertices each.
+        let indices = data.find((d) => d instanceof Uint32Array);
+        expect(indices).not.to.be(undefined);
+        let worst = 0;
+        for (let i of indices)
+            worst = Math.max(worst, i);
+        expect(worst).to.be(12 * 12 * 12 * 50 - 1);
+
+        gl.getExtension = () => null;
+        expect(() => new VectorFieldGraphicsObject(def).buildBuffers(gl, bounds, {})).to.throwException(RangeError);
+    });
+
+    it("should handle as many arrows as a dense lattice has", function() {
+        // About the 59^3 arrows of samples = 59, without evaluating a field.
+        const N = 200000;
+        let P = new RealVector(0, 0, 0);
+        let arrows = [];
+        for (let k = 0; k < N; k++)
+            arrows.push({ P: P, F: new RealVector(1 + k / N, 0, 0) });
+        let inst = ArrowGraphicsObject._instances(arrows, 0.1, false);
+        expect(inst.len.data.length).to.be(N);
+        expect(Math.abs(inst.value.data[0] - 1 / (2 - 1 / N))).to.be.lessThan(1e-12);
+    });
+});
+
+describe("StreamlinePlot", function() {
+    const VVF = VectorValuedFunction;
+    const RV = RealVector;
+    const f = new VVF(["x", "y", "z"], ["-y", "x", "0"]);
+
+    it("should fail on bad arguments", function() {
+        expect(() => new StreamlinePlot(new VVF(["x", "y"], ["x", "y", "0"]), [])).to.throwException(RangeError);
+        expect(() => new StreamlinePlot(f, [new RV(0, 0)])).to.throwException(TypeError);
+        expect(() => new StreamlinePlot(f, [], { method: "euler" })).to.throwException(RangeError);
+        expect(() => new StreamlinePlot(f, [], { direction: "sideways" })).to.throwException(RangeError);
+        expect(() => new StreamlinePlot(f, [], { maxSteps: 0 })).to.throwException(RangeError);
+    });
+
+    it("should place seeds along a line and on a plane", function() {
+        let line = StreamlinePlot.seedsAlongLine(new RV(0, 0, 0), new RV(1, 0, 0), 3);
+        expect(line.map((p) => p.at(0))).to.eql([0, 0.5, 1]);
+        expect(StreamlinePlot.seedsAlongLine(new RV(0, 0, 0), new RV(1, 0, 0), 1)[0].at(0)).to.be(0.5);
+
+        let plane = StreamlinePlot.seedsOnPlane(new RV(0, 0, 0), new RV(1, 0, 0), new RV(0, 1, 0), 2, 3);
+        expect(plane.length).to.be(6);
+        expect(plane[5].equals(new RV(1, 1, 0))).to.be(true);
+    });
+});
+
+describe("StreamlineGraphicsObject", function() {
+    const VVF = VectorValuedFunction;
+    const RV = RealVector;
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should follow the field", function() {
+        // Circles around the z axis, which both methods should keep the radius of.
+        let f = new VVF(["x", "y", "z"], ["-y", "x", "0"]);
+        for (let method of ["rk4", "rk45"]) {
+            let def = new StreamlinePlot(f, [new RV(0.5, 0, 0.2)], { method: method, direction: "forward", maxSteps: 100 });
+            let lines = new StreamlineGraphicsObject(def).traceStreamlines(bounds);
+            expect(lines.length).to.be(1);
+            expect(lines[0].points.length).to.be(101);
+            for (let P of lines[0].points) {
+                expect(Math.abs(Math.hypot(P.at(0), P.at(1)) - 0.5)).to.be.lessThan(1e-4);
+                expect(P.at(2)).to.be(0.2);
+            }
+        }
+    });
+
+    it("should stop at the bounds", function() {
+        let def = new StreamlinePlot(new VVF(["x", "y", "z"], ["1", "0.5", "0"]), [new RV(0, 0, 0)]);
+        let line = new StreamlineGraphicsObject(def).traceStreamlines(bounds)[0];
+        let first = line.points[0], last = line.points[line.points.length - 1];
+        expect(first.equals(new RV(-1, -0.5, 0))).to.be(true);
+        expect(last.equals(new RV(1, 0.5, 0))).to.be(true);
+    });
+
+    it("should stop at stagnation points", function() {
+        // Every streamline of -x runs into the origin.
+        let def = new StreamlinePlot(new VVF(["x", "y", "z"], ["-x", "-y", "-z"]), [new RV(0.5, 0.5, 0)], { direction: "forward" });
+        let line = new StreamlineGraphicsObject(def).traceStreamlines(bounds)[0];
+        let last = line.points[line.points.length - 1];
+        expect(last.norm()).to.be.lessThan(0.05);
+        expect(line.points.length).to.be.lessThan(500);
+
+        let none = new StreamlinePlot(new VVF(["x", "y", "z"], ["-x", "-y", "-z"]), [new RV(0, 0, 0), new RV(2, 0, 0)]);
+        expect(new StreamlineGraphicsObject(none).traceStreamlines(bounds).length).to.be(0);
+    });
+
+    it("should draw lines as segments", function() {
+        let def = new StreamlinePlot(new VVF(["x", "y", "z"], ["1", "0", "0"]), [new RV(0, 0, 0)], { direction: "forward" });
+        let gfx = new StreamlineGraphicsObject(def, { style: "lines" });
+        let geo = gfx.buildGeometry(bounds, {});
+        let n = geo.position.data.length / 3;
+        expect(geo.indices.data.length).to.be(2 * (n - 1));
+        expect(gfx.primitiveType({ LINES: 1, TRIANGLES: 4 })).to.be(1);
+        expect(() => new StreamlineGraphicsObject(def, { style: "dots" })).to.throwException(RangeError);
+    });
+
+    it("should build long streamlines", function() {
+        // As traced with maxSteps: 100000 in both directions, without tracing it.
+        const N = 2 * 100000 + 1;
+        let line = { points: [], speeds: [] };
+        for (let k = 0; k < N; k++) {
+            line.points.push(new RV(k / N, 0, 0));
+            line.speeds.push(1 + k / N);
+        }
+        let def = new StreamlinePlot(new VVF(["x", "y", "z"], ["1", "0", "0"]), [new RV(0, 0, 0)]);
+        let gfx = new StreamlineGraphicsObject(def, { style: "lines" });
+        gfx.traceStreamlines = () => [line];
+        let geo = gfx.buildGeometry(bounds, {});
+        expect(geo.position.data.length / 3).to.be(N);
+        expect(geo.value.data[N - 1]).to.be(1);
+    });
+});
+
+describe("GradientFieldGraphicsObject", function() {
+    const RVF = RealValuedFunction;
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should draw the gradient on the floor", function() {
+        let def = new R2toRPlot(new RVF(["x", "y"], "x^2 + y^2"));
+        let inst = new GradientFieldGraphicsObject(def, { samples: 4 }).buildInstances(bounds, {});
+        expect(inst.len.data.length).to.be(16);
+        expect(inst.spacing).to.be(0.5);
+        for (let a = 0; a < 16; a++) {
+            let [x, h, y] = inst.offset.data.slice(3 * a, 3 * a + 3);
+            expect(h).to.be(-1);
+            let D = inst.direction.data.slice(3 * a, 3 * a + 3);
+            let n = Math.hypot(x, y);
+            expect(Math.abs(D[0] - x / n) + Math.abs(D[1]) + Math.abs(D[2] - y / n)).to.be.lessThan(1e-12);
+            expect(Math.abs(inst.value.data[a] - n / Math.hypot(0.75, 0.75))).to.be.lessThan(1e-12);
+        }
+    });
+
+    it("should lay the arrows on the surface, within the bounds", function() {
+        let def = new R2toRPlot(new RVF(["x", "y"], "2x"));
+        let inst = new GradientFieldGraphicsObject(def, { samples: 4, placement: "surface" }).buildInstances(bounds, {});
+        // Only x = -0.25 and x = 0.25 give a height within the bounds.
+        expect(inst.len.data.length).to.be(8);
+        for (let a = 0; a < 8; a++) {
+            let [x, h, y] = inst.offset.data.slice(3 * a, 3 * a + 3);
+            expect(h).to.be(2 * x);
+            let D = inst.direction.data.slice(3 * a, 3 * a + 3);
+            expect(Math.abs(D[0] - 1 / Math.sqrt(5)) + Math.abs(D[1] - 2 / Math.sqrt(5)) + Math.abs(D[2])).to.be.lessThan(1e-12);
+        }
+    });
+
+    it("should give all arrows the same length when normalizing", function() {
+        let def = new R2toRPlot(new RVF(["x", "y"], "x^2"));
+        let inst = new GradientFieldGraphicsObject(def, { samples: 3, normalize: true }).buildInstances(bounds, {});
+        // The middle column has a zero gradient.
+        expect(inst.len.data.length).to.be(6);
+        for (let a = 0; a < 6; a++)
+            expect(Math.abs(inst.len.data[a] - 0.9 * 2 / 3)).to.be.lessThan(1e-12);
+        expect(inst.value.data.every((v) => Math.abs(v - 1) < 1e-12)).to.be(true);
+    });
+
+    it("should handle dense grids", function() {
+        // A gradient per cell of a 400 x 400 grid takes a while.
+        this.timeout(10000);
+        let def = new R2toRPlot(new RVF(["x", "y"], "x + 2y"));
+        let inst = new GradientFieldGraphicsObject(def, { samples: 400 }).buildInstances(bounds, {});
+        expect(inst.len.data.length).to.be(400 * 400);
+        expect(inst.value.data.every((v) => Math.abs(v - 1) < 1e-12)).to.be(true);
+    });
+
+    it("should reject unknown options", function() {
+        let def = new R2toRPlot(new RVF(["x", "y"], "x"));
+        expect(() => new GradientFieldGraphicsObject(def, { placement: "wall" })).to.throwException(RangeError);
+        expect(() => new GradientFieldGraphicsObject(def, { samples: 0 })).to.throwException(RangeError);
+        expect(() => new GradientFieldGraphicsObject(new ImplicitSurfacePlot(new RVF(["x", "y", "z"], "x")))).to.throwException(TypeError);
+    });
+});
+
+describe("MarchingSquares", function() {
+    const circle = (x, y) => x * x + y * y;
+
+    describe("#isolines()", function() {
+        it("should trace a closed circle", function() {
+            let grid = MarchingSquares.sample(circle, [-1, -1], [1, 1], 20);
+            let lines = MarchingSquares.isolines(grid, 0.25);
+            let n = lines.positions.length / 2;
+            for (let i = 0; i < n; i++) {
+                let r = Math.hypot(lines.positions[2 * i], lines.positions[2 * i + 1]);
+                expect(Math.abs(r - 0.5)).to.be.lessThan(0.02);
+            }
+            // Closed, so every vertex ends exactly two segments.
+            let uses = new Array(n).fill(0);
+            for (let i of lines.indices)
+                uses[i]++;
+            expect(uses.every((u) => u == 2)).to.be(true);
+            expect(lines.indices.length).to.be(2 * n);
+        });
+
+        it("should interpolate linear functions exactly", function() {
+            let grid = MarchingSquares.sample((x, y) => x + 2 * y, [0, 0], [1, 1], 4);
+            let lines = MarchingSquares.isolines(grid, 1);
+            for (let i = 0; i < lines.positions.length; i += 2)
+                expect(Math.abs(lines.positions[i] + 2 * lines.positions[i + 1] - 1)).to.be.lessThan(1e-12);
+        });
+
+        it("should resolve saddles by the middle of the cell", function() {
+            // One cell with the corners below the level at (0, 0) and (1, 1).
+            let grid = { min: [0, 0], max: [1, 1], resolution: 1, values: [0, 1, 1, 0] };
+            let lines = MarchingSquares.isolines(grid, 0.4);
+            expect(lines.indices.length).to.be(4);
+            // The middle, 0.5, is above, so the lines cut off (0, 0) and (1, 1).
+            let pairs = [[0, 1], [2, 3]].map((s) => s.map((k) => lines.indices[k]));
+            let ends = pairs.map((p) => p.map((i) => lines.positions[2 * i] + lines.positions[2 * i + 1]));
+            expect(ends.map((e) => e[0] + e[1] < 2).sort()).to.eql([false, true]);
+        });
+
+        it("should leave gaps where the function is undefined", function() {
+            let grid = MarchingSquares.sample((x, y) => x > 0 ? undefined : x + y, [-1, -1], [1, 1], 4);
+            let lines = MarchingSquares.isolines(grid, 0);
+            expect(lines.indices.length).to.be.greaterThan(0);
+            for (let i = 0; i < lines.positions.length; i += 2)
+                expect(lines.positions[i]).to.not.be.greaterThan(0);
+        });
+    });
+
+    describe("#niceLevels()", function() {
+        it("should pick round levels strictly inside the range", function() {
+            expect(MarchingSquares.niceLevels(0, 1, 4)).to.eql([0.2, 0.4, 0.6, 0.8]);
+            expect(MarchingSquares.niceLevels(-1, 1, 10)).to.eql([-0.8, -0.6, -0.4, -0.2, 0, 0.2, 0.4, 0.6, 0.8]);
+            expect(MarchingSquares.niceLevels(0.1, 0.35, 3)).to.eql([0.2, 0.3]);
+        });
+
+        it("should give nothing for an empty range", function() {
+            expect(MarchingSquares.niceLevels(1, 1, 5)).to.eql([]);
+            expect(MarchingSquares.niceLevels(Infinity, -Infinity, 5)).to.eql([]);
+        });
+    });
+});
+
+describe("ContourGraphicsObject", function() {
+    const RVF = RealValuedFunction;
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should draw the given levels on the surface and the floor", function() {
+        let def = new R2toRPlot(new RVF(["x", "y"], "x"));
+        let gfx = new ContourGraphicsObject(def, { levels: [0.5, 2], floor: true });
+        let contours = gfx.buildContours(bounds, {});
+        expect(contours.map((c) => c.level)).to.eql([0.5, 2]);
+        expect(contours[1].indices.length).to.be(0);
+
+        let geo = gfx.buildGeometry(bounds, {});
+        let heights = new Set();
+        for (let k = 0; k < geo.position.data.length; k += 3) {
+            heights.add(geo.position.data[k + 1]);
+            expect(Math.abs(geo.position.data[k] - 0.5)).to.be.lessThan(1e-12);
+        }
+        expect(Array.from(heights).sort()).to.eql([-1, 0.5]);
+        expect(geo.indices.data.length).to.be(2 * contours[0].indices.length);
+    });
+
+    it("should pick levels within the range of the function and the bounds", function() {
+        let def = new R2toRPlot(new RVF(["x", "y"], "3x"));
+        let levels = new ContourGraphicsObject(def, { levels: 4 }).buildContours(bounds, {}).map((c) => c.level);
+        expect(levels).to.eql([-0.5, 0, 0.5]);
+    });
+
+    it("should draw isolines of many segments", function() {
+        // Like a dense isoline at a high resolution, without sampling it.
+        const SEGMENTS = 100000;
+        let contour = { level: 0, positions: [], indices: [] };
+        for (let k = 0; k <= SEGMENTS; k++)
+            contour.positions.push(k / SEGMENTS, 0);
+        for (let k = 0; k < SEGMENTS; k++)
+            contour.indices.push(k, k + 1);
+        let gfx = new ContourGraphicsObject(new R2toRPlot(new RVF(["x", "y"], "y")), { floor: true });
+        gfx.buildContours = () => [contour];
+        let geo = gfx.buildGeometry(bounds, {});
+        expect(geo.indices.data.length).to.be(2 * 2 * SEGMENTS);
+        expect(geo.indices.data[geo.indices.data.length - 1]).to.be(2 * SEGMENTS + 1);
+    });
+
+    it("should reject bad levels", function() {
+        let def = new R2toRPlot(new RVF(["x", "y"], "x"));
+        expect(() => new ContourGraphicsObject(def, { levels: 0 })).to.throwException(RangeError);
+        expect(() => new ContourGraphicsObject(def, { levels: [0, NaN] })).to.throwException(TypeError);
+    });
+});
+
+describe("ScatterPlot", function() {
+    it("should take columns or rows", function() {
+        let cols = new ScatterPlot({ x: [0, 1], y: [2, 3], z: [4, 5], color: [1, 2] });
+        let rows = new ScatterPlot([{ x: 0, y: 2, z: 4, color: 1 }, { x: 1, y: 3, z: 5, color: 2 }]);
+        for (let plot of [cols, rows]) {
+            expect(plot.length).to.be(2);
+            expect(plot.column("y")).to.eql([2, 3]);
+            expect(plot.column("color")).to.eql([1, 2]);
+            expect(plot.column("size")).to.be(undefined);
+        }
+    });
+
+    it("should treat anything but finite numbers as missing", function() {
+        let plot = new ScatterPlot([{ x: 0, y: "a", z: 1 }, { x: 1, y: 2, z: Infinity }, { x: 2, y: 3, z: 4 }]);
+        expect(plot.column("y")[0]).to.be.NaN;
+        expect(plot.column("z")[1]).to.be.NaN;
+        expect(plot.extent).to.eql({ min: [1.5, 2.5, 3.5], max: [2.5, 3.5, 4.5] });
+    });
+
+    it("should report its extent", function() {
+        let plot = new ScatterPlot({ x: [0, -1, 2], y: [1, 5, 3], z: [0, 0, 1] });
+        expect(plot.extent).to.eql({ min: [-1, 1, 0], max: [2, 5, 1] });
+        expect(plot.columnExtent("y")).to.eql([1, 5]);
+        expect(new ScatterPlot({ x: [], y: [], z: [] }).extent).to.be(undefined);
+        expect(plot.columnExtent("size")).to.be(undefined);
+    });
+
+    it("should report the extent of large columns", function() {
+        const N = 200000;
+        let x = Array.from({ length: N }, (_, k) => k);
+        let plot = new ScatterPlot({ x: x, y: x, z: x, color: x.map((k) => k % 2 ? NaN : -k) });
+        expect(plot.columnExtent("x")).to.eql([0, N - 1]);
+        expect(plot.columnExtent("color")).to.eql([-(N - 2), 0]);
+    });
+
+    it("should fail on missing or mismatched columns", function() {
+        expect(() => new ScatterPlot({ x: [0], y: [0] })).to.throwException(TypeError);
+        expect(() => new ScatterPlot({ x: [0], y: [0], z: [0, 1] })).to.throwException(RangeError);
+        expect(() => new ScatterPlot({ x: [0], y: [0], z: [0], size: [] })).to.throwException(RangeError);
+        expect(() => new ScatterPlot(5)).to.throwException(TypeError);
+    });
+});
+
+describe("ScatterGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should place spheres at the points inside bounds", function() {
+        let def = new ScatterPlot({ x: [0.5, 2, -0.5], y: [0.25, 0, 0], z: [-0.5, 0, NaN] });
+        let inst = new ScatterGraphicsObject(def).buildInstances(bounds, {});
+        expect(inst.offset.data).to.eql([0.5, -0.5, 0.25]);
+        expect(inst.radius.data).to.eql([0.02]);
+    });
+
+    it("should map colour and size through their domains", function() {
+        let def = new ScatterPlot({ x: [0, 0, 0], y: [0, 0, 0], z: [0, 0, 0], size: [1, 2, 3], color: [10, 20, 40] });
+        let inst = new ScatterGraphicsObject(def, { sizeRange: [1, 3] }).buildInstances(bounds, {});
+        expect(inst.radius.data).to.eql([1, 2, 3]);
+        expect(inst.value.data).to.eql([0, 1 / 3, 1]);
+
+        inst = new ScatterGraphicsObject(def, { sizeRange: [1, 3], sizeScale: "sqrt", colorDomain: [20, 30] }).buildInstances(bounds, {});
+        expect(inst.radius.data[1]).to.be(Math.sqrt(5));
+        expect(inst.value.data).to.eql([0, 0, 1]);
+    });
+
+    it("should colour by z without a color column", function() {
+        let def = new ScatterPlot({ x: [0, 0], y: [0, 0], z: [-0.5, 0.5] });
+        expect(new ScatterGraphicsObject(def).buildInstances(bounds, {}).value.data).to.eql([0, 1]);
+    });
+
+    it("should reject bad options", function() {
+        let def = new ScatterPlot({ x: [0], y: [0], z: [0] });
+        expect(() => new ScatterGraphicsObject(def, { radius: -1 })).to.throwException(RangeError);
+        expect(() => new ScatterGraphicsObject(def, { sizeRange: [2, 1] })).to.throwException(RangeError);
+        expect(() => new ScatterGraphicsObject(def, { sizeScale: "log" })).to.throwException(RangeError);
+    });
+});
+
+describe("GridDataPlot", function() {
+    it("should take a 2D array or a flat one", function() {
+        let nested = new GridDataPlot([[1, 2, 3], [4, 5, 6]], [0, 1, 2], [0, 1]);
+        let flat = new GridDataPlot(new Float32Array([1, 2, 3, 4, 5, 6]), [0, 1, 2], [0, 1]);
+        for (let plot of [nested, flat]) {
+            expect(plot.cols).to.be(3);
+            expect(plot.rows).to.be(2);
+            expect(plot.at(2, 0)).to.be(3);
+            expect(plot.at(0, 1)).to.be(4);
+        }
+        expect(nested.extent).to.eql({ min: [0, 0, 1], max: [2, 1, 6] });
+    });
+
+    it("should report the extent of a large height map", function() {
+        const N = 400;
+        let coords = Array.from({ length: N }, (_, k) => k);
+        let heights = new Float64Array(N * N).map((_, k) => k % 2 ? k : NaN);
+        let plot = new GridDataPlot(heights, coords, coords);
+        expect(plot.extent).to.eql({ min: [0, 0, 1], max: [N - 1, N - 1, N * N - 1] });
+        expect(new GridDataPlot([[NaN, NaN], [NaN, NaN]], [0, 1], [0, 1]).extent).to.be(undefined);
+    });
+
+    it("should take a 2D array of many rows", function() {
+        const ROWS = 200000;
+        let ys = Array.from({ length: ROWS }, (_, j) => j);
+        let plot = new GridDataPlot(ys.map((j) => [j, -j]), [0, 1], ys);
+        expect(plot.rows).to.be(ROWS);
+        expect(plot.at(0, ROWS - 1)).to.be(ROWS - 1);
+        expect(plot.at(1, ROWS - 1)).to.be(1 - ROWS);
+    });
+
+    it("should turn anything but finite numbers into holes", function() {
+        let plot = new GridDataPlot([[1, NaN], [null, 2]], [0, 1], [0, 1]);
+        expect(plot.at(1, 0)).to.be.NaN;
+        expect(plot.at(0, 1)).to.be.NaN;
+    });
+
+    it("should fail on mismatched sizes or bad coordinates", function() {
+        expect(() => new GridDataPlot([[1, 2], [3]], [0, 1], [0, 1])).to.throwException(RangeError);
+        expect(() => new GridDataPlot([1, 2, 3], [0, 1], [0, 1])).to.throwException(RangeError);
+        expect(() => new GridDataPlot([1, 2, 3, 4], [1, 0], [0, 1])).to.throwException(RangeError);
+        expect(() => new GridDataPlot([1, 2], [0, 1], [0])).to.throwException(RangeError);
+        expect(() => new GridDataPlot("data", [0, 1], [0, 1])).to.throwException(TypeError);
+    });
+});
+
+describe("R2toRGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+    const plot = new R2toRPlot(new RealValuedFunction(["x", "y"], "cos(5x^2) + sin(5y^2)"));
+
+    it("should fail on unknown mesh modes", function() {
+        expect(() => new R2toRGraphicsObject(plot, { mesh: "quadtree" })).to.throwException(RangeError);
+    });
+
+    it("should place the vertices of the adaptive mesh on the surface", function() {
+        let geo = new R2toRGraphicsObject(plot).buildGeometry(bounds, {});
+        let P = geo.position.data, N = geo.normal.data;
+        let worst = 0;
+        for (let k = 0; k < P.length; k += 3) {
+            let [x, z, y] = P.slice(k, k + 3);
+            worst = Math.max(worst, Math.abs(z - plot.fn.evalAt(x, y)));
+            let g = plot.fn.gradientAt(x, y);
+            let n = new RealVector(g.at(0), -1, g.at(1)).normalize();
+            worst = Math.max(worst, n.subtract(new RealVector(N[k], N[k + 1], N[k + 2])).norm());
+        }
+        expect(worst).to.be.lessThan(1e-12);
+        expect(Math.max(...geo.indices.data)).to.be.lessThan(P.length / 3);
+    });
+
+    it("should follow the triangle budget in the quality options", function() {
+        let gfx = new R2toRGraphicsObject(plot);
+        let small = gfx.buildGeometry(bounds, { maxTriangles: 500, tolerance: 0 });
+        let large = gfx.buildGeometry(bounds, { maxTriangles: 4000, tolerance: 0 });
+        expect(small.indices.data.length / 3).to.not.be.greaterThan(500);
+        expect(large.indices.data.length / 3).to.be.greaterThan(small.indices.data.length / 3);
+    });
+
+    it("should still sample a uniform grid if asked to", function() {
+        let geo = new R2toRGraphicsObject(plot, { mesh: "grid" }).buildGeometry(bounds, {});
+        expect(geo.position.data.length / 3).to.be(64 * 64);
+        expect(geo.indices.data.length / 3).to.be(2 * 63 * 63);
+    });
+
+    it("should sample the grid at the resolution in the quality options", function() {
+        let geo = new R2toRGraphicsObject(plot, { mesh: "grid" }).buildGeometry(bounds, "draft");
+        expect(geo.position.data.length / 3).to.be(24 * 24);
+    });
+
+    it("should sample the grid across the full bounds", function() {
+        let geo = new R2toRGraphicsObject(plot, { mesh: "grid" }).buildGeometry(bounds, "draft");
+        // World x and z are the math x and y.
+        let xs = geo.position.data.filter((_, k) => k % 3 == 0);
+        let ys = geo.position.data.filter((_, k) => k % 3 == 2);
+        expect([Math.min(...xs), Math.min(...ys)]).to.eql([bounds.min[0], bounds.min[1]]);
+        expect([Math.max(...xs), Math.max(...ys)]).to.eql([bounds.max[0], bounds.max[1]]);
+    });
+
+    it("should trim the surface to the domain of the function, without unused vertices", function() {
+        let hemisphere = new R2toRPlot(new RealValuedFunction(["x", "y"], "sqrt(1 - x^2 - y^2)"));
+        const wide = { min: [-1.25, -1.25, -1.25], max: [1.25, 1.25, 1.25] };
+        for (let mesh of R2toRGraphicsObject.meshModes) {
+            let geo = new R2toRGraphicsObject(hemisphere, { mesh: mesh }).buildGeometry(wide, {});
+            let P = geo.position.data, N = geo.normal.data, I = geo.indices.data;
+            expect(new Set(I).size).to.be(P.length / 3);
+            let radius = 0, area = 0, worst = 0;
+            for (let k = 0; k < P.length; k += 3) {
+                radius = Math.max(radius, Math.hypot(P[k], P[k + 2]));
+                /*
+                    Up to sign, the normal of a sphere points away from the 
+                    centre. On the rim the gradient is infinite, and the 
+                    normal only about right.
+                */
+                let error = Math.abs(Math.abs(N[k] * P[k] + N[k + 1] * P[k + 1] + N[k + 2] * P[k + 2]) - 1);
+                worst = Math.max(worst, P[k + 1] == 0 ? error / 1e4 : error);
+            }
+            for (let t = 0; t < I.length; t += 3) {
+                let [a, b, c] = [3 * I[t], 3 * I[t + 1], 3 * I[t + 2]];
+                area += Math.abs((P[b] - P[a]) * (P[c + 2] - P[a + 2]) - (P[c] - P[a]) * (P[b + 2] - P[a + 2])) / 2;
+            }
+            expect(Math.abs(radius - 1)).to.be.lessThan(1e-3);
+            expect(Math.abs(area - Math.PI)).to.be.lessThan(0.01);
+            expect(worst).to.be.lessThan(1e-6);
+        }
+    });
+
+    it("should cut the surface where the function has a pole, unless asked to join it", function() {
+        let tan = new R2toRPlot(new RealValuedFunction(["x", "y"], "tan(2x)"));
+        // The number of triangles that reach across the pole at x = pi/4.
+        let across = (geo) => {
+            let P = geo.position.data, I = geo.indices.data, count = 0;
+            for (let t = 0; t < I.length; t += 3) {
+                let xs = [I[t], I[t + 1], I[t + 2]].map((k) => P[3 * k]);
+                if (Math.min(...xs) < Math.PI / 4 && Math.max(...xs) > Math.PI / 4)
+                    count++;
+            }
+            return count;
+        };
+        for (let mesh of R2toRGraphicsObject.meshModes) {
+            expect(across(new R2toRGraphicsObject(tan, { mesh: mesh }).buildGeometry(bounds, {}))).to.be(0);
+            expect(across(new R2toRGraphicsObject(tan, { mesh: mesh, discontinuities: "join" }).buildGeometry(bounds, {}))).to.be.greaterThan(0);
+        }
+        expect(() => new R2toRGraphicsObject(tan, { discontinuities: "wall" })).to.throwException(RangeError);
+    });
+
+    it("should differentiate numerically if asked to", function() {
+        let gfx = new R2toRGraphicsObject(plot);
+        let exact = gfx.buildGeometry(bounds, {});
+        let numerical = gfx.buildGeometry(bounds, { normals: "numerical" });
+        expect(numerical.position.data).to.eql(exact.position.data);
+        let worst = 0;
+        for (let k = 0; k < exact.normal.data.length; k++)
+            worst = Math.max(worst, Math.abs(exact.normal.data[k] - numerical.normal.data[k]));
+        expect(worst).to.be.lessThan(1e-6);
+    });
+});
+
+describe("GridDataGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should match the normals of the function it samples", function() {
+        // z = x + 2y on an uneven grid, which finite differences get exactly.
+        let xs = [0, 0.1, 0.3, 0.6], ys = [0, 0.5, 0.7];
+        let values = ys.map((y) => xs.map((x) => x + 2 * y));
+        let geo = new GridDataGraphicsObject(new GridDataPlot(values, xs, ys)).buildGeometry(bounds, {});
+        let expected = new RealVector(1, -1, 2).normalize();
+        for (let k = 0; k < geo.normal.data.length; k += 3)
+            expect(new RealVector(...geo.normal.data.slice(k, k + 3)).equals(expected)).to.be(true);
+        expect(geo.position.data.slice(3 * 5, 3 * 6)).to.eql([0.1, 1.1, 0.5]);
+        expect(geo.indices.data.length).to.be(3 * 2 * 6);
+    });
+
+    it("should leave holes at NaN cells", function() {
+        let values = [[0, 0, 0], [0, NaN, 0], [0, 0, 0]];
+        let geo = new GridDataGraphicsObject(new GridDataPlot(values, [0, 1, 2], [0, 1, 2])).buildGeometry(bounds, {});
+        // All four quads touch the middle, and lose the triangle with it.
+        expect(geo.indices.data.length).to.be(4 * 3);
+        expect(geo.indices.data.indexOf(4)).to.be(-1);
+        // The neighbours of the hole fall back to one sided differences.
+        expect(geo.normal.data.slice(3, 6)).to.eql([0, -1, 0]);
+    });
+});
+
+describe("ScatteredSurfacePlot", function() {
+    it("should drop incomplete and repeated samples", function() {
+        let plot = new ScatteredSurfacePlot({ x: [0, 1, 0, 1, 0], y: [0, 0, 1, 0, NaN], z: [1, 2, 3, 4, 5] });
+        expect(plot.points).to.eql([[0, 0], [1, 0], [0, 1]]);
+        expect(plot.values).to.eql([1, 2, 3]);
+        expect(plot.interpolant).to.be(null);
+    });
+
+    it("should fail on an unknown interpolation", function() {
+        expect(() => new ScatteredSurfacePlot({ x: [], y: [], z: [] }, { interpolation: "cubic" })).to.throwException(RangeError);
+    });
+});
+
+describe("ScatteredSurfaceGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+    const data = { x: [-1, 1, 1, -1, 0.2], y: [-1, -1, 1, 1, 0.1], z: [] };
+    data.z = data.x.map((x, i) => x + 2 * data.y[i]);
+
+    it("should draw the triangulation with the normals of R2toR plots", function() {
+        let geo = new ScatteredSurfaceGraphicsObject(new ScatteredSurfacePlot(data)).buildGeometry(bounds, {});
+        expect(geo.indices.data.length).to.be(3 * 4);
+        expect(geo.position.data.slice(12, 15)).to.eql([0.2, 0.4, 0.1]);
+        let expected = new RealVector(1, -1, 2).normalize();
+        for (let k = 0; k < geo.normal.data.length; k += 3)
+            expect(new RealVector(...geo.normal.data.slice(k, k + 3)).equals(expected)).to.be(true);
+    });
+
+    it("should draw interpolants on a grid", function() {
+        let def = new ScatteredSurfacePlot(data, { interpolation: "linear" });
+        let geo = new ScatteredSurfaceGraphicsObject(def).buildGeometry(bounds, {});
+        expect(geo.position.data.length).to.be(3 * 65 * 65);
+        for (let k = 0; k < geo.position.data.length; k += 3 * 97) {
+            let [x, z, y] = geo.position.data.slice(k, k + 3);
+            expect(Math.abs(z - (x + 2 * y))).to.be.lessThan(1e-12);
+        }
+    });
+});
+
+describe("ResidualGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    it("should draw a vertical segment from each point to the surface", function() {
+        let data = new ScatterPlot({ x: [0.5, 0, 2], y: [0.25, 0, 0], z: [0.5, 0, 0] });
+        let fn = new RealValuedFunction(["x", "y"], "x + y");
+        let geo = new ResidualGraphicsObject(data, fn).buildGeometry(bounds, {});
+        expect(geo.position.data).to.eql([0.5, 0.5, 0.25, 0.5, 0.75, 0.25, 0, 0, 0, 0, 0, 0]);
+        expect(geo.indices.data).to.eql([0, 1, 2, 3]);
+    });
+
+    it("should fail on the wrong kind of function", function() {
+        let data = new ScatterPlot({ x: [0], y: [0], z: [0] });
+        expect(() => new ResidualGraphicsObject(data, new RealValuedFunction(["x"], "x"))).to.throwException(TypeError);
+    });
+});
+
+describe("ComplexGraphicsObject", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    function geometry(source, options) {
+        let def = new ComplexPlot(new ComplexFunction(["z"], source));
+        return new ComplexGraphicsObject(def, options).buildGeometry(bounds, {});
+    }
+
+    it("should fail on unknown height modes", function() {
+        let def = new ComplexPlot(new ComplexFunction(["z"], "z"));
+        expect(() => new ComplexGraphicsObject(def, { height: "phase" })).to.throwException(RangeError);
+        expect(() => new ComplexGraphicsObject(new R2toRPlot(new RealValuedFunction(["x", "y"], "x")))).to.throwException(TypeError);
+    });
+
+    it("should take the height from the modulus and the phase from the argument", function() {
+        let geo = geometry("z^2");
+        let P = geo.position.data, A = geo.phase.data, N = geo.normal.data;
+        let worst = 0;
+        for (let k = 0; k < P.length / 3; k++) {
+            let [x, h, y] = P.slice(3 * k, 3 * k + 3);
+            let w = Complex.pow(new Complex(x, y), 2);
+            let r = Complex.modulus(w);
+            worst = Math.max(worst, Math.abs(h - r));
+            if (r > 1e-9)
+                worst = Math.max(worst, Math.abs(A[2 * k] - w.re / r), Math.abs(A[2 * k + 1] - w.im / r));
+            // |z^2| = x^2 + y^2, so the normal is (2x, -1, 2y) normalized.
+            let n = new RealVector(2 * x, -1, 2 * y).normalize();
+            worst = Math.max(worst, n.subtract(new RealVector(...N.slice(3 * k, 3 * k + 3))).norm() * 1e-3);
+        }
+        expect(worst).to.be.lessThan(1e-9);
+    });
+
+    it("should log scale the height", function() {
+        let geo = geometry("z", { height: "logModulus" });
+        let P = geo.position.data;
+        let worst = 0;
+        for (let k = 0; k < P.length; k += 3)
+            worst = Math.max(worst, Math.abs(P[k + 1] - Math.log1p(Math.hypot(P[k], P[k + 2]))));
+        expect(worst).to.be.lessThan(1e-12);
+    });
+
+    it("should lay a flat plot on the floor of the bounds", function() {
+        let geo = geometry("exp(z)", { height: "flat" });
+        let heights = new Set(geo.position.data.filter((_, k) => k % 3 == 1));
+        expect(Array.from(heights)).to.eql([-1]);
+        expect(geo.indices.data.length).to.be(63 * 63 * 6);
+    });
+
+    it("should leave out the triangles where the function isn't defined", function() {
+        let geo = geometry((z) => z.re < 0 ? undefined : z);
+        // Half the columns of vertices are left, with one column less of quads.
+        expect(geo.indices.data.length).to.be(31 * 63 * 6);
+    });
+});
+
+describe("QualityOptions", function() {
+    it("should default to the normal preset", function() {
+        let normal = new QualityOptions();
+        expect(QualityOptions.from()).to.eql(normal);
+        expect(QualityOptions.from({})).to.eql(normal);
+        expect(normal.resolution).to.be(64);
+        expect(normal.segments).to.be(12);
+    });
+
+    it("should order the presets from coarse to fine", function() {
+        let [draft, normal, print] = ["draft", "normal", "print"].map((name) => QualityOptions.from(name));
+        for (let key of ["resolution", "volumeResolution", "segments", "glyphSegments", "maxTriangles"]) {
+            expect(draft[key]).to.be.lessThan(normal[key]);
+            expect(normal[key]).to.be.lessThan(print[key]);
+        }
+        expect(print.tolerance).to.be.lessThan(normal.tolerance);
+    });
+
+    it("should override a preset", function() {
+        let q = new QualityOptions({ preset: "print", resolution: 100 });
+        expect(q.resolution).to.be(100);
+        expect(q.segments).to.be(QualityOptions.presets.print.segments);
+        expect(q.with({ segments: 5 }).segments).to.be(5);
+        expect(q.segments).to.be(QualityOptions.presets.print.segments);
+    });
+
+    it("should fail on unknown or malformed options", function() {
+        expect(() => QualityOptions.from("best")).to.throwException(RangeError);
+        expect(() => new QualityOptions({ resolutoin: 10 })).to.throwException(RangeError);
+        expect(() => new QualityOptions({ resolution: 1 })).to.throwException(RangeError);
+        expect(() => new QualityOptions({ segments: 6.5 })).to.throwException(RangeError);
+        expect(() => new QualityOptions({ tolerance: -1 })).to.throwException(RangeError);
+        expect(() => new QualityOptions({ normals: "smooth" })).to.throwException(RangeError);
+        expect(() => new QualityOptions({ antialias: 1 })).to.throwException(TypeError);
+    });
+
+    it("should apply the settings of an object over those of the renderer", function() {
+        let base = QualityOptions.from("draft");
+        expect(QualityOptions.resolve(base, null)).to.be(base);
+        expect(QualityOptions.resolve(base, { resolution: 40 })).to.eql(base.with({ resolution: 40 }));
+        let print = QualityOptions.from("print");
+        expect(QualityOptions.resolve(base, print)).to.be(print);
+    });
+});
+
+describe("GraphicsObject", function() {
+    const curve = new ParametricCurvePlot(new VectorValuedFunction(["t"], ["t", "0", "0"]), [0, 1], 11);
+
+    it("should invalidate its buffers when its quality changes", function() {
+        let gfx = new ParametricCurveGraphicsObject(curve);
+        expect(gfx.buffersInvalidated).to.be(false);
+        gfx.quality = { segments: 6 };
+        expect(gfx.buffersInvalidated).to.be(true);
+        gfx.releaseBuffers(null);
+        expect(gfx.buffersInvalidated).to.be(false);
+    });
+
+    it("should check its quality options", function() {
+        let gfx = new ParametricCurveGraphicsObject(curve);
+        expect(() => gfx.quality = { segments: 2 }).to.throwException(RangeError);
+        expect(gfx.quality).to.be(null);
+        gfx.quality = "draft";
+        expect(gfx.quality).to.eql(QualityOptions.from("draft"));
+    });
+
+    it("should build its geometry at the resolution asked for", function() {
+        const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+        let gfx = new ParametricCurveGraphicsObject(curve);
+        let count = (quality) => gfx.buildGeometry(bounds, quality).position.data.length / 3;
+        expect(count({ segments: 6 }) * 2).to.be(count({}));
+    });
+});
+
+describe("SoWebPlotter", function() {
+    it("should rebuild the plots when the bounds change", function() {
+        // A plotter without its canvas, with a renderer that counts rebuilds.
+        let plotter = Object.create(SoWebPlotter.prototype);
+        let rebuilds = 0;
+        plotter._renderer = { invalidateGraphics: () => rebuilds++ };
+        plotter.bounds = { min: [0, 0, 0], max: [1, 2, 3] };
+        expect(plotter.bounds).to.eql({ min: [0, 0, 0], max: [1, 2, 3] });
+        expect(rebuilds).to.be(1);
+        expect(() => plotter.bounds = { min: [0, 0, 0], max: [1, 0, 1] }).to.throwException(RangeError);
+        expect(rebuilds).to.be(1);
+    });
+});
@@ -0,0 +1,174 @@
+
+describe("GeometryTask", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+    const surface = new R2toRPlot(new RealValuedFunction(["x", "y"], "cos(5x^2) + sin(5y^2)"));
+
+    /*
+        The largest difference between the attributes of two geometries.
+    */
+    function difference(a, b) {
+        expect(Object.keys(a).sort()).to.eql(Object.keys(b).sort());
+        let worst = 0;
+        for (let name in a) {
+            expect(a[name].data.length).to.be(b[name].data.length);
+            for (let k = 0; k < a[name].data.length; k++)
+                worst = Math.max(worst, Math.abs(a[name].data[k] - b[name].data[k]));
+        }
+        return worst;
+    }
+
+    it("should build the same geometry as the graphics object, in typed arrays", function() {
+        let objects = [
+            new R2toRGraphicsObject(surface, { colorBy: "meanCurvature" }),
+            new ComplexGraphicsObject(new ComplexPlot(new ComplexFunction(["z"], "exp(1/z) + 2i")), { height: "logModulus" }),
+            new ParametricSurfaceGraphicsObject(new SphericalPlot(new RealValuedFunction(["theta", "phi"], "1 + phi / 4"))),
+            new ImplicitSurfaceGraphicsObject(new ImplicitSurfacePlot(new RealValuedFunction(["x", "y", "z"], "x^2 + y^2 + z^2"), 0.5))
+        ];
+        for (let gfx of objects) {
+            let task = GeometryTask.describe(gfx, bounds, "draft");
+            // Posting a task copies it, which JSON does as well for plain objects.
+            let geo = GeometryTask.run(JSON.parse(JSON.stringify(task)));
+            expect(geo.position.data).to.be.a(Float32Array);
+            expect(geo.indices.data).to.be.a(Uint16Array);
+            expect(difference(geo, gfx.buildGeometry(bounds, "draft"))).to.be.lessThan(1e-6);
+        }
+    });
+
+    it("should not describe callbacks or objects it doesn't know", function() {
+        let callback = new R2toRPlot(new RealValuedFunction(["x", "y"], (x, y) => Dual.mul(x, y)));
+        expect(GeometryTask.describe(new R2toRGraphicsObject(callback), bounds)).to.be(undefined);
+        let curve = new ParametricCurvePlot(new VectorValuedFunction(["t"], ["t", "t^2", "0"]), [0, 1], 11);
+        expect(GeometryTask.describe(new ParametricCurveGraphicsObject(curve), bounds)).to.be(undefined);
+    });
+
+    it("should transfer every buffer", function() {
+        let geo = GeometryTask.run(GeometryTask.describe(new R2toRGraphicsObject(surface), bounds, "draft"));
+        let buffers = GeometryTask.transferables(geo);
+        expect(buffers.length).to.be(Object.keys(geo).length);
+        expect(buffers.every((b) => b instanceof ArrayBuffer)).to.be(true);
+    });
+});
+
+describe("GeometryTaskQueue", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+    const task = GeometryTask.describe(new R2toRGraphicsObject(new R2toRPlot(new RealValuedFunction(["x", "y"], "x y"))), bounds, "draft");
+
+    it("should build in a later turn, and answer with the geometry", function(done) {
+        let answers = [];
+        let queue = new GeometryTaskQueue((message, transfer) => answers.push([message, transfer]));
+        queue.receive({ type: "build", id: 1, task: task });
+        expect(answers.length).to.be(0);
+        setTimeout(() => {
+            expect(answers.length).to.be(1);
+            let [message, transfer] = answers[0];
+            expect(message.type).to.be("done");
+            expect(message.id).to.be(1);
+            expect(transfer.length).to.be(Object.keys(message.geometry).length);
+            done();
+        }, 10);
+    });
+
+    it("should skip cancelled builds", function(done) {
+        let answers = [];
+        let queue = new GeometryTaskQueue((message) => answers.push(message));
+        queue.receive({ type: "build", id: 1, task: task });
+        queue.receive({ type: "build", id: 2, task: task });
+        queue.receive({ type: "cancel", id: 1 });
+        expect(queue.length).to.be(1);
+        setTimeout(() => {
+            expect(answers.map((m) => m.id)).to.eql([2]);
+            done();
+        }, 20);
+    });
+
+    it("should report builds that fail", function(done) {
+        let answers = [];
+        let queue = new GeometryTaskQueue((message) => answers.push(message));
+        queue.receive({ type: "build", id: 3, task: Object.assign({}, task, { kind: "Hyperbolic" }) });
+        setTimeout(() => {
+            expect(answers.length).to.be(1);
+            expect(answers[0].type).to.be("failed");
+            expect(answers[0].message).to.contain("Hyperbolic");
+            done();
+        }, 10);
+    });
+});
+
+describe("WebGLRenderer", function() {
+    const bounds = { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    /*
+        A renderer posting to a worker that keeps the messages, with an
+        object whose GL calls are left out.
+    */
+    function setup() {
+        let worker = { messages: [], postMessage(message) { this.messages.push(message); } };
+        let renderer = new WebGLRenderer(Object.create(WebGLRenderingContext.prototype), "draft");
+        renderer.useWorker(worker);
+        let gfx = new R2toRGraphicsObject(new R2toRPlot(new RealValuedFunction(["x", "y"], "x y")));
+        gfx.buildShader = () => false;
+        gfx.uploaded = [];
+        gfx.uploadGeometry = (gl, geo) => gfx.uploaded.push(geo);
+        renderer.registerGraphicsObject(gfx);
+        return { worker: worker, renderer: renderer, gfx: gfx };
+    }
+
+    it("should build in the worker, and upload the answer", function() {
+        let { worker, renderer, gfx } = setup();
+        renderer.reinitGraphics(null, 0, bounds);
+        expect(worker.messages.length).to.be(1);
+        let build = worker.messages[0];
+        expect(build.type).to.be("build");
+        expect(build.task.quality.resolution).to.be(QualityOptions.presets.draft.resolution);
+
+        // Nothing more is asked for while waiting.
+        renderer.reinitGraphics(null, 0, bounds);
+        expect(worker.messages.length).to.be(1);
+
+        let geometry = GeometryTask.run(build.task);
+        worker.onmessage({ data: { type: "done", id: build.id, geometry: geometry } });
+        expect(gfx.uploaded).to.eql([geometry]);
+    });
+
+    it("should cancel a build when the object changes, and ignore its answer", function() {
+        let { worker, renderer, gfx } = setup();
+        renderer.reinitGraphics(null, 0, bounds);
+        gfx.quality = { resolution: 40 };
+        renderer.reinitGraphics(null, 0, bounds);
+        let [first, cancel, second] = worker.messages;
+        expect(cancel).to.eql({ type: "cancel", id: first.id });
+        expect(second.type).to.be("build");
+        expect(second.task.quality.resolution).to.be(40);
+
+        worker.onmessage({ data: { type: "done", id: first.id, geometry: {} } });
+        expect(gfx.uploaded.length).to.be(0);
+    });
+
+    it("should build on the main thread what the worker fails to", function() {
+        let { worker, renderer, gfx } = setup();
+        let built = 0;
+        gfx.buildBuffers = () => { built++; return true; };
+        renderer.reinitGraphics(null, 0, bounds);
+        worker.onmessage({ data: { type: "failed", id: worker.messages[0].id, message: "" } });
+        expect(gfx.buffersInvalidated).to.be(true);
+        renderer.reinitGraphics(null, 0, bounds);
+        expect(built).to.be(1);
+        expect(worker.messages.length).to.be(1);
+    });
+
+    it("should build on the main thread when the worker fails", function() {
+        for (let handler of ["onerror", "onmessageerror"]) {
+            let { worker, renderer, gfx } = setup();
+            let built = 0;
+            gfx.buildBuffers = () => { built++; return true; };
+            renderer.reinitGraphics(null, 0, bounds);
+            worker[handler]({ message: "Failed to load geometryworker.js" });
+            expect(gfx.buffersInvalidated).to.be(true);
+            expect(renderer.worker).to.be(null);
+            expect(worker.onmessage).to.be(null);
+            renderer.reinitGraphics(null, 0, bounds);
+            expect(built).to.be(1);
+            expect(worker.messages.length).to.be(1);
+        }
+    });
+});
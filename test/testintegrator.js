@@ -0,0 +1,87 @@
+
+describe("ODEIntegrator", function() {
+    const I = ODEIntegrator;
+    // y' = y, so y(t) = e^t.
+    const growth = (t, y) => [y[0]];
+    // A rotation, circles around the origin.
+    const rotation = (t, y) => [-y[1], y[0]];
+
+    describe("#rk4Step()", function() {
+        it("should have a local error of fifth order", function() {
+            let e1 = Math.abs(I.rk4Step(growth, 0, [1], 0.1)[0] - Math.exp(0.1));
+            let e2 = Math.abs(I.rk4Step(growth, 0, [1], 0.05)[0] - Math.exp(0.05));
+            expect(e1 / e2).to.be.within(28, 36);
+        });
+
+        it("should give undefined where f is undefined", function() {
+            expect(I.rk4Step((t, y) => [Math.sqrt(y[0])], 0, [0.01], -1)).to.be(undefined);
+            expect(I.rk4Step((t, y) => undefined, 0, [1], 1)).to.be(undefined);
+        });
+    });
+
+    describe("#rk45Step()", function() {
+        it("should be exact for polynomials up to degree four", function() {
+            let r = I.rk45Step((t, y) => [4 * t * t * t], 0, [0], 1);
+            expect(Math.abs(r.y[0] - 1)).to.be.lessThan(1e-14);
+        });
+
+        it("should estimate its error", function() {
+            let r = I.rk45Step(growth, 0, [1], 0.5);
+            let actual = Math.abs(r.y[0] - Math.exp(0.5));
+            // The estimate is the error of the fourth order solution, which is the larger one.
+            expect(Math.abs(r.error[0])).to.be.greaterThan(actual);
+            expect(Math.abs(r.error[0])).to.be.lessThan(1e-4);
+        });
+    });
+
+    describe("#integrate()", function() {
+        it("should reach tEnd exactly with either method", function() {
+            for (let method of I.methods) {
+                let res = I.integrate(growth, 0, [1], { method: method, step: 0.03, tEnd: 1 });
+                expect(res.reason).to.be("end");
+                expect(res.times[res.times.length - 1]).to.be(1);
+                expect(Math.abs(res.points[res.points.length - 1][0] - Math.E)).to.be.lessThan(1e-6);
+            }
+        });
+
+        it("should integrate backwards when tEnd is less than t0", function() {
+            let res = I.integrate(growth, 0, [1], { tEnd: -1 });
+            expect(res.times[res.times.length - 1]).to.be(-1);
+            expect(Math.abs(res.points[res.points.length - 1][0] - 1 / Math.E)).to.be.lessThan(1e-6);
+        });
+
+        it("should adapt the step to the tolerance", function() {
+            let coarse = I.integrate(rotation, 0, [1, 0], { tEnd: 2 * Math.PI, tolerance: 1e-4 });
+            let fine = I.integrate(rotation, 0, [1, 0], { tEnd: 2 * Math.PI, tolerance: 1e-10 });
+            expect(fine.points.length).to.be.greaterThan(coarse.points.length);
+            let end = fine.points[fine.points.length - 1];
+            expect(Math.abs(end[0] - 1) + Math.abs(end[1])).to.be.lessThan(1e-8);
+        });
+
+        it("should end where stop says so, keeping that point", function() {
+            let res = I.integrate(growth, 0, [1], { stop: (t, y) => y[0] > 2 && "big" });
+            expect(res.reason).to.be("big");
+            expect(res.points[res.points.length - 1][0]).to.be.greaterThan(2);
+            expect(res.points[res.points.length - 2][0]).to.not.be.greaterThan(2);
+        });
+
+        it("should end where f is undefined", function() {
+            let f = (t, y) => t < 1 ? [1] : undefined;
+            let res = I.integrate(f, 0, [1], { tEnd: 2 });
+            expect(res.reason).to.be("undefined");
+            expect(res.times[res.times.length - 1]).to.be.within(0.99, 1);
+            expect(I.integrate(f, 0, [1], { method: "rk4", tEnd: 2 }).reason).to.be("undefined");
+        });
+
+        it("should stop after maxSteps", function() {
+            let res = I.integrate(rotation, 0, [1, 0], { method: "rk4", maxSteps: 10 });
+            expect(res.reason).to.be("maxSteps");
+            expect(res.points.length).to.be(11);
+        });
+
+        it("should fail on bad options", function() {
+            expect(() => I.integrate(growth, 0, [1], { method: "euler" })).to.throwException(RangeError);
+            expect(() => I.integrate(growth, 0, [1], { step: 0 })).to.throwException(RangeError);
+        });
+    });
+});
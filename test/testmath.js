@@ -25,6 +25,144 @@ describe("RealVector", function() {
         });
     });
 
+    describe("arithmetic", function() {
+        it("should add, subtract and scale element-wise", function() {
+            let a = new RV(1, 2, 3), b = new RV(4, 5, 6);
+            expect(a.add(b).toArray()).to.eql([5, 7, 9]);
+            expect(b.subtract(a).toArray()).to.eql([3, 3, 3]);
+            expect(a.scale(2).toArray()).to.eql([2, 4, 6]);
+        });
+
+        it("should fail on dimension mismatch", function() {
+            expect(() => new RV(1, 2).add(new RV(1, 2, 3))).to.throwException(RangeError);
+            expect(() => new RV(1, 2).dot([1, 2])).to.throwException(TypeError);
+        });
+
+        it("should calculate dot and cross products", function() {
+            let a = new RV(1, 2, 3), b = new RV(4, 5, 6);
+            expect(a.dot(b)).to.be(32);
+            expect(new RV(1, 0, 0).cross(new RV(0, 1, 0)).toArray()).to.eql([0, 0, 1]);
+            expect(a.cross(b).dot(a)).to.be(0);
+            expect(() => new RV(1, 2).cross(new RV(3, 4))).to.throwException(RangeError);
+        });
+
+        it("should calculate the norm and normalize", function() {
+            let v = new RV(3, 4);
+            expect(v.norm()).to.be(5);
+            expect(v.normalize().toArray()).to.eql([0.6, 0.8]);
+            expect(() => new RV(0, 0).normalize()).to.throwException(RangeError);
+        });
+    });
+
+    describe("equals", function() {
+        it("should compare with a tolerance", function() {
+            let a = new RV(1, 2, 3);
+            expect(a.equals(new RV(1, 2, 3))).to.be.ok();
+            expect(a.equals(new RV(1, 2, 3 + 1e-14))).to.be.ok();
+            expect(a.equals(new RV(1, 2, 3.1))).to.not.be.ok();
+            expect(a.equals(new RV(1, 2, 3.1), 0.1)).to.be.ok();
+            expect(a.equals(new RV(1, 2))).to.not.be.ok();
+        });
+    });
+
+    describe("conversion", function() {
+        it("should convert to and from Float32Array", function() {
+            let v = RV.fromArray(new Float32Array([1, 2, 3]));
+            expect(v.dims).to.be(3);
+            let f = v.toFloat32Array();
+            expect(f).to.be.a(Float32Array);
+            expect(Array.from(f)).to.eql([1, 2, 3]);
+        });
+    });
+
+});
+
+describe("RealMatrix", function() {
+    const RM = RealMatrix;
+    const RV = RealVector;
+
+    describe("constructor", function() {
+        it("should fail on empty or ragged input", function() {
+            expect(() => new RM()).to.throwException(RangeError);
+            expect(() => new RM([])).to.throwException(RangeError);
+            expect(() => new RM([1, 2], [3])).to.throwException(RangeError);
+        });
+        it("should fail if a value is not float convertible", function() {
+            expect(() => new RM([1, "abc"])).to.throwException(TypeError);
+        });
+        it("should succeed for valid rows", function() {
+            let m = new RM([1, 2, 3], [4, 5, 6]);
+            expect(m.rows).to.be(2);
+            expect(m.cols).to.be(3);
+            expect(m.at(1, 0)).to.be(4);
+            expect(m.row(0).toArray()).to.eql([1, 2, 3]);
+            expect(m.column(2).toArray()).to.eql([3, 6]);
+        });
+    });
+
+    describe("multiply", function() {
+        it("should multiply matrices and vectors", function() {
+            let a = new RM([1, 2], [3, 4]);
+            let b = new RM([0, 1], [1, 0]);
+            expect(a.multiply(b).equals(new RM([2, 1], [4, 3]))).to.be.ok();
+            expect(a.multiply(new RV(1, 1)).toArray()).to.eql([3, 7]);
+            expect(() => a.multiply(new RM([1, 2, 3]))).to.throwException(RangeError);
+        });
+    });
+
+    describe("transpose", function() {
+        it("should swap rows and columns", function() {
+            let t = new RM([1, 2, 3], [4, 5, 6]).transpose();
+            expect(t.rows).to.be(3);
+            expect(t.row(2).toArray()).to.eql([3, 6]);
+        });
+    });
+
+    describe("determinant", function() {
+        it("should calculate the determinant", function() {
+            expect(new RM([1, 2], [3, 4]).determinant()).to.be(-2);
+            expect(Math.abs(new RM([2, 0, 1], [1, 3, 2], [1, 1, 2]).determinant() - 6)).to.be.lessThan(1e-12);
+            expect(new RM([1, 2], [2, 4]).determinant()).to.be(0);
+        });
+    });
+
+    describe("inverse", function() {
+        it("should give the identity when multiplied with the original", function() {
+            let m = new RM([4, 7, 2], [3, 6, 1], [2, 5, 3]);
+            expect(m.multiply(m.inverse()).equals(RM.identity(3), 1e-12)).to.be.ok();
+        });
+        it("should fail for singular matrices", function() {
+            expect(() => new RM([1, 2], [2, 4]).inverse()).to.throwException(RangeError);
+        });
+    });
+
+    describe("solve", function() {
+        it("should solve a linear system", function() {
+            let m = new RM([0, 2, 1], [1, 1, 1], [2, 1, 0]);
+            let x = m.solve(new RV(7, 6, 4));
+            expect(x.equals(new RV(1, 2, 3))).to.be.ok();
+        });
+        it("should fail for singular matrices", function() {
+            expect(() => new RM([1, 2], [2, 4]).solve(new RV(1, 1))).to.throwException(RangeError);
+        });
+        it("should solve systems of a few hundred rows", function() {
+            const n = 360;
+            let m = RM.fromFunction(n, n, (i, j) => i == j ? n : Math.sin(i + 2 * j));
+            let expected = Array.from({ length: n }, (_, k) => k % 5 - 2);
+            let b = m.multiply(new RV(...expected));
+            let worst = 0;
+            m.solve(b).toArray().forEach((v, k) => { worst = Math.max(worst, Math.abs(v - expected[k])); });
+            expect(worst).to.be.lessThan(1e-9);
+        });
+    });
+
+    describe("column major conversion", function() {
+        it("should round trip through the WebGL layout", function() {
+            let m = new RM([1, 2], [3, 4]);
+            expect(Array.from(m.toColumnMajor())).to.eql([1, 3, 2, 4]);
+            expect(RM.fromColumnMajor(m.toColumnMajor(), 2, 2).equals(m)).to.be.ok();
+        });
+    });
 });
 
 
@@ -78,6 +216,14 @@ describe("RealValuedFunction", function () {
             expect(v).to.be(undefined);
         });
 
+        it("should return the exact partial derivatives", function() {
+            let f = new RVF(["x", "y"], "x y + sin(x)");
+            let v = f.gradientAt(0.5, 2);
+
+            expect(v.at(0)).to.be(2 + Math.cos(0.5));
+            expect(v.at(1)).to.be(0.5);
+        });
+
         it("should fail if the params are more or less than the definition.", function() {
             let f = new RVF(["x", "y", "z"], "2*x + 2*y + 2 * z * z");
             expect(()=>f.gradientAt(1,1,1)).to.not.throwException();
@@ -85,4 +231,215 @@ describe("RealValuedFunction", function () {
             expect(()=>f.gradientAt(2,3,4,4)).to.throwException((e)=>expect(e).to.be.a(RangeError));
         });
     });
-});
\ No newline at end of file
+
+    describe("derivative", function() {
+        it("should return the partial derivative as a RealValuedFunction", function() {
+            let f = new RVF(["x", "y"], "x^2 y");
+            let fx = f.derivative("x");
+
+            expect(fx).to.be.a(RVF);
+            expect(fx.vars).to.eql(["x", "y"]);
+            expect(fx.evalAt(3, 2)).to.be(12);
+            expect(f.derivative(1).evalAt(3, 2)).to.be(9);
+        });
+
+        it("should fail for variables not in the function", function() {
+            let f = new RVF(["x", "y"], "x^2 y");
+            expect(() => f.derivative("z")).to.throwException(RangeError);
+            expect(() => f.derivative(2)).to.throwException(RangeError);
+        });
+    });
+
+    describe("numericalGradientAt", function() {
+        it("should differentiate coupled variables away from the axes", function() {
+            let f = new RVF(["x", "y"], "x y");
+            let v = f.numericalGradientAt(2, 3);
+
+            expect(Math.abs(v.at(0) - 3) < 1e-10).to.be.ok();
+            expect(Math.abs(v.at(1) - 2) < 1e-10).to.be.ok();
+        });
+
+        it("should agree with the exact gradient for a non-linear coupled function", function() {
+            let f = new RVF(["x", "y", "z"], "sin(x y) + x^2 z - exp(y z)");
+            for (let p of [[0.3, -1.2, 0.5], [2, 1, -1], [-10, 0.25, 3]]) {
+                let exact = f.gradientAt(...p);
+                let numerical = f.numericalGradientAt(...p);
+                for (let k = 0; k < 3; k++)
+                    expect(Math.abs(exact.at(k) - numerical.at(k))).to.be.lessThan(1e-7 * Math.max(1, Math.abs(exact.at(k))));
+            }
+        });
+
+        it("should scale the step with the coordinates", function() {
+            let f = new RVF(["x", "y"], "x^2 y");
+            let v = f.numericalGradientAt(1e6, 2);
+
+            expect(Math.abs(v.at(0) - 4e6) / 4e6).to.be.lessThan(1e-9);
+            expect(Math.abs(v.at(1) - 1e12) / 1e12).to.be.lessThan(1e-9);
+        });
+
+        it("should return undefined when infinity is reached", function() {
+            let f = new RVF(["x", "y"], "2*x + 1/y");
+            expect(f.numericalGradientAt(1, 0)).to.be(undefined);
+        });
+
+        it("should keep defaultEpsilon as the first relative step", function() {
+            expect(RVF.defaultEpsilon).to.be(NumericalDifferentiation.defaults.relativeStep);
+        });
+    });
+
+    describe("numericalGradientEstimateAt", function() {
+        it("should return error estimates that bound the actual error", function() {
+            let f = new RVF(["x", "y"], "cos(5x^2) y + y^3 x");
+            let p = [0.8, -0.6];
+            let res = f.numericalGradientEstimateAt(p);
+            let exact = f.gradientAt(...p);
+
+            expect(res.gradient).to.be.a(RealVector);
+            expect(res.error).to.be.a(RealVector);
+            for (let k = 0; k < 2; k++) {
+                expect(res.error.at(k)).to.be.lessThan(1e-6);
+                expect(Math.abs(res.gradient.at(k) - exact.at(k))).to.be.lessThan(10 * res.error.at(k) + 1e-12);
+            }
+        });
+
+        it("should still work close to the edge of the domain", function() {
+            let f = new RVF(["x", "y"], "sqrt(x) y");
+            let res = f.numericalGradientEstimateAt([1e-3, 2]);
+
+            expect(Math.abs(res.gradient.at(0) - 1 / Math.sqrt(1e-3))).to.be.lessThan(1e-4);
+        });
+    });
+
+    describe("hessianAt", function() {
+        it("should return the exact second derivatives of an expression", function() {
+            let f = new RVF(["x", "y"], "x^3 y + y^2");
+            let h = f.hessianAt(2, 3);
+
+            expect(h).to.be.a(RealMatrix);
+            expect(h.at(0, 0)).to.be(36);
+            expect(h.at(0, 1)).to.be(12);
+            expect(h.at(1, 0)).to.be(12);
+            expect(h.at(1, 1)).to.be(2);
+        });
+
+        it("should differentiate callbacks", function() {
+            let f = new RVF(["x", "y"], (x, y) => Dual.mul(Dual.mul(x, x), Dual.sin(y)));
+            let h = f.hessianAt(1.5, 0.5);
+
+            expect(Math.abs(h.at(0, 0) - 2 * Math.sin(0.5))).to.be.lessThan(1e-8);
+            expect(Math.abs(h.at(0, 1) - 3 * Math.cos(0.5))).to.be.lessThan(1e-8);
+            expect(Math.abs(h.at(1, 1) + 2.25 * Math.sin(0.5))).to.be.lessThan(1e-8);
+        });
+
+        it("should return undefined where a second derivative isn't defined", function() {
+            let f = new RVF(["x"], "abs(x)^1.5");
+            expect(f.hessianAt(0)).to.be(undefined);
+        });
+    });
+
+    describe("curvature", function() {
+        it("should be 1 and -1 on top of the unit sphere", function() {
+            let f = new RVF(["x", "y"], "sqrt(1 - x^2 - y^2)");
+
+            expect(Math.abs(f.gaussianCurvatureAt(0.3, -0.2) - 1)).to.be.lessThan(1e-12);
+            expect(Math.abs(f.meanCurvatureAt(0.3, -0.2) + 1)).to.be.lessThan(1e-12);
+        });
+
+        it("should have zero mean curvature in the middle of a saddle", function() {
+            let f = new RVF(["x", "y"], "x^2 - y^2");
+
+            expect(f.gaussianCurvatureAt(0, 0)).to.be(-4);
+            expect(f.meanCurvatureAt(0, 0)).to.be(0);
+        });
+
+        it("should fail for functions that aren't from R^2", function() {
+            let f = new RVF(["x", "y", "z"], "x y z");
+            expect(() => f.gaussianCurvatureAt(0, 0)).to.throwException(RangeError);
+        });
+    });
+});
+
+
+describe("VectorValuedFunction", function() {
+    const VVF = VectorValuedFunction;
+
+    describe("constructor", function() {
+        it("should fail if exprs is not a non-empty array.", function() {
+            expect(() => new VVF(["x"], "x")).to.throwException(TypeError);
+            expect(() => new VVF(["x"], [])).to.throwException(RangeError);
+        });
+        it("should validate vars and expressions like RealValuedFunction.", function() {
+            expect(() => new VVF([1], ["x"])).to.throwException(TypeError);
+            expect(() => new VVF(["x"], ["x", "y"])).to.throwException(ReferenceError);
+        });
+        it("should accept callbacks as components.", function() {
+            let f = new VVF(["x"], ["2x", (x) => Dual.mul(x, x)]);
+            expect(f.dims).to.be(2);
+            expect(f.component(1).evalAt(3)).to.be(9);
+        });
+    });
+
+    describe("evalAt", function() {
+        it("should return a RealVector of the components", function() {
+            let f = new VVF(["u", "v"], ["cos(u)", "sin(u)", "v"]);
+            let p = f.evalAt(0, 2);
+            expect(p).to.be.a(RealVector);
+            expect(p.toArray()).to.eql([1, 0, 2]);
+        });
+
+        it("should return undefined if any component is undefined", function() {
+            let f = new VVF(["u"], ["u", "1/u"]);
+            expect(f.evalAt(0)).to.be(undefined);
+        });
+
+        it("should fail if the params are more or less than the definition.", function() {
+            let f = new VVF(["u", "v"], ["u", "v"]);
+            expect(() => f.evalAt(1)).to.throwException(RangeError);
+        });
+    });
+
+    describe("jacobianAt", function() {
+        it("should return the matrix of partial derivatives", function() {
+            let f = new VVF(["r", "t"], ["r cos(t)", "r sin(t)"]);
+            let J = f.jacobianAt(2, 0);
+            expect(J).to.be.a(RealMatrix);
+            expect(J.rows).to.be(2);
+            expect(J.cols).to.be(2);
+            expect(J.equals(new RealMatrix([1, 0], [0, 2]))).to.be.ok();
+            expect(J.determinant()).to.be(2);
+        });
+
+        it("should return undefined if any gradient is undefined", function() {
+            let f = new VVF(["x", "y"], ["x y", "sqrt(y)"]);
+            expect(f.jacobianAt(1, 0)).to.be(undefined);
+        });
+    });
+});
+
+describe("ComplexFunction", function() {
+    describe("constructor", function() {
+        it("should fail unless there is exactly one variable", function() {
+            expect(() => new ComplexFunction(["x", "y"], "x")).to.throwException(TypeError);
+            expect(() => new ComplexFunction("z", "z")).to.throwException(TypeError);
+        });
+
+        it("should fail on invalid expressions", function() {
+            expect(() => new ComplexFunction(["z"], "z +")).to.throwException(SyntaxError);
+            expect(() => new ComplexFunction(["z"], "w")).to.throwException(ReferenceError);
+        });
+    });
+
+    describe("evalAt", function() {
+        it("should evaluate expressions and callbacks", function() {
+            let f = new ComplexFunction(["z"], "z^2 + i");
+            expect(f.evalAt(new Complex(1, 1)).equals(new Complex(0, 3))).to.be(true);
+            let g = new ComplexFunction(["z"], (z) => Complex.modulus(z));
+            expect(g.evalAt(new Complex(3, 4)).equals(new Complex(5, 0))).to.be(true);
+        });
+
+        it("should return undefined where the function isn't defined", function() {
+            let f = new ComplexFunction(["z"], "1/z");
+            expect(f.evalAt(0)).to.be(undefined);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+
+describe("MeshTrimming", function() {
+    /*
+        Defined left of x = 0.3. The square of the two triangles below has
+        its corners at (0, 0), (1, 0), (1, 1) and (0, 1).
+    */
+    const left = (x, y) => x < 0.3 ? x + y : undefined;
+    const positions = [0, 0,  1, 0,  1, 1,  0, 1];
+    const values = [0, NaN, NaN, 1];
+
+    function signedAreas(mesh) {
+        let P = mesh.positions, I = mesh.indices, areas = [];
+        for (let t = 0; t < I.length; t += 3) {
+            let [a, b, c] = [I[t], I[t + 1], I[t + 2]];
+            areas.push(((P[2 * b] - P[2 * a]) * (P[2 * c + 1] - P[2 * a + 1]) - (P[2 * c] - P[2 * a]) * (P[2 * b + 1] - P[2 * a + 1])) / 2);
+        }
+        return areas;
+    }
+
+    it("should cut triangles where the function stops being defined", function() {
+        let mesh = MeshTrimming.trim(left, positions, values, [0, 1, 2,  0, 2, 3]);
+        // The first triangle keeps one corner, the second two.
+        expect(mesh.indices.length).to.be(3 * 3);
+        let area = signedAreas(mesh).reduce((a, b) => a + b);
+        expect(Math.abs(area - 0.3)).to.be.lessThan(1 / 1024);
+        for (let k = 0; k < mesh.values.length; k++) {
+            let [x, y] = [mesh.positions[2 * k], mesh.positions[2 * k + 1]];
+            expect(x).to.be.lessThan(0.3);
+            expect(mesh.values[k]).to.be(x + y);
+        }
+    });
+
+    it("should keep the orientation of the triangles", function() {
+        let ccw = MeshTrimming.trim(left, positions, values, [0, 1, 2,  0, 2, 3]);
+        expect(signedAreas(ccw).every((a) => a > 0)).to.be(true);
+        let cw = MeshTrimming.trim(left, positions, values, [0, 2, 1,  0, 3, 2]);
+        expect(signedAreas(cw).every((a) => a < 0)).to.be(true);
+    });
+
+    it("should share the new vertices between neighbouring triangles", function() {
+        let mesh = MeshTrimming.trim(left, positions, values, [0, 1, 2,  0, 2, 3]);
+        // The two corners, and one point on each of the three cut edges.
+        expect(mesh.values.length).to.be(2 + 3);
+    });
+
+    it("should leave out vertices that no triangle uses", function() {
+        let mesh = MeshTrimming.trim((x, y) => 1, positions, [1, 1, 1, 1], [0, 1, 2]);
+        expect(mesh.positions).to.eql([0, 0,  1, 0,  1, 1]);
+        expect(mesh.indices).to.eql([0, 1, 2]);
+        expect(MeshTrimming.trim(left, positions, [NaN, NaN, NaN, NaN], [0, 1, 2]).values).to.eql([]);
+    });
+});